@@ -0,0 +1,279 @@
+// AudioEngine - Web Audio playback shared by every screen (js/ and take3/)
+// Sounds go through music or sfx buses into a master bus, with a capped voice pool
+// Sounds without a file play a SynthSFX stand-in; no Web Audio at all means silence
+class AudioEngine {
+  constructor(config = {}) {
+    this.sounds = config.sounds || {}; // Sound name -> file path
+    this.basePath = config.basePath || "audio/"; // For names not in the map
+    this.musicSounds = new Set(config.music || ["background-music"]);
+    this.maxVoices = config.maxVoices || 16;
+    this.volume = { master: 0.7, music: 0.5, sfx: 0.8, ...config.volume };
+
+    this.context = null; // Created on the first user interaction (see unlock)
+    this.buses = {}; // master, music, sfx GainNodes
+    this.buffers = new Map(); // Sound name -> decoded AudioBuffer
+    this.loading = new Map(); // Sound name -> pending load promise
+    this.missing = new Set(); // Sounds that failed to load - not retried
+    this.voices = []; // Playing voices, oldest first
+
+    // Procedural stand-ins for missing files (see js/synthsfx.js)
+    this.synth = typeof SynthSFX !== "undefined" ? SynthSFX.getShared() : null;
+  }
+
+  // The game-wide engine (window.audioEngine) - created on first use
+  static getShared(config) {
+    if (!globalThis.audioEngine) {
+      globalThis.audioEngine = new AudioEngine(config);
+    }
+    return globalThis.audioEngine;
+  }
+
+  // Check if this browser can play Web Audio at all
+  static isSupported() {
+    return (
+      typeof window !== "undefined" &&
+      Boolean(window.AudioContext || window.webkitAudioContext)
+    );
+  }
+
+  // Sound names are hyphenated - "button_click" and "button-click" are the same sound
+  static normalizeName(soundName) {
+    return String(soundName).replace(/_/g, "-");
+  }
+
+  // Create the audio context and buses - browsers only allow this after a user gesture
+  unlock() {
+    if (!AudioEngine.isSupported()) return false;
+
+    if (!this.context) {
+      const Context = window.AudioContext || window.webkitAudioContext;
+      this.context = new Context();
+
+      this.buses.master = this.context.createGain();
+      this.buses.master.connect(this.context.destination);
+      ["music", "sfx"].forEach((bus) => {
+        this.buses[bus] = this.context.createGain();
+        this.buses[bus].connect(this.buses.master);
+      });
+      Object.keys(this.buses).forEach((bus) => this.applyVolume(bus));
+
+      console.log("🔊 AudioEngine unlocked");
+    }
+
+    if (this.context.state === "suspended") {
+      this.context.resume().catch(() => {});
+    }
+    return true;
+  }
+
+  // Check if sounds can play right now
+  isUnlocked() {
+    return Boolean(this.context);
+  }
+
+  // File path for a sound
+  getSoundPath(soundName) {
+    return this.sounds[soundName] || `${this.basePath}${soundName}.mp3`;
+  }
+
+  // Which bus a sound plays through
+  getBus(soundName) {
+    return this.musicSounds.has(soundName) ? "music" : "sfx";
+  }
+
+  // Fetch and decode a sound - resolves to its buffer, or null if it's missing
+  load(soundName) {
+    const name = AudioEngine.normalizeName(soundName);
+    if (this.buffers.has(name)) return Promise.resolve(this.buffers.get(name));
+    if (this.missing.has(name) || !this.context) return Promise.resolve(null);
+    if (this.loading.has(name)) return this.loading.get(name);
+
+    const promise = fetch(this.getSoundPath(name))
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then((data) => this.context.decodeAudioData(data))
+      .then((buffer) => {
+        this.buffers.set(name, buffer);
+        return buffer;
+      })
+      .catch((error) => {
+        this.missing.add(name);
+        console.warn(`⚠️ Sound ${name} unavailable:`, error.message || error);
+        return null;
+      })
+      .finally(() => {
+        this.loading.delete(name);
+      });
+
+    this.loading.set(name, promise);
+    return promise;
+  }
+
+  // Load several sounds ahead of time
+  preload(soundNames) {
+    return Promise.all(soundNames.map((soundName) => this.load(soundName)));
+  }
+
+  // Play a sound - returns its voice, or null if nothing could play
+  // Sounds that aren't loaded yet start as soon as they arrive
+  play(soundName, { loop = false, volume = 1.0 } = {}) {
+    if (!this.context) return null;
+
+    const name = AudioEngine.normalizeName(soundName);
+    const voice = {
+      name,
+      bus: this.getBus(name),
+      loop,
+      source: null,
+      gain: null,
+      stopped: false,
+      onEnded: null, // Set by whoever tracks the voice
+    };
+    this.claimVoice(voice);
+
+    const buffer = this.buffers.get(name);
+    if (buffer) {
+      this.startVoice(voice, buffer, volume);
+    } else if (this.missing.has(name)) {
+      this.startFallback(voice, volume);
+    } else {
+      this.load(name).then((loaded) => {
+        if (voice.stopped) return;
+
+        if (loaded) {
+          this.startVoice(voice, loaded, volume);
+        } else {
+          this.startFallback(voice, volume);
+        }
+      });
+    }
+
+    return voice;
+  }
+
+  // Add a voice to the pool, stealing the oldest one-shot if the pool is full
+  claimVoice(voice) {
+    if (this.voices.length >= this.maxVoices) {
+      const oldest = this.voices.find((v) => !v.loop) || this.voices[0];
+      this.stopVoice(oldest);
+    }
+    this.voices.push(voice);
+  }
+
+  // Connect a voice to its bus and start it
+  startVoice(voice, buffer, volume) {
+    voice.source = this.context.createBufferSource();
+    voice.source.buffer = buffer;
+    voice.source.loop = voice.loop;
+
+    voice.gain = this.context.createGain();
+    voice.gain.gain.value = volume;
+
+    voice.source.connect(voice.gain);
+    voice.gain.connect(this.buses[voice.bus]);
+    voice.source.onended = () => this.releaseVoice(voice);
+    voice.source.start();
+  }
+
+  // Play a synth stand-in for a sound without a file - looping music stays silent
+  startFallback(voice, volume) {
+    const handle =
+      this.synth && !voice.loop
+        ? this.synth.play(voice.name, {
+            context: this.context,
+            destination: this.buses[voice.bus],
+            volume,
+          })
+        : null;
+
+    if (!handle) {
+      this.releaseVoice(voice);
+      return;
+    }
+
+    voice.source = handle; // Has stop() like a buffer source
+    handle.onended = () => this.releaseVoice(voice);
+  }
+
+  // Stop one voice
+  stopVoice(voice) {
+    if (!voice || voice.stopped) return;
+
+    voice.stopped = true;
+    if (voice.source) {
+      try {
+        voice.source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    }
+    this.releaseVoice(voice);
+  }
+
+  // Drop a finished voice from the pool
+  releaseVoice(voice) {
+    voice.stopped = true;
+    this.voices = this.voices.filter((v) => v !== voice);
+
+    if (voice.gain) {
+      voice.gain.disconnect();
+    }
+    if (voice.onEnded) {
+      voice.onEnded(voice);
+      voice.onEnded = null;
+    }
+  }
+
+  // Stop every voice playing a sound
+  stop(soundName) {
+    const name = AudioEngine.normalizeName(soundName);
+    this.voices
+      .filter((voice) => voice.name === name)
+      .forEach((voice) => this.stopVoice(voice));
+  }
+
+  // Stop everything
+  stopAll() {
+    [...this.voices].forEach((voice) => this.stopVoice(voice));
+  }
+
+  // Set a bus volume (0-1)
+  setVolume(bus, value) {
+    if (!(bus in this.volume)) return;
+
+    this.volume[bus] = Math.min(Math.max(Number(value) || 0, 0), 1);
+    this.applyVolume(bus);
+  }
+
+  // Push a bus volume to its GainNode
+  applyVolume(bus) {
+    if (this.buses[bus]) {
+      this.buses[bus].gain.value = this.volume[bus];
+    }
+  }
+
+  // Current engine state for debugging
+  getStatus() {
+    return {
+      supported: AudioEngine.isSupported(),
+      unlocked: this.isUnlocked(),
+      volume: { ...this.volume },
+      voices: this.voices.map((voice) => voice.name),
+      loaded: [...this.buffers.keys()],
+      missing: [...this.missing],
+    };
+  }
+}
+
+// Make available globally (and to Node for tests)
+if (typeof window !== "undefined") {
+  window.AudioEngine = AudioEngine;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AudioEngine;
+}
+
+console.log("🔊 AudioEngine class loaded!");
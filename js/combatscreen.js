@@ -0,0 +1,1005 @@
+// CombatScreen - Turn-based mecha vs. slime battles driven by GAME_CONFIG
+class CombatScreen extends Screen {
+  constructor(container, mineId = "mine1", options = {}) {
+    super(container, "combat");
+
+    // CombatScreen specific state
+    this.mineId = mineId;
+    this.mineConfig = GAME_CONFIG.mines[mineId];
+
+    // Validate mineConfig exists
+    if (!this.mineConfig) {
+      throw new Error(`Mine configuration not found for ${mineId}`);
+    }
+
+    this.mechaType = this.mineConfig.mecha;
+    this.mechaConfig = GAME_CONFIG.mechas[this.mechaType];
+    this.monsterType = this.mineConfig.monster;
+    this.monsterConfig = GAME_CONFIG.monsters[this.monsterType];
+
+    // Validate mecha and monster configs exist
+    if (!this.mechaConfig || !this.monsterConfig) {
+      throw new Error(`Combat configuration incomplete for ${mineId}`);
+    }
+
+    this.combatConfig = GAME_CONFIG.combat;
+
+    // Random source for monster AI and move effects - the shared "combat" stream,
+    // or a standalone sequence when options.seed is given (repeatable fights)
+    this.random =
+      options.seed !== undefined
+        ? CONFIG_UTILS.createSeededRandom(options.seed)
+        : GameRandom.getShared().stream("combat");
+    this.moveResolver = new MonsterMoveResolver(this.random);
+    this.monsterAI = new MonsterAI(this.random);
+    this.battleIndex = Math.min(
+      options.battleIndex || 0,
+      this.monsterConfig.battles.length - 1
+    );
+
+    // Callbacks for the screen that launched the battle
+    this.callbacks = {
+      onBattleEnd: options.onBattleEnd || null, // (result) => {}
+      onExit: options.onExit || null,
+    };
+
+    // Monster currency earned during this visit (paid into the shared wallet)
+    this.rewardCurrency = `monster_${this.mineConfig.currency}`;
+    this.wallet = options.wallet || window.wallet || null;
+    this.earnedRewards = {};
+
+    // Trained stats and battle XP (see MechaTraining)
+    this.training = options.training || window.mechaTraining || null;
+
+    // Battle state - populated by startBattle()
+    this.battle = null;
+    this.monsterTurnTimeout = null; // Pending executeMonsterTurn
+
+    // DOM element cache
+    this.elements = {};
+
+    console.log(`⚔️ CombatScreen created for ${mineId}`);
+  }
+
+  // Override init to start the first battle
+  init() {
+    this.render();
+    this.cacheElements();
+    this.setupEventListeners();
+    this.startAnimations();
+    this.initializeAudio();
+    this.startParticleSystem();
+
+    this.startBattle();
+    this.isActive = true;
+
+    console.log(`✅ CombatScreen initialized for ${this.mineId}`);
+  }
+
+  // Get the current battle entry from the monster's battle table
+  getBattleConfig() {
+    return CONFIG_UTILS.getBattle(this.monsterType, this.battleIndex);
+  }
+
+  // Create mecha combatant from its trained stats (template stats without training)
+  createMechaCombatant() {
+    const stats = this.training
+      ? this.training.getStats(this.mechaType)
+      : this.mechaConfig.baseStats;
+
+    return {
+      side: "mecha",
+      name: this.mechaConfig.name,
+      health: stats.health,
+      maxHealth: stats.health,
+      energy: stats.energy,
+      maxEnergy: stats.energy,
+      attack: stats.attack,
+      defense: stats.defense,
+      attackBoost: 0,
+      attackBoostTurns: 0,
+      defenseBoost: 0,
+      defenseBoostTurns: 0,
+      shield: 0,
+      statuses: [],
+      moves: [...this.mechaConfig.moves],
+    };
+  }
+
+  // Create monster combatant from the current battle entry
+  createMonsterCombatant(battleConfig) {
+    return {
+      side: "monster",
+      name: this.monsterConfig.name,
+      difficulty: battleConfig.difficulty,
+      ai: battleConfig.ai,
+      health: battleConfig.health,
+      maxHealth: battleConfig.health,
+      attack: 0,
+      defense: 0,
+      attackBoost: 0,
+      attackBoostTurns: 0,
+      defenseBoost: 0,
+      defenseBoostTurns: 0,
+      shield: 0,
+      statuses: [],
+      moves: [...battleConfig.moves],
+    };
+  }
+
+  // Start (or restart) the battle at the current index
+  startBattle() {
+    const battleConfig = this.getBattleConfig();
+    if (!battleConfig) {
+      console.error(
+        `Battle ${this.battleIndex} not found for ${this.monsterType}`
+      );
+      return;
+    }
+
+    // A monster turn still pending from the last battle must not run in this
+    clearTimeout(this.monsterTurnTimeout);
+    this.monsterTurnTimeout = null;
+
+    this.battle = {
+      turn: "mecha",
+      round: 1,
+      mecha: this.createMechaCombatant(),
+      monster: this.createMonsterCombatant(battleConfig),
+      log: [],
+      result: null,
+    };
+
+    this.hideResultOverlay();
+    this.renderBattleHeader();
+    this.addLogEntry(
+      `${this.battle.monster.name} (${battleConfig.difficulty}) appears!`,
+      "system"
+    );
+    this.updateUI();
+
+    if (this.audioManager) {
+      this.audioManager.playSound("combat-start");
+    }
+  }
+
+  // Cache frequently accessed DOM elements
+  cacheElements() {
+    this.elements = {
+      backButton: this.container.querySelector(".back-button"),
+      battleTitle: this.container.querySelector(".battle-title"),
+      battleProgress: this.container.querySelector(".battle-progress"),
+      rewardValue: this.container.querySelector(".combat-reward-value"),
+      turnIndicator: this.container.querySelector(".turn-indicator"),
+      moveButtons: this.container.querySelectorAll(".move-button"),
+      combatLog: this.container.querySelector(".combat-log-entries"),
+      resultOverlay: this.container.querySelector(".combat-result-overlay"),
+      resultTitle: this.container.querySelector(".result-title"),
+      resultText: this.container.querySelector(".result-text"),
+      nextBattleButton: this.container.querySelector(".next-battle-button"),
+      retryButton: this.container.querySelector(".retry-battle-button"),
+      leaveButton: this.container.querySelector(".leave-battle-button"),
+      combatants: {
+        mecha: this.container.querySelector(".combatant.mecha-side"),
+        monster: this.container.querySelector(".combatant.monster-side"),
+      },
+    };
+  }
+
+  // Override render method
+  render() {
+    const html = `
+      <div class="combat-screen screen active">
+        <!-- Multi-layer background system -->
+        <div class="background-layer nebula-layer"></div>
+        <div class="stars-layer"></div>
+        <div class="asteroids-layer"></div>
+        <div class="particles-layer"></div>
+
+        <!-- Header -->
+        <div class="combat-header">
+          <button class="back-button btn btn-secondary">
+            <img src="images/btn-retry.png" alt="Back" />
+            <span>Retreat</span>
+          </button>
+
+          <div class="combat-title">
+            <h1 class="battle-title">${this.monsterConfig.name}</h1>
+            <p class="battle-progress"></p>
+          </div>
+
+          <div class="currency-display">
+            <div class="currency-item">
+              <img src="images/currency-${this.rewardCurrency}.png" alt="${
+      this.rewardCurrency
+    }" />
+              <span class="combat-reward-value">0</span>
+            </div>
+          </div>
+        </div>
+
+        <!-- Battle arena -->
+        <div class="combat-arena">
+          ${this.renderCombatant("mecha")}
+          <div class="combat-vs">
+            <span>VS</span>
+            <div class="turn-indicator"></div>
+          </div>
+          ${this.renderCombatant("monster")}
+        </div>
+
+        <!-- Controls -->
+        <div class="combat-controls">
+          <div class="move-list">
+            ${this.renderMoveButtons()}
+          </div>
+          <div class="combat-log">
+            <h3>Battle Log</h3>
+            <div class="combat-log-entries"></div>
+          </div>
+        </div>
+
+        <!-- Battle result overlay -->
+        <div class="combat-result-overlay hidden">
+          <div class="combat-result-content">
+            <h2 class="result-title"></h2>
+            <p class="result-text"></p>
+            <div class="result-buttons">
+              <button class="next-battle-button btn btn-primary hidden">Next Battle</button>
+              <button class="retry-battle-button btn btn-secondary">Fight Again</button>
+              <button class="leave-battle-button btn btn-secondary">Leave</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.container.innerHTML = html;
+  }
+
+  // Render one side of the arena
+  renderCombatant(side) {
+    const isMecha = side === "mecha";
+    const image = isMecha
+      ? `images/mecha-${this.mechaType}.png`
+      : CONFIG_UTILS.getMonsterImagePath(
+          this.monsterType,
+          Math.min(this.battleIndex + 1, 3)
+        );
+    const name = isMecha ? this.mechaConfig.name : this.monsterConfig.name;
+    const level =
+      isMecha && this.training
+        ? ` <small>Lv.${this.training.getMecha(this.mechaType).level}</small>`
+        : "";
+
+    return `
+      <div class="combatant ${side}-side" data-side="${side}">
+        <div class="combatant-name">${name}${level}</div>
+        <div class="combatant-visual">
+          <img src="${image}" alt="${name}" class="combatant-image" />
+        </div>
+        <div class="combat-bar health-bar">
+          <div class="combat-bar-fill health-fill"></div>
+          <div class="combat-bar-text health-text"></div>
+        </div>
+        ${
+          isMecha
+            ? `
+          <div class="combat-bar energy-bar">
+            <div class="combat-bar-fill energy-fill"></div>
+            <div class="combat-bar-text energy-text"></div>
+          </div>
+        `
+            : ""
+        }
+        <div class="combatant-status"></div>
+      </div>
+    `;
+  }
+
+  // Render mecha move buttons from GAME_CONFIG.moves
+  renderMoveButtons() {
+    return this.mechaConfig.moves
+      .map((moveId, index) => {
+        const move = GAME_CONFIG.moves[moveId];
+        if (!move) return "";
+
+        return `
+        <button class="move-button btn move-${move.type}" data-move="${moveId}">
+          <span class="move-key">${index + 1}</span>
+          <img src="images/action-${moveId}.png" alt="${move.name}" />
+          <span class="move-name">${move.name}</span>
+          <span class="move-cost">${move.energyCost} EN</span>
+          <span class="move-detail">${this.getMoveDescription(move)}</span>
+        </button>
+      `;
+      })
+      .join("");
+  }
+
+  // Describe what a mecha move does
+  getMoveDescription(move) {
+    switch (move.type) {
+      case "attack":
+        return `${move.damage} damage`;
+      case "heal":
+        return `+${move.healing} HP`;
+      case "defense":
+        return `+${move.defenseBoost} DEF for ${this.combatConfig.buffDuration} turns`;
+      case "buff":
+        return `+${move.attackBoost} ATK for ${this.combatConfig.buffDuration} turns`;
+      case "utility":
+        return `+${move.energyRestore} EN`;
+      default:
+        return "";
+    }
+  }
+
+  // Update header for the current battle
+  renderBattleHeader() {
+    const battleConfig = this.getBattleConfig();
+
+    if (this.elements.battleTitle) {
+      this.elements.battleTitle.textContent = this.monsterConfig.name;
+    }
+
+    if (this.elements.battleProgress) {
+      this.elements.battleProgress.textContent = `Battle ${
+        this.battleIndex + 1
+      }/${this.monsterConfig.battles.length} • ${battleConfig.difficulty}`;
+    }
+
+    // Later battles show tougher slime art
+    const monsterImage = this.elements.combatants.monster?.querySelector(
+      ".combatant-image"
+    );
+    if (monsterImage) {
+      monsterImage.src = CONFIG_UTILS.getMonsterImagePath(
+        this.monsterType,
+        Math.min(this.battleIndex + 1, 3)
+      );
+    }
+  }
+
+  // Override setupEventListeners to add combat events
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    // Back button
+    if (this.elements.backButton) {
+      this.elements.backButton.addEventListener("click", () => {
+        this.handleBackClick();
+      });
+    }
+
+    // Move buttons
+    this.elements.moveButtons.forEach((button) => {
+      button.addEventListener("click", (e) => {
+        this.handleMoveClick(e.currentTarget.dataset.move);
+      });
+    });
+
+    // Result overlay buttons
+    if (this.elements.nextBattleButton) {
+      this.elements.nextBattleButton.addEventListener("click", () => {
+        this.handleNextBattle();
+      });
+    }
+
+    if (this.elements.retryButton) {
+      this.elements.retryButton.addEventListener("click", () => {
+        this.startBattle();
+      });
+    }
+
+    if (this.elements.leaveButton) {
+      this.elements.leaveButton.addEventListener("click", () => {
+        this.handleBackClick();
+      });
+    }
+  }
+
+  // Override keyboard handling - number keys pick moves
+  handleKeydown(e) {
+    super.handleKeydown(e);
+
+    if (e.code === "Escape") {
+      this.handleBackClick();
+    }
+
+    if (e.code >= "Digit1" && e.code <= "Digit9") {
+      const moveIndex = parseInt(e.code.slice(-1)) - 1;
+      const moveId = this.battle?.mecha.moves[moveIndex];
+      if (moveId) {
+        this.handleMoveClick(moveId);
+      }
+    }
+  }
+
+  // Check if the mecha can use a move right now
+  canUseMove(moveId) {
+    if (!this.battle || this.battle.turn !== "mecha") return false;
+
+    const move = GAME_CONFIG.moves[moveId];
+    if (!move) return false;
+
+    return this.battle.mecha.energy >= move.energyCost;
+  }
+
+  // Handle mecha move selection
+  handleMoveClick(moveId) {
+    if (!this.battle || this.battle.result) return;
+
+    if (this.battle.turn !== "mecha") {
+      return;
+    }
+
+    if (!this.canUseMove(moveId)) {
+      this.showTemporaryMessage("Not enough energy!", "warning", 1500);
+      return;
+    }
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    this.executeMechaMove(moveId);
+
+    if (this.checkBattleEnd()) return;
+
+    // Hand the turn to the monster
+    this.battle.turn = "monster";
+    this.updateUI();
+
+    this.scheduleMonsterTurn();
+  }
+
+  // Resolve a mecha move from GAME_CONFIG.moves
+  executeMechaMove(moveId) {
+    const move = GAME_CONFIG.moves[moveId];
+    const mecha = this.battle.mecha;
+    const monster = this.battle.monster;
+
+    mecha.energy -= move.energyCost;
+
+    switch (move.type) {
+      case "attack": {
+        if (this.moveResolver.rollBlindMiss(mecha)) {
+          this.addLogEntry(`${move.name} misses in the darkness!`, "mecha");
+          break;
+        }
+
+        const damage = CONFIG_UTILS.calculateCombatDamage(
+          move.damage,
+          mecha,
+          monster
+        );
+        const dealt = this.moveResolver.dealDamage(monster, damage);
+        if (dealt.health > 0) {
+          this.addLogEntry(
+            `${move.name} hits for ${dealt.health} damage!`,
+            "mecha"
+          );
+        }
+        if (dealt.absorbed > 0) {
+          this.addLogEntry(
+            `${monster.name}'s shield absorbs ${dealt.absorbed}.`,
+            "monster"
+          );
+        }
+        this.playHitEffect("monster");
+        break;
+      }
+
+      case "heal": {
+        const healed = this.applyHealing(mecha, move.healing);
+        this.addLogEntry(`${move.name} restores ${healed} HP.`, "mecha");
+        break;
+      }
+
+      case "defense":
+        mecha.defenseBoost = move.defenseBoost;
+        mecha.defenseBoostTurns = this.combatConfig.buffDuration;
+        this.addLogEntry(
+          `${move.name}! Defense +${move.defenseBoost} for ${mecha.defenseBoostTurns} turns.`,
+          "mecha"
+        );
+        break;
+
+      case "buff":
+        mecha.attackBoost = move.attackBoost;
+        mecha.attackBoostTurns = this.combatConfig.buffDuration;
+        this.addLogEntry(
+          `${move.name}! Attack +${move.attackBoost} for ${mecha.attackBoostTurns} turns.`,
+          "mecha"
+        );
+        break;
+
+      case "utility": {
+        const restored = this.restoreEnergy(mecha, move.energyRestore);
+        this.addLogEntry(`${move.name} restores ${restored} energy.`, "mecha");
+        break;
+      }
+    }
+  }
+
+  // Run the monster's turn after the turn delay
+  scheduleMonsterTurn() {
+    clearTimeout(this.monsterTurnTimeout);
+    this.monsterTurnTimeout = this.setManagedTimeout(() => {
+      this.monsterTurnTimeout = null;
+      this.executeMonsterTurn();
+    }, this.combatConfig.turnDelay);
+  }
+
+  // Run the monster's turn
+  executeMonsterTurn() {
+    if (!this.battle || this.battle.result) return;
+    if (this.battle.turn !== "monster") return;
+
+    const moveId = this.chooseMonsterMove();
+    this.resolveMonsterMove(moveId);
+
+    if (this.checkBattleEnd()) return;
+
+    this.startNextRound();
+  }
+
+  // Pick the monster's next move using its battle entry's ai tier
+  chooseMonsterMove() {
+    const monster = this.battle.monster;
+
+    return this.monsterAI.chooseMove(monster, this.battle.mecha, {
+      power: this.combatConfig.monsterPower[monster.difficulty] || 1,
+    });
+  }
+
+  // Resolve a monster move from GAME_CONFIG.monsterMoves
+  resolveMonsterMove(moveId) {
+    const mecha = this.battle.mecha;
+    const monster = this.battle.monster;
+    const power = this.combatConfig.monsterPower[monster.difficulty] || 1;
+
+    const result = this.moveResolver.resolve(moveId, monster, mecha, power);
+    result.messages.forEach((message) => {
+      this.addLogEntry(message, "monster");
+    });
+
+    if (result.damage > 0) {
+      this.playHitEffect("mecha");
+    }
+  }
+
+  // Advance to the next mecha turn
+  startNextRound() {
+    const mecha = this.battle.mecha;
+
+    this.tickBoosts(mecha);
+    this.tickBoosts(this.battle.monster);
+
+    this.battle.round++;
+    this.battle.turn = "mecha";
+    this.restoreEnergy(mecha, this.combatConfig.energyRegenPerTurn);
+
+    // Poison, freeze etc. resolve before the mecha can act
+    const statusResult = this.moveResolver.processTurnStart(mecha);
+    statusResult.messages.forEach((message) => {
+      this.addLogEntry(message, "system");
+    });
+
+    if (this.checkBattleEnd()) return;
+
+    if (statusResult.skipTurn) {
+      this.skipMechaTurn();
+      return;
+    }
+
+    // Energy drain can leave the mecha with nothing it can afford
+    if (!mecha.moves.some((moveId) => this.canUseMove(moveId))) {
+      this.addLogEntry(`${mecha.name} is out of energy and recharges!`, "system");
+      this.skipMechaTurn();
+      return;
+    }
+
+    this.updateUI();
+  }
+
+  // Pass the mecha's turn straight back to the monster
+  skipMechaTurn() {
+    this.battle.turn = "monster";
+    this.updateUI();
+
+    this.scheduleMonsterTurn();
+  }
+
+  // Count down active boosts on a combatant
+  tickBoosts(combatant) {
+    if (combatant.attackBoostTurns > 0) {
+      combatant.attackBoostTurns--;
+      if (combatant.attackBoostTurns === 0) {
+        combatant.attackBoost = 0;
+      }
+    }
+
+    if (combatant.defenseBoostTurns > 0) {
+      combatant.defenseBoostTurns--;
+      if (combatant.defenseBoostTurns === 0) {
+        combatant.defenseBoost = 0;
+      }
+    }
+  }
+
+  // Apply healing to a combatant, returns the amount actually healed
+  applyHealing(combatant, amount) {
+    const before = combatant.health;
+    combatant.health = Math.min(combatant.maxHealth, combatant.health + amount);
+    return combatant.health - before;
+  }
+
+  // Restore energy, returns the amount actually restored
+  restoreEnergy(combatant, amount) {
+    const before = combatant.energy;
+    combatant.energy = Math.min(combatant.maxEnergy, combatant.energy + amount);
+    return combatant.energy - before;
+  }
+
+  // Check for a winner and end the battle if found
+  checkBattleEnd() {
+    if (this.battle.monster.health <= 0) {
+      this.endBattle(true);
+      return true;
+    }
+
+    if (this.battle.mecha.health <= 0) {
+      this.endBattle(false);
+      return true;
+    }
+
+    return false;
+  }
+
+  // End the battle and award rewards
+  endBattle(victory) {
+    const battleConfig = this.getBattleConfig();
+    const reward = victory
+      ? CONFIG_UTILS.getCombatReward(battleConfig.difficulty)
+      : 0;
+
+    this.battle.turn = "over";
+    this.battle.result = {
+      victory,
+      mineId: this.mineId,
+      monsterType: this.monsterType,
+      battleIndex: this.battleIndex,
+      difficulty: battleConfig.difficulty,
+      rounds: this.battle.round,
+      rewards: victory ? { [this.rewardCurrency]: reward } : {},
+      growth: null, // { xp, levelsGained, level } when training is tracked
+    };
+
+    if (victory) {
+      this.awardRewards(this.battle.result.rewards);
+      this.addLogEntry(`${this.battle.monster.name} defeated!`, "system");
+      this.awardBattleXp(battleConfig.difficulty);
+    } else {
+      this.addLogEntry(`${this.battle.mecha.name} is out of action...`, "system");
+    }
+
+    this.updateUI();
+    this.showResultOverlay(this.battle.result);
+
+    if (this.audioManager) {
+      this.audioManager.playSound(victory ? "combat-victory" : "combat-defeat");
+    }
+
+    if (this.callbacks.onBattleEnd) {
+      this.callbacks.onBattleEnd(this.battle.result, this);
+    }
+
+    console.log("⚔️ Battle ended:", this.battle.result);
+  }
+
+  // Pay rewards into the wallet and track what was earned this visit
+  awardRewards(rewards) {
+    Object.entries(rewards).forEach(([currency, amount]) => {
+      this.earnedRewards[currency] = (this.earnedRewards[currency] || 0) + amount;
+      if (this.wallet) {
+        this.wallet.add(currency, amount);
+      }
+    });
+
+    if (this.elements.rewardValue) {
+      this.elements.rewardValue.textContent =
+        this.earnedRewards[this.rewardCurrency] || 0;
+    }
+  }
+
+  // Grow the mecha from a victory - new stats apply from the next battle
+  awardBattleXp(difficulty) {
+    if (!this.training) return;
+
+    const growth = this.training.addBattleXp(this.mechaType, difficulty);
+    this.battle.result.growth = growth;
+
+    this.addLogEntry(
+      `${this.battle.mecha.name} gained ${growth.xp} XP`,
+      "system"
+    );
+    if (growth.levelsGained > 0) {
+      this.addLogEntry(
+        `${this.battle.mecha.name} reached level ${growth.level}!`,
+        "system"
+      );
+    }
+  }
+
+  // Move on to the next battle in the monster's table
+  handleNextBattle() {
+    if (!this.hasNextBattle()) return;
+
+    this.battleIndex++;
+    this.startBattle();
+  }
+
+  // Check if there is another battle after the current one
+  hasNextBattle() {
+    return this.battleIndex < this.monsterConfig.battles.length - 1;
+  }
+
+  // Show the end-of-battle overlay
+  showResultOverlay(result) {
+    const { resultOverlay, resultTitle, resultText, nextBattleButton } =
+      this.elements;
+    if (!resultOverlay) return;
+
+    if (resultTitle) {
+      resultTitle.textContent = result.victory ? "VICTORY!" : "DEFEAT";
+      resultTitle.className = `result-title ${
+        result.victory ? "victory" : "defeat"
+      }`;
+    }
+
+    if (resultText) {
+      const reward = result.rewards[this.rewardCurrency];
+      const growth = result.growth;
+      resultText.textContent = result.victory
+        ? `Won in ${result.rounds} rounds. Earned ${reward} ${this.rewardCurrency.replace(
+            "_",
+            " "
+          )}!${growth ? ` +${growth.xp} XP` : ""}${
+            growth?.levelsGained ? ` - level ${growth.level}!` : ""
+          }`
+        : "Your mecha needs repairs. Train it up and try again!";
+    }
+
+    if (nextBattleButton) {
+      nextBattleButton.classList.toggle(
+        "hidden",
+        !result.victory || !this.hasNextBattle()
+      );
+    }
+
+    resultOverlay.classList.remove("hidden");
+  }
+
+  // Hide the end-of-battle overlay
+  hideResultOverlay() {
+    if (this.elements.resultOverlay) {
+      this.elements.resultOverlay.classList.add("hidden");
+    }
+  }
+
+  // UI update methods
+  updateUI() {
+    if (!this.battle) return;
+
+    this.updateCombatantUI(this.battle.mecha);
+    this.updateCombatantUI(this.battle.monster);
+    this.updateMoveButtons();
+    this.updateTurnIndicator();
+  }
+
+  updateCombatantUI(combatant) {
+    const element = this.elements.combatants[combatant.side];
+    if (!element) return;
+
+    const healthFill = element.querySelector(".health-fill");
+    const healthText = element.querySelector(".health-text");
+    const healthPercent = (combatant.health / combatant.maxHealth) * 100;
+
+    if (healthFill) healthFill.style.width = `${healthPercent}%`;
+    if (healthText) {
+      healthText.textContent = `${combatant.health}/${combatant.maxHealth} HP`;
+    }
+
+    if (combatant.side === "mecha") {
+      const energyFill = element.querySelector(".energy-fill");
+      const energyText = element.querySelector(".energy-text");
+      const energyPercent = (combatant.energy / combatant.maxEnergy) * 100;
+
+      if (energyFill) energyFill.style.width = `${energyPercent}%`;
+      if (energyText) {
+        energyText.textContent = `${combatant.energy}/${combatant.maxEnergy} EN`;
+      }
+    }
+
+    const status = element.querySelector(".combatant-status");
+    if (status) {
+      status.innerHTML = this.renderStatusBadges(combatant);
+    }
+
+    element.classList.toggle("defeated", combatant.health <= 0);
+  }
+
+  // Render active boost, shield and status effect badges
+  renderStatusBadges(combatant) {
+    const badges = [];
+
+    if (combatant.shield > 0) {
+      badges.push(
+        `<span class="status-badge shield">🔰 ${combatant.shield}</span>`
+      );
+    }
+
+    combatant.statuses.forEach((status) => {
+      const display = this.moveResolver.getStatusDisplay(status);
+      badges.push(
+        `<span class="status-badge status-${status.type}" title="${display.label}">${display.icon} (${display.turns})</span>`
+      );
+    });
+
+    if (combatant.attackBoostTurns > 0) {
+      badges.push(
+        `<span class="status-badge attack-boost">⚔️ +${combatant.attackBoost} (${combatant.attackBoostTurns})</span>`
+      );
+    }
+
+    if (combatant.defenseBoostTurns > 0) {
+      badges.push(
+        `<span class="status-badge defense-boost">🛡️ +${combatant.defenseBoost} (${combatant.defenseBoostTurns})</span>`
+      );
+    }
+
+    return badges.join("");
+  }
+
+  updateMoveButtons() {
+    this.elements.moveButtons.forEach((button) => {
+      button.disabled = !this.canUseMove(button.dataset.move);
+    });
+  }
+
+  updateTurnIndicator() {
+    const indicator = this.elements.turnIndicator;
+    if (!indicator) return;
+
+    const labels = {
+      mecha: `Round ${this.battle.round} • Your turn`,
+      monster: "Monster's turn...",
+      over: "Battle over",
+    };
+    indicator.textContent = labels[this.battle.turn] || "";
+    indicator.className = `turn-indicator turn-${this.battle.turn}`;
+  }
+
+  // Add a line to the battle log
+  addLogEntry(message, source = "system") {
+    this.battle.log.push({ message, source, round: this.battle.round });
+
+    const logElement = this.elements.combatLog;
+    if (!logElement) return;
+
+    const entry = document.createElement("div");
+    entry.className = `log-entry log-${source}`;
+    entry.textContent = message;
+    logElement.prepend(entry);
+
+    // Keep the log short
+    while (logElement.children.length > 8) {
+      logElement.lastElementChild.remove();
+    }
+  }
+
+  // Visual hit feedback on a combatant
+  playHitEffect(side) {
+    const element = this.elements.combatants[side];
+    if (!element) return;
+
+    element.classList.remove("hit");
+    element.offsetHeight; // Trigger reflow to restart animation
+    element.classList.add("hit");
+
+    const rect = element.getBoundingClientRect();
+    this.createParticleBurst(
+      rect.left + rect.width / 2,
+      rect.top + rect.height / 2,
+      8,
+      side === "monster" ? "rgba(0, 255, 136, 0.8)" : "rgba(255, 68, 68, 0.8)"
+    );
+
+    if (side === "mecha") {
+      this.triggerScreenShake(200);
+    }
+  }
+
+  // Event handlers
+  handleBackClick() {
+    console.log("🔙 Leaving combat");
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    if (this.callbacks.onExit) {
+      this.callbacks.onExit(this.earnedRewards, this);
+      return;
+    }
+
+    this.showTemporaryMessage("Returning to mine...", "info");
+  }
+
+  // Override initializeAudio to add combat sounds
+  initializeAudio() {
+    super.initializeAudio();
+
+    this.audioManager.sounds = {
+      ...this.audioManager.sounds,
+      "combat-start": null,
+      "combat-victory": null,
+      "combat-defeat": null,
+    };
+  }
+
+  // Debug helpers
+  debugWinBattle() {
+    if (!this.battle || this.battle.result) return;
+    this.battle.monster.health = 0;
+    this.checkBattleEnd();
+  }
+
+  getBattleStatus() {
+    return {
+      mineId: this.mineId,
+      battleIndex: this.battleIndex,
+      turn: this.battle?.turn,
+      round: this.battle?.round,
+      mecha: this.battle ? { ...this.battle.mecha } : null,
+      monster: this.battle ? { ...this.battle.monster } : null,
+      earnedRewards: { ...this.earnedRewards },
+    };
+  }
+
+  // Debug method to see how the smart brain rates each monster move right now
+  debugMonsterScores() {
+    if (!this.battle) return null;
+
+    const monster = this.battle.monster;
+    const context = {
+      power: this.combatConfig.monsterPower[monster.difficulty] || 1,
+    };
+    const scores = {};
+
+    monster.moves.forEach((moveId) => {
+      scores[moveId] = Math.round(
+        this.monsterAI.scoreMove(moveId, monster, this.battle.mecha, context)
+      );
+    });
+
+    return { ai: monster.ai, scores };
+  }
+
+  // Override destroy to clean up combat state
+  destroy() {
+    this.elements = {};
+    this.battle = null;
+
+    super.destroy();
+
+    console.log("🗑️ CombatScreen destroyed and cleaned up");
+  }
+}
+
+// Make available globally for debug system
+window.CombatScreen = CombatScreen;
+
+console.log("⚔️ CombatScreen class loaded!");
@@ -33,6 +33,7 @@ const GAME_CONFIG = {
       unlockCost: { shells: 0, monster_shells: 0 },
       baseOutput: 1,
       baseInterval: 10000,
+      slotProtection: { softStart: 4, hardCap: 8 }, // Gentler first mine
     },
     mine2: {
       name: "Ice Mine",
@@ -42,6 +43,7 @@ const GAME_CONFIG = {
       unlockCost: { shells: 25, monster_shells: 0 },
       baseOutput: 1,
       baseInterval: 8000,
+      minigame: { mode: "movingZone" },
     },
     mine3: {
       name: "Crystal Mine",
@@ -51,6 +53,7 @@ const GAME_CONFIG = {
       unlockCost: { shells: 50, monster_shells: 1 },
       baseOutput: 1,
       baseInterval: 6000,
+      minigame: { mode: "multiZone" },
     },
     mine4: {
       name: "Gas Mine",
@@ -60,6 +63,7 @@ const GAME_CONFIG = {
       unlockCost: { shells: 500, monster_shells: 10 },
       baseOutput: 1,
       baseInterval: 4000,
+      minigame: { mode: "pressure" },
     },
     mine5: {
       name: "Rare Earth Mine",
@@ -69,6 +73,8 @@ const GAME_CONFIG = {
       unlockCost: { shells: 1000, monster_shells: 25 },
       baseOutput: 1,
       baseInterval: 3000,
+      slotProtection: { boostPerLoss: 0.03, hardCap: 20 },
+      minigame: { mode: "rhythm" },
     },
   },
 
@@ -166,6 +172,125 @@ const GAME_CONFIG = {
     },
   },
 
+  // Turn-based combat rules
+  combat: {
+    turnDelay: 1200, // Pause before the monster acts (ms)
+    energyRegenPerTurn: 5, // Passive energy at the start of each mecha turn
+    buffDuration: 3, // Turns an attack/defense boost stays active
+    attackScaling: 0.25, // Bonus damage per point of attack
+    defenseScaling: 0.25, // Damage reduction per point of defense
+    monsterPower: { easy: 1.0, medium: 1.2, hard: 1.45, boss: 1.75 }, // Scales monster move numbers
+    maxShield: 60, // Shields stack up to this amount
+    rewards: { easy: 1, medium: 3, hard: 5, boss: 10 }, // monster_* currency
+  },
+
+  // Monster move library - referenced by monsters[*].battles[*].moves
+  // Effects resolve in order: hits -> lifesteal -> energyDrain -> status ->
+  // healing -> shield -> boosts -> dispel (see MonsterMoveResolver)
+  monsterMoves: {
+    // Acidic Slime - poison that wears the mecha down over time
+    slime_splash: { name: "Slime Splash", type: "attack", damage: 10 },
+    acid_spit: {
+      name: "Acid Spit",
+      type: "attack",
+      damage: 7,
+      status: { type: "poison", amount: 4, turns: 3 },
+    },
+    slime_heal: { name: "Slime Heal", type: "heal", healing: 15 },
+    toxic_cloud: {
+      name: "Toxic Cloud",
+      type: "status",
+      status: { type: "poison", amount: 7, turns: 4 },
+    },
+
+    // Frost Slime - freezes the mecha and hides behind ice armor
+    ice_shard: { name: "Ice Shard", type: "attack", damage: 12 },
+    freeze_blast: {
+      name: "Freeze Blast",
+      type: "attack",
+      damage: 6,
+      status: { type: "freeze", turns: 1, chance: 0.5 },
+    },
+    ice_armor: {
+      name: "Ice Armor",
+      type: "buff",
+      defenseBoost: 8,
+      boostTurns: 3,
+    },
+    blizzard: {
+      name: "Blizzard",
+      type: "attack",
+      damage: 5,
+      hits: 3,
+      status: { type: "freeze", turns: 1, chance: 0.3 },
+    },
+
+    // Crystal Slime - damage-absorbing barriers and shard volleys
+    crystal_spike: { name: "Crystal Spike", type: "attack", damage: 14 },
+    gem_barrier: { name: "Gem Barrier", type: "shield", shield: 20 },
+    crystal_heal: {
+      name: "Crystal Heal",
+      type: "heal",
+      healing: 10,
+      shield: 8,
+    },
+    shard_storm: {
+      name: "Shard Storm",
+      type: "attack",
+      damage: 4,
+      hits: [3, 5],
+    },
+
+    // Plasma Slime - drains mecha energy to starve its moves
+    plasma_burst: { name: "Plasma Burst", type: "attack", damage: 13 },
+    energy_drain: {
+      name: "Energy Drain",
+      type: "drain",
+      damage: 5,
+      energyDrain: 15,
+    },
+    plasma_shield: {
+      name: "Plasma Shield",
+      type: "shield",
+      shield: 12,
+      attackBoost: 4,
+      boostTurns: 2,
+    },
+    ion_storm: {
+      name: "Ion Storm",
+      type: "attack",
+      damage: 5,
+      hits: 4,
+      energyDrain: 4, // Per hit
+    },
+
+    // Void Slime - blinds, steals life and erases mecha boosts
+    void_strike: {
+      name: "Void Strike",
+      type: "attack",
+      damage: 14,
+      lifesteal: 0.3,
+    },
+    darkness: {
+      name: "Darkness",
+      type: "status",
+      status: { type: "blind", turns: 2, missChance: 0.5 },
+    },
+    void_heal: {
+      name: "Void Heal",
+      type: "drain",
+      damage: 8,
+      lifesteal: 1.0,
+    },
+    black_hole: {
+      name: "Black Hole",
+      type: "attack",
+      damage: 18,
+      energyDrain: 20,
+      dispel: true,
+    },
+  },
+
   // Monster templates - Updated to use new slime naming pattern
   monsters: {
     yellow: {
@@ -394,6 +519,115 @@ const GAME_CONFIG = {
     },
   },
 
+  // Mining economy formulas (see Economy)
+  economy: {
+    mechaOutputMultiplier: 2, // A built mecha doubles base output
+    storageStep: 100, // Efficiency upgrade pays per this much currency stored
+    energyPerOutputBonus: 0.1, // Hit energy +10% per point of outputBonus
+    autoEnergyBase: 2, // Auto-mining energy per tick
+    autoEnergyPerOutputBonus: 0.5,
+    cycleDropRates: { default: 0.03, mine1: 0.05 }, // Geode chance per cycle
+    hitDropRates: { perfect: 0.08, good: 0.05, miss: 0.02 }, // Per timing hit
+    comboDropBonus: 0.001, // +0.1% hit drop chance per combo
+    criticalDropBonus: 0.1, // +10% hit drop chance on critical hits
+    maxDropRate: 0.95,
+  },
+
+  // Timing minigame cursor (see TimingCursor) - positions come from the
+  // clock, not from a CSS animation, so load and frame rate can't move them
+  timing: {
+    curve: "linear", // linear, ease, pingPong or accelerating
+    sweepDuration: 2000, // ms for one pass across the bar
+    comboSpeedup: 0.05, // accelerating: each combo makes a pass 5% faster
+    minSweepDuration: 700, // accelerating: the fastest a pass gets (ms)
+    calibration: {
+      taps: 8, // Taps in a calibration run (see TimingCalibration)
+      maxOffset: 300, // ms - taps further off are ignored, offsets clamped
+      target: 0.5, // Where on the bar the taps aim
+    },
+  },
+
+  // Timing minigame variants (see MiningMinigame) - a mine's minigame picks a
+  // mode and can override its settings (see CONFIG_UTILS.getMinigame). Zones
+  // are fractions of the bar; perfectZone is +/- around optimal
+  minigames: {
+    classic: {
+      hint: "Stop the cursor in the green",
+      zones: [{ start: 0.2, end: 0.8, optimal: 0.5, perfectZone: 0.1 }],
+    },
+    movingZone: {
+      hint: "The green drifts - catch it",
+      zones: [{ start: 0.35, end: 0.65, optimal: 0.5, perfectZone: 0.07 }],
+      drift: 0.2, // How far the zone swings either way
+      driftPeriod: 3000, // ms for one full swing
+    },
+    multiZone: {
+      hint: "Any sweet spot counts",
+      zones: [
+        { start: 0.1, end: 0.24, optimal: 0.17, perfectZone: 0.035 },
+        { start: 0.43, end: 0.57, optimal: 0.5, perfectZone: 0.035 },
+        { start: 0.76, end: 0.9, optimal: 0.83, perfectZone: 0.035 },
+      ],
+    },
+    pressure: {
+      hint: "Hold to build pressure, release in the green",
+      zones: [{ start: 0.65, end: 0.95, optimal: 0.85, perfectZone: 0.05 }],
+      fillDuration: 1500, // ms to fill the gauge - holding longer bursts it
+    },
+    rhythm: {
+      hint: "Hit every beat - the cursor doesn't wait",
+      zones: [
+        { start: 0.14, end: 0.26, optimal: 0.2, perfectZone: 0.03 },
+        { start: 0.34, end: 0.46, optimal: 0.4, perfectZone: 0.03 },
+        { start: 0.54, end: 0.66, optimal: 0.6, perfectZone: 0.03 },
+        { start: 0.74, end: 0.86, optimal: 0.8, perfectZone: 0.03 },
+      ],
+      curve: "linear", // Beats need a steady cursor
+    },
+  },
+
+  // Mine-wide upgrade rules (see CONFIG_UTILS.applyUpgradeRule), in the units
+  // of mineUpgrades - gains past softCap count at softRate, nothing passes cap,
+  // and the overflow is paid out in mine currency at overflowValue per unit
+  mineUpgradeRules: {
+    timeReduction: {
+      softCap: 0.5,
+      cap: 0.9,
+      softRate: 0.5,
+      overflowValue: 300,
+    },
+    outputBonus: {
+      softCap: 50,
+      cap: 100,
+      softRate: 0.5,
+      overflowValue: 8,
+    },
+    outputMultiplier: {
+      softCap: 0.25,
+      cap: 0.5,
+      softRate: 0.5,
+      overflowValue: 3000,
+    },
+    partDropRate: {
+      softCap: 0.5,
+      cap: 0.95,
+      softRate: 0.5,
+      overflowValue: 750,
+    },
+    comboBonus: {
+      softCap: 0.5,
+      cap: 1.0,
+      softRate: 0.5,
+      overflowValue: 300,
+    },
+    criticalChance: {
+      softCap: 0.25,
+      cap: 0.5,
+      softRate: 0.5,
+      overflowValue: 750,
+    },
+  },
+
   // UI/Animation settings
   animations: {
     starCount: 50,
@@ -403,17 +637,50 @@ const GAME_CONFIG = {
   },
 
   // Audio settings
+  // Audio (see AudioEngine) - bus volumes match take3's audio.volume
   audio: {
     enabled: false, // Enabled after first user interaction
-    volume: 0.5,
+    volume: {
+      master: 0.7,
+      music: 0.5,
+      sfx: 0.8,
+    },
+    maxVoices: 16, // Sounds playing at once - the oldest one-shot is cut
+    music: ["background-music"], // Played on the music bus, everything else is sfx
+    basePath: "audio/", // Sounds missing from the map load from audio/<name>.mp3
     sounds: {
-      button_click: "button-click.mp3",
-      mining_complete: "mining-complete.mp3",
-      mecha_build: "mecha-build.mp3",
-      combat_start: "combat-start.mp3",
-      slot_spin: "slot-spin.mp3",
-      upgrade_success: "upgrade-success.mp3",
-      geode_open: "geode-open.mp3",
+      "button-click": "audio/button-click.mp3",
+      "ui-hover": "audio/ui-hover.mp3",
+      "screen-transition": "audio/screen-transition.mp3",
+      "background-music": "audio/background-music.mp3",
+      "logo-intro": "audio/logo-intro.mp3",
+      "ui-appear": "audio/ui-appear.mp3",
+      click: "audio/click.mp3",
+      type: "audio/type.mp3",
+      "game-complete": "audio/game-complete.mp3",
+      "mine-enter": "audio/mine-enter.mp3",
+      "mine-built": "audio/mine-built.mp3",
+      "mining-start": "audio/mining-start.mp3",
+      "mining-complete": "audio/mining-complete.mp3",
+      "energy-charge": "audio/energy-charge.mp3",
+      "energy-full": "audio/energy-full.mp3",
+      "slot-spin": "audio/slot-spin.mp3",
+      "upgrade-success": "audio/upgrade-success.mp3",
+      "geode-purchase": "audio/geode-purchase.mp3",
+      "geode-open-common": "audio/geode-open.mp3",
+      "geode-open-uncommon": "audio/geode-open.mp3",
+      "geode-open-rare": "audio/geode-open-rare.mp3",
+      "geode-open-legendary": "audio/geode-open-rare.mp3",
+      "part-collected": "audio/part-collected.mp3",
+      "parts-complete": "audio/parts-complete.mp3",
+      "mecha-built": "audio/mecha-build.mp3",
+      "combat-start": "audio/combat-start.mp3",
+      "combat-victory": "audio/combat-victory.mp3",
+      "combat-defeat": "audio/combat-defeat.mp3",
+      "trade-add": "audio/trade-add.mp3",
+      "trade-complete": "audio/trade-complete.mp3",
+      "train-stat": "audio/upgrade-success.mp3",
+      success: "audio/success.mp3",
     },
   },
 
@@ -428,10 +695,60 @@ const GAME_CONFIG = {
 
   // Training currency exchange (also unfavorable)
   trainingRates: {
+    currency: "shells", // Training credits only trade against this currency
     currencyToTraining: 0.5, // 1 currency = 0.5 training credits
     trainingToCurrency: 2.0, // 1 training credit = 2 currency
   },
 
+  // Mecha training (see MechaTraining) - credits buy stat levels, victories give XP
+  // A stat trained to level L adds round(perLevel * L ^ curve) to baseStats
+  // (curve < 1 tapers off, curve > 1 speeds up)
+  // Training level L+1 costs baseCost * costGrowth ^ L credits
+  training: {
+    stats: {
+      health: {
+        perLevel: 8,
+        curve: 0.9,
+        baseCost: 4,
+        costGrowth: 1.25,
+        maxLevel: 25,
+      },
+      energy: {
+        perLevel: 4,
+        curve: 0.9,
+        baseCost: 4,
+        costGrowth: 1.25,
+        maxLevel: 25,
+      },
+      attack: {
+        perLevel: 2,
+        curve: 1.0,
+        baseCost: 6,
+        costGrowth: 1.3,
+        maxLevel: 20,
+      },
+      defense: {
+        perLevel: 2,
+        curve: 1.0,
+        baseCost: 6,
+        costGrowth: 1.3,
+        maxLevel: 20,
+      },
+    },
+    battleXp: { easy: 20, medium: 40, hard: 70, boss: 150 }, // XP per victory
+    levelXp: 100, // XP from level 1 to 2
+    levelXpGrowth: 1.4, // Each mecha level needs this much more XP
+    maxLevel: 30,
+    // Stats gained per mecha level
+    levelBonus: { health: 5, energy: 2, attack: 1, defense: 1 },
+  },
+
+  // Exchange terminal (see TradingScreen)
+  exchange: {
+    maxBatchSize: 10, // Trades queued before confirming
+    historyLength: 50, // Batches kept in the transaction history
+  },
+
   // Machine purchase costs - Updated per requirements
   machineCosts: {
     machine1: { shells: 0, monster_shells: 0 }, // Free
@@ -439,13 +756,58 @@ const GAME_CONFIG = {
     machine3: { shells: 50, monster_shells: 10 }, // 50 shells + 10 monster
     machine4: { shells: 500, monster_shells: 100 }, // 500 shells + 100 monster
   },
+
+  // Bad-luck protection for the upgrade slot machine - a mine's own
+  // slotProtection overrides these (see CONFIG_UTILS.getSlotProtection)
+  slotProtection: {
+    enabled: true,
+    softStart: 8, // Losses in a row before the odds start improving
+    boostPerLoss: 0.05, // Extra chance of a protected win per loss after that
+    hardCap: 15, // After this many losses in a row the next spin always wins
+  },
+
+  // Offline auto-mining (mines with a built mecha keep working while away)
+  offlineProgress: {
+    minAwayTime: 60000, // Shorter absences aren't worth a summary (ms)
+    maxAwayTime: 8 * 60 * 60 * 1000, // Progress is capped at 8 hours (ms)
+  },
+
+  // Shared wallet - one balance per mine currency and its monster variant
+  wallet: {
+    startingBalances: { shells: 100 }, // Starting currency for testing
+    // Currencies that aren't mined anywhere
+    extraCurrencies: {
+      training: { label: "training credits", icon: "🎓" }, // From the exchange
+    },
+  },
+
+  // Campaign save settings (see SaveManager)
+  save: {
+    storageKey: "mechaXMonsterCampaign", // Slot keys are storageKey + "_" + slot
+    version: 3, // Bump with a new SaveManager migration when the shape changes
+    defaultSlot: "slot1",
+    maxSlots: 5,
+    // Key suffixes SaveManager keeps for itself
+    reservedSlots: ["index", "calibration"],
+    autosaveInterval: 30000, // ms between autosaves
+  },
 };
 
 // Utility functions for working with config data
 const CONFIG_UTILS = {
-  // Get random element from array
-  getRandomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+  // Get random element from array (the shared "loot" stream by default)
+  getRandomElement(array, random = GameRandom.getShared().stream("loot")) {
+    return array[Math.floor(random() * array.length)];
+  },
+
+  // Create a standalone seeded random function (see GameRandom)
+  createSeededRandom(seed) {
+    return GameRandom.createGenerator(seed);
+  },
+
+  // Turn a string seed into a 32-bit number
+  hashSeed(text) {
+    return GameRandom.hashSeed(text);
   },
 
   // Create entity from template
@@ -466,11 +828,38 @@ const CONFIG_UTILS = {
 
   // Calculate exchange value
   calculateExchange(fromCurrency, toCurrency, amount) {
+    return Math.floor(
+      amount * CONFIG_UTILS.getExchangeRate(fromCurrency, toCurrency)
+    );
+  },
+
+  // Get the rate between two currencies, training credits included (0 = no route)
+  getExchangeRate(fromCurrency, toCurrency) {
+    const training = GAME_CONFIG.trainingRates;
+    if (fromCurrency === training.currency && toCurrency === "training") {
+      return training.currencyToTraining;
+    }
+    if (fromCurrency === "training" && toCurrency === training.currency) {
+      return training.trainingToCurrency;
+    }
+
     const rates = GAME_CONFIG.exchangeRates;
-    if (!rates[fromCurrency] || !rates[fromCurrency][toCurrency]) {
-      return 0;
+    return (rates[fromCurrency] && rates[fromCurrency][toCurrency]) || 0;
+  },
+
+  // Display name for a currency ("monster_shells" -> "monster shells")
+  getCurrencyLabel(currency) {
+    const extra = GAME_CONFIG.wallet.extraCurrencies[currency];
+    return extra ? extra.label : currency.replace("_", " ");
+  },
+
+  // Icon markup for a currency - image, or emoji for currencies without one
+  getCurrencyIconHTML(currency, className = "currency-icon") {
+    const extra = GAME_CONFIG.wallet.extraCurrencies[currency];
+    if (extra) {
+      return `<span class="${className} currency-emoji" title="${extra.label}">${extra.icon}</span>`;
     }
-    return Math.floor(amount * rates[fromCurrency][toCurrency]);
+    return `<img src="images/currency-${currency}.png" alt="${currency}" class="${className}" />`;
   },
 
   // Validate mecha parts completion
@@ -508,8 +897,69 @@ const CONFIG_UTILS = {
     );
   },
 
+  // Bad-luck protection rules for a mine's upgrade slot machine
+  getSlotProtection(mineId) {
+    return {
+      ...GAME_CONFIG.slotProtection,
+      ...(GAME_CONFIG.mines[mineId]?.slotProtection || {}),
+    };
+  },
+
+  // Timing minigame settings for a mine - its mode's defaults plus overrides
+  getMinigame(mineId) {
+    const { mode = "classic", ...overrides } =
+      GAME_CONFIG.mines[mineId]?.minigame || {};
+    return { mode, ...GAME_CONFIG.minigames[mode], ...overrides };
+  },
+
+  // Add a gain to a mine-wide upgrade level under its rules
+  // Returns the new level, the overflow past the cap and its currency value
+  applyUpgradeRule(upgradeType, level, gain) {
+    const rule = GAME_CONFIG.mineUpgradeRules[upgradeType];
+    if (!rule) {
+      return { level: level + gain, applied: gain, overflow: 0, currency: 0 };
+    }
+
+    let newLevel = level;
+    let remaining = gain;
+
+    // Full value up to the soft cap, diminished past it
+    if (newLevel < rule.softCap) {
+      const full = Math.min(remaining, rule.softCap - newLevel);
+      newLevel += full;
+      remaining -= full;
+    }
+    newLevel += remaining * rule.softRate;
+
+    // Whatever would pass the cap overflows (in gain units)
+    let overflow = 0;
+    if (newLevel > rule.cap) {
+      const excess = (newLevel - Math.max(rule.cap, level)) / rule.softRate;
+      overflow = Math.min(Math.max(excess, 0), gain);
+      newLevel = Math.max(rule.cap, Math.min(level, newLevel));
+    }
+
+    return {
+      level: newLevel,
+      applied: newLevel - level,
+      overflow,
+      currency: Math.floor(overflow * rule.overflowValue),
+    };
+  },
+
+  // Check if a mine-wide upgrade has reached its cap
+  isUpgradeMaxed(upgradeType, level) {
+    const rule = GAME_CONFIG.mineUpgradeRules[upgradeType];
+    return Boolean(rule) && level >= rule.cap;
+  },
+
   // Check if upgrade is available (not at maximum)
   canUpgrade(upgradeType, currentLevel) {
+    // Mine-wide upgrades follow their rules table
+    if (GAME_CONFIG.mineUpgradeRules[upgradeType]) {
+      return !this.isUpgradeMaxed(upgradeType, currentLevel);
+    }
+
     // Define maximum levels for each upgrade type
     const maxLevels = {
       reduce_time: 10, // Maximum 100% reduction (never reaches 0)
@@ -540,36 +990,58 @@ const CONFIG_UTILS = {
     return Math.max(baseInterval * (1 - reduction), 100); // Minimum 100ms
   },
 
-  // Calculate total currency output including upgrades
+  // Calculate total currency output including upgrades (see Economy)
   calculateCurrencyOutput(baseOutput, upgrades, storedCurrency, hasMecha) {
-    let totalOutput = baseOutput;
-
-    // Apply mecha bonus
-    if (hasMecha) {
-      totalOutput *= 2;
-    }
+    return new Economy(GAME_CONFIG.economy).getCycleOutput({
+      baseOutput,
+      hasMecha,
+      upgrades,
+      storedCurrency,
+    }).total;
+  },
 
-    // Apply output bonus
-    totalOutput += upgrades.outputBonus || 0;
+  // Calculate geode drop rate including upgrades (see Economy)
+  calculateGeodeDropRate(baseDropRate, upgrades) {
+    return new Economy(GAME_CONFIG.economy).capDropRate({
+      base: baseDropRate,
+      upgrades: upgrades.partDropRate || 0,
+    }).rate;
+  },
 
-    // Apply storage multiplier
-    const storageMultiplier =
-      (upgrades.outputMultiplier || 0) * Math.floor(storedCurrency / 100);
-    totalOutput *= 1 + storageMultiplier;
+  // Get a monster battle entry by index (0-4)
+  getBattle(monsterType, battleIndex) {
+    const monster = GAME_CONFIG.monsters[monsterType];
+    if (!monster) return null;
+    return monster.battles[battleIndex] || null;
+  },
 
-    return Math.floor(totalOutput);
+  // Calculate combat damage - stats scale, active boosts apply flat
+  calculateCombatDamage(baseDamage, attacker = {}, defender = {}) {
+    const { attackScaling, defenseScaling } = GAME_CONFIG.combat;
+    const bonus =
+      (attacker.attack || 0) * attackScaling + (attacker.attackBoost || 0);
+    const reduction =
+      (defender.defense || 0) * defenseScaling + (defender.defenseBoost || 0);
+    return Math.max(1, Math.floor(baseDamage + bonus - reduction)); // Every hit deals at least 1
   },
 
-  // Calculate geode drop rate including upgrades
-  calculateGeodeDropRate(baseDropRate, upgrades) {
-    const bonusRate = upgrades.partDropRate || 0;
-    return Math.min(baseDropRate + bonusRate, 1.0); // Cap at 100%
+  // Get monster currency reward for a battle difficulty
+  getCombatReward(difficulty) {
+    return GAME_CONFIG.combat.rewards[difficulty] || 0;
   },
 };
 
 // Export for use in other files (if using modules)
 if (typeof module !== "undefined" && module.exports) {
   module.exports = { GAME_CONFIG, CONFIG_UTILS };
+
+  // The browser loads GameRandom and Economy as their own scripts
+  if (typeof GameRandom === "undefined") {
+    globalThis.GameRandom = require("./gamerandom.js");
+  }
+  if (typeof Economy === "undefined") {
+    globalThis.Economy = require("./economy.js");
+  }
 }
 
 console.log("📋 Game configuration loaded");
@@ -0,0 +1,106 @@
+// Economy - The one place mining output, energy and geode drops are computed
+// Pure formulas over GAME_CONFIG.economy - callers roll the dice and move the
+// currency. Every result carries a breakdown of where its value came from
+class Economy {
+  constructor(config = GAME_CONFIG.economy) {
+    this.config = config;
+  }
+
+  // Currency from one completed mining cycle
+  // state: { baseOutput, hasMecha, upgrades, storedCurrency, comboMultiplier,
+  // efficiency } - combo and efficiency default to 1 (no effect)
+  getCycleOutput({
+    baseOutput,
+    hasMecha = false,
+    upgrades = {},
+    storedCurrency = 0,
+    comboMultiplier = 1,
+    efficiency = 1,
+  }) {
+    const breakdown = {
+      base: baseOutput,
+      mecha: hasMecha
+        ? baseOutput * (this.config.mechaOutputMultiplier - 1)
+        : 0,
+      upgrades: upgrades.outputBonus || 0,
+      combo: 0,
+      storage: 0,
+      efficiency: 0,
+    };
+
+    // Combo scales what the machine itself produced (base and mecha)
+    breakdown.combo =
+      (breakdown.base + breakdown.mecha) * Math.max(comboMultiplier - 1, 0);
+
+    const subtotal =
+      breakdown.base + breakdown.mecha + breakdown.upgrades + breakdown.combo;
+
+    // Stored currency earns interest through the efficiency upgrade
+    breakdown.storage =
+      subtotal * this.getStorageMultiplier(upgrades, storedCurrency);
+
+    // Machine efficiency scales everything above (below 1 it takes away)
+    breakdown.efficiency = (subtotal + breakdown.storage) * (efficiency - 1);
+
+    const exact = subtotal + breakdown.storage + breakdown.efficiency;
+    return { total: Math.max(Math.floor(exact), 0), exact, breakdown };
+  }
+
+  // Bonus fraction from stored currency (outputMultiplier per storageStep held)
+  getStorageMultiplier(upgrades, storedCurrency) {
+    const steps = Math.floor(
+      Math.max(storedCurrency, 0) / this.config.storageStep
+    );
+    return (upgrades.outputMultiplier || 0) * steps;
+  }
+
+  // Energy added to a machine by a timing hit or a click
+  getHitEnergy(baseEnergy, upgrades = {}) {
+    const { energyPerOutputBonus } = this.config;
+    const bonus = (upgrades.outputBonus || 0) * energyPerOutputBonus;
+    return Math.floor(baseEnergy * (1 + bonus));
+  }
+
+  // Energy per auto-mining tick - faster than clicking but less efficient
+  getAutoMiningEnergy(upgrades = {}) {
+    const { autoEnergyBase, autoEnergyPerOutputBonus } = this.config;
+    return Math.floor(
+      autoEnergyBase + (upgrades.outputBonus || 0) * autoEnergyPerOutputBonus
+    );
+  }
+
+  // Geode chance when a mining cycle completes
+  getCycleDropRate(mineId, upgrades = {}) {
+    const base =
+      this.config.cycleDropRates[mineId] ?? this.config.cycleDropRates.default;
+    return this.capDropRate({ base, upgrades: upgrades.partDropRate || 0 });
+  }
+
+  // Geode chance on a single timing hit
+  getHitDropRate(hitType, upgrades = {}, combo = 0, criticalHit = false) {
+    const { hitDropRates, comboDropBonus, criticalDropBonus } = this.config;
+    return this.capDropRate({
+      base: hitDropRates[hitType] ?? hitDropRates.good,
+      upgrades: upgrades.partDropRate || 0,
+      combo: combo * comboDropBonus,
+      critical: criticalHit ? criticalDropBonus : 0,
+    });
+  }
+
+  // Sum drop rate parts, capped so a geode is never guaranteed
+  capDropRate(breakdown) {
+    const total = Object.values(breakdown).reduce((sum, part) => sum + part, 0);
+    return { rate: Math.min(total, this.config.maxDropRate), breakdown };
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.Economy = Economy;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Economy;
+}
+
+console.log("📈 Economy class loaded!");
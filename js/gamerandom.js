@@ -0,0 +1,164 @@
+// GameRandom - Seeded randomness for gameplay, split into named streams
+// Streams ("loot", "slots", "mining", "combat", "spawn", "physics") each get their
+// own sequence from the seed, so extra draws in one never shift another
+// Cosmetic effects (stars, particles) keep Math.random and stay out of the streams
+class GameRandom {
+  constructor(seed = GameRandom.createSeed()) {
+    this.seed = String(seed);
+    this.generators = {}; // Stream name -> seeded generator
+    this.draws = {}; // Stream name -> numbers drawn (for saves)
+    this.streamFunctions = {}; // Stream name -> stable () => number
+    this.listeners = [];
+  }
+
+  // The game-wide instance (window.gameRandom) - created on first use
+  static getShared() {
+    if (!globalThis.gameRandom) {
+      globalThis.gameRandom = new GameRandom();
+    }
+    return globalThis.gameRandom;
+  }
+
+  // Short random seed for a new campaign
+  static createSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+  }
+
+  // Turn a string seed into a 32-bit number
+  static hashSeed(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  // Create a seeded random function (mulberry32) - same seed, same sequence
+  // A number seed is taken as the generator's state, as read by getState()
+  static createGenerator(seed) {
+    let state = typeof seed === "string" ? GameRandom.hashSeed(seed) : seed;
+    state = state >>> 0;
+
+    const generator = function () {
+      state = (state + GameRandom.stateStep) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    generator.getState = () => state;
+    return generator;
+  }
+
+  // Next number in [0, 1) from a stream
+  next(streamName) {
+    if (!this.generators[streamName]) {
+      this.generators[streamName] = GameRandom.createGenerator(
+        `${this.seed}:${streamName}`
+      );
+      this.draws[streamName] = 0;
+    }
+
+    this.draws[streamName]++;
+    return this.generators[streamName]();
+  }
+
+  // Random function for a stream - drop-in for Math.random, survives reseeding
+  stream(streamName) {
+    if (!this.streamFunctions[streamName]) {
+      this.streamFunctions[streamName] = () => this.next(streamName);
+    }
+    return this.streamFunctions[streamName];
+  }
+
+  // Whole number from min to max (inclusive)
+  int(streamName, min, max) {
+    return min + Math.floor(this.next(streamName) * (max - min + 1));
+  }
+
+  // Random element of an array
+  pick(streamName, array) {
+    return array[Math.floor(this.next(streamName) * array.length)];
+  }
+
+  // True with the given probability
+  chance(streamName, probability) {
+    return this.next(streamName) < probability;
+  }
+
+  // Start every stream over from a seed (a fresh one if none is given)
+  reseed(seed = GameRandom.createSeed()) {
+    this.seed = String(seed);
+    this.generators = {};
+    this.draws = {};
+    this.notify();
+  }
+
+  // Listen for seed changes - returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  // Tell listeners the seed changed
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.seed);
+      } catch (error) {
+        console.warn("⚠️ GameRandom listener failed:", error);
+      }
+    });
+  }
+
+  // Save state - the seed, how far each stream has advanced and each
+  // stream's generator state
+  getState() {
+    const states = {};
+    Object.entries(this.generators).forEach(([streamName, generator]) => {
+      states[streamName] = generator.getState();
+    });
+    return { seed: this.seed, draws: { ...this.draws }, states };
+  }
+
+  // Generator state of a stream after a number of draws - mulberry32 steps
+  // its state by a constant, so older saves without states skip straight there
+  getStreamState(streamName, draws) {
+    const start = GameRandom.hashSeed(`${this.seed}:${streamName}`);
+    return (start + Math.imul(draws, GameRandom.stateStep)) >>> 0;
+  }
+
+  // Resume saved streams where they left off
+  loadState(state) {
+    if (!state || typeof state.seed !== "string") {
+      this.reseed();
+      return;
+    }
+
+    this.reseed(state.seed);
+    Object.entries(state.draws || {}).forEach(([streamName, count]) => {
+      const draws = Math.max(Math.floor(Number(count) || 0), 0);
+      const saved = state.states?.[streamName];
+      this.generators[streamName] = GameRandom.createGenerator(
+        Number.isInteger(saved) ? saved : this.getStreamState(streamName, draws)
+      );
+      this.draws[streamName] = draws;
+    });
+  }
+}
+
+// mulberry32's state increment per draw
+GameRandom.stateStep = 0x6d2b79f5;
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.GameRandom = GameRandom;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameRandom;
+}
+
+console.log("🎲 GameRandom class loaded!");
@@ -2,6 +2,7 @@
 class GeodeSystem {
   constructor(miningScreen) {
     this.miningScreen = miningScreen;
+    this.random = miningScreen.random; // Shared GameRandom - drops use "loot"
     this.nextPartIndex = 0; // For sequential part drops
     this.geodesFound = 0;
     this.geodesOpened = 0;
@@ -62,15 +63,14 @@ class GeodeSystem {
     if (!machine) return false;
 
     // Calculate drop rate based on hit quality and upgrades
-    const baseDropRate = this.getBaseDropRate(hitResult);
-    const upgradeBonus = this.miningScreen.mineUpgrades.partDropRate;
-    const comboBonus = this.miningScreen.activeMining.currentCombo * 0.001;
-    const criticalBonus = hitResult.criticalHit ? 0.05 : 0;
-
-    const totalDropRate =
-      baseDropRate + upgradeBonus + comboBonus + criticalBonus;
+    const { rate } = this.miningScreen.economy.getHitDropRate(
+      hitResult.type,
+      this.miningScreen.mineUpgrades,
+      this.miningScreen.activeMining.currentCombo,
+      hitResult.criticalHit
+    );
 
-    if (Math.random() < totalDropRate) {
+    if (this.random.chance("loot", rate)) {
       const geodeRarity = this.determineGeodeRarity(hitResult);
       machine.geodeCount++;
       machine.geodeRarity = geodeRarity; // Store rarity for visual effects
@@ -89,20 +89,6 @@ class GeodeSystem {
     return false;
   }
 
-  // Get base drop rate based on hit quality
-  getBaseDropRate(hitResult) {
-    switch (hitResult.type) {
-      case "perfect":
-        return 0.08; // 8% for perfect hits
-      case "good":
-        return 0.05; // 5% for good hits
-      case "miss":
-        return 0.02; // 2% even for misses
-      default:
-        return 0.05;
-    }
-  }
-
   // Determine geode rarity based on hit result and luck
   determineGeodeRarity(hitResult) {
     let rarityBonus = 0;
@@ -122,7 +108,7 @@ class GeodeSystem {
       rarityBonus += 0.02;
     }
 
-    const rand = Math.random() - rarityBonus;
+    const rand = this.random.next("loot") - rarityBonus;
 
     if (rand < 0.03) return "legendary";
     if (rand < 0.15) return "rare";
@@ -223,8 +209,7 @@ class GeodeSystem {
     const pool = this.rewardPools[rarity];
     if (!pool) return this.generateEnhancedGeodeReward("common");
 
-    const rewardIndex = Math.floor(Math.random() * pool.rewards.length);
-    const rewardTemplate = pool.rewards[rewardIndex];
+    const rewardTemplate = this.random.pick("loot", pool.rewards);
 
     const reward = {
       rarity: rarity,
@@ -234,9 +219,10 @@ class GeodeSystem {
     // Process specific reward types
     switch (reward.type) {
       case "currency":
-        reward.amount = Math.floor(
-          Math.random() * (reward.maxAmount - reward.minAmount + 1) +
-            reward.minAmount
+        reward.amount = this.random.int(
+          "loot",
+          reward.minAmount,
+          reward.maxAmount
         );
         reward.message = `Found ${reward.amount} ${this.miningScreen.mineConfig.currency}!`;
         break;
@@ -287,25 +273,28 @@ class GeodeSystem {
     }
 
     // Fallback to random missing part
-    return missingParts[Math.floor(Math.random() * missingParts.length)];
+    return this.random.pick("loot", missingParts);
   }
 
-  // Select upgrade type based on strategy
+  // Select upgrade type based on strategy - skips maxed upgrades while any
+  // can still grow (maxed ones would only pay out overflow)
   selectUpgradeType(strategy) {
-    const availableUpgrades = [
-      "timeReduction",
-      "outputBonus",
-      "outputMultiplier",
-      "partDropRate",
-      "comboBonus",
-      "criticalChance",
-    ];
+    const upgradeable = this.miningScreen.getUpgradeableTypes();
+    const availableUpgrades =
+      upgradeable.length > 0
+        ? upgradeable
+        : [
+            "timeReduction",
+            "outputBonus",
+            "outputMultiplier",
+            "partDropRate",
+            "comboBonus",
+            "criticalChance",
+          ];
 
     switch (strategy) {
       case "random":
-        return availableUpgrades[
-          Math.floor(Math.random() * availableUpgrades.length)
-        ];
+        return this.random.pick("loot", availableUpgrades);
 
       case "best":
         // Return the upgrade with the lowest current value
@@ -500,7 +489,8 @@ class GeodeSystem {
     const particleColor = colors[reward.type] || colors.currency;
     const particleCount = reward.rarity === "legendary" ? 20 : 10;
 
-    // Create particles at center of screen
+    // Create particles at center of screen (none when running headless)
+    if (typeof window === "undefined") return;
     this.miningScreen.createParticleBurst(
       window.innerWidth / 2,
       window.innerHeight / 2,
@@ -677,7 +667,7 @@ class GeodeSystem {
 
   // Determine merchant geode rarity (better odds than mining)
   determineMerchantGeodeRarity() {
-    const rand = Math.random();
+    const rand = this.random.next("loot");
 
     if (rand < 0.05) return "legendary";
     if (rand < 0.2) return "rare";
@@ -709,7 +699,10 @@ class GeodeSystem {
   // Boost geode drop rates temporarily
   boostGeodeDropRates(multiplier = 2, duration = 30000) {
     const originalDropRate = this.miningScreen.mineUpgrades.partDropRate;
-    this.miningScreen.mineUpgrades.partDropRate *= multiplier;
+    this.miningScreen.mineUpgrades.partDropRate = Math.min(
+      originalDropRate * multiplier,
+      GAME_CONFIG.mineUpgradeRules.partDropRate.cap
+    );
 
     setTimeout(() => {
       this.miningScreen.mineUpgrades.partDropRate = originalDropRate;
@@ -766,6 +759,20 @@ class GeodeSystem {
     };
   }
 
+  // Import geode data (counterpart to exportGeodeData)
+  importGeodeData(data) {
+    if (!data) return;
+
+    this.nextPartIndex = data.nextPartIndex || 0;
+    this.guaranteedLegendaryGeodes = data.guaranteedLegendaryGeodes || 0;
+
+    if (data.stats) {
+      this.geodesFound = data.stats.geodesFound || 0;
+      this.geodesOpened = data.stats.geodesOpened || 0;
+      this.rareFinds = data.stats.rareFinds || 0;
+    }
+  }
+
   // Reset geode system
   reset() {
     this.nextPartIndex = 0;
@@ -870,7 +877,13 @@ if (typeof document !== "undefined") {
   document.head.appendChild(styleElement);
 }
 
-// Make available globally
-window.GeodeSystem = GeodeSystem;
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.GeodeSystem = GeodeSystem;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GeodeSystem;
+}
 
 console.log("💎 Enhanced GeodeSystem class loaded!");
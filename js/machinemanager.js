@@ -4,6 +4,7 @@ class MachineManager {
     this.miningScreen = miningScreen;
     this.machines = [];
     this.autoMiningIntervals = [];
+    this.autoMiningBaseInterval = 1000; // 1 second per auto-mining tick
     this.machineCosts = [
       { shells: 0, monster_shells: 0 }, // Machine 1 (free)
       { shells: 25, monster_shells: 1 }, // Machine 2
@@ -48,9 +49,10 @@ class MachineManager {
     if (!machine || machine.isAutoMining) return false;
 
     // Apply mine-wide upgrades to energy gain
-    const mineUpgrades = this.miningScreen.mineUpgrades;
-    const upgradeMultiplier = 1 + mineUpgrades.outputBonus * 0.1;
-    const enhancedAmount = Math.floor(amount * upgradeMultiplier);
+    const enhancedAmount = this.miningScreen.economy.getHitEnergy(
+      amount,
+      this.miningScreen.mineUpgrades
+    );
 
     machine.energyLevel = Math.min(
       machine.energyLevel + enhancedAmount,
@@ -71,34 +73,15 @@ class MachineManager {
   completeMiningCycle(machine) {
     console.log(`💎 Enhanced mining cycle completed for ${machine.id}`);
 
-    // Get mine-wide upgrades
-    const mineUpgrades = this.miningScreen.mineUpgrades;
-
     // Generate currency with mine-wide bonuses
-    const baseCurrency = this.miningScreen.mineConfig.baseOutput;
-    const mechaBonus = this.miningScreen.mechaBuilder.hasMecha ? 2 : 1;
-    const upgradeBonus = mineUpgrades.outputBonus;
-    const multiplier =
-      1 +
-      mineUpgrades.outputMultiplier *
-        Math.floor(this.miningScreen.currency / 100);
-    const efficiencyBonus = machine.efficiency;
-
-    const totalCurrency = Math.floor(
-      (baseCurrency * mechaBonus + upgradeBonus) * multiplier * efficiencyBonus
-    );
+    const totalCurrency = this.calculateCycleCurrency(machine);
 
     this.miningScreen.currency += totalCurrency;
     machine.totalMined += totalCurrency;
 
     // Enhanced geode drop calculation
-    const baseDropRate = this.miningScreen.mineId === "mine1" ? 0.05 : 0.03;
-    const upgradedDropRate = Math.min(
-      baseDropRate + mineUpgrades.partDropRate,
-      0.95 // Cap at 95%
-    );
-
-    if (Math.random() < upgradedDropRate) {
+    const geodeDropRate = this.getCycleGeodeDropRate();
+    if (this.miningScreen.random.chance("loot", geodeDropRate)) {
       machine.geodeCount++;
       this.miningScreen.showTemporaryMessage("Geode found! 💎", "success");
     }
@@ -123,6 +106,21 @@ class MachineManager {
     this.miningScreen.createMiningCompleteEffect(machine.id);
   }
 
+  // Currency from one completed cycle - mine upgrades, mecha bonus and efficiency
+  calculateCycleCurrency(machine) {
+    return this.miningScreen.getCycleOutput({
+      efficiency: machine.efficiency,
+    }).total;
+  }
+
+  // Geode chance for one completed cycle
+  getCycleGeodeDropRate() {
+    return this.miningScreen.economy.getCycleDropRate(
+      this.miningScreen.mineId,
+      this.miningScreen.mineUpgrades
+    ).rate;
+  }
+
   // Update machine efficiency based on performance
   updateMachineEfficiency(machine) {
     const timeSinceLastActive = Date.now() - machine.lastActiveTime;
@@ -213,32 +211,119 @@ class MachineManager {
 
     machine.isAutoMining = true;
 
-    // Apply mine-wide time reduction
-    const mineUpgrades = this.miningScreen.mineUpgrades;
-    const baseInterval = 1000; // 1 second base
-    const timeReduction = mineUpgrades.timeReduction;
-    const actualInterval = Math.max(baseInterval * (1 - timeReduction), 100);
-
     const interval = setInterval(() => {
       if (machine.energyLevel < machine.maxEnergy) {
-        // Auto-mining gains energy faster but with less efficiency
-        const energyGain = Math.floor(2 + mineUpgrades.outputBonus * 0.5);
         machine.energyLevel = Math.min(
-          machine.energyLevel + energyGain,
+          machine.energyLevel + this.getAutoMiningEnergyGain(),
           machine.maxEnergy
         );
 
         if (machine.energyLevel >= machine.maxEnergy) {
-          // Reduce efficiency for auto-mining
-          machine.efficiency = Math.max(machine.efficiency * 0.9, 0.7);
+          this.applyAutoMiningEfficiency(machine);
           this.completeMiningCycle(machine);
         }
       }
-    }, actualInterval);
+    }, this.getAutoMiningInterval());
 
     this.autoMiningIntervals.push(interval);
   }
 
+  // Reduce efficiency for auto-mining
+  applyAutoMiningEfficiency(machine) {
+    machine.efficiency = Math.max(machine.efficiency * 0.9, 0.7);
+  }
+
+  // Auto-mining tick length with the mine-wide time reduction
+  getAutoMiningInterval() {
+    return CONFIG_UTILS.calculateMiningInterval(
+      this.autoMiningBaseInterval,
+      this.miningScreen.mineUpgrades.timeReduction
+    );
+  }
+
+  // Energy per auto-mining tick - faster than clicking but less efficient
+  getAutoMiningEnergyGain() {
+    return this.miningScreen.economy.getAutoMiningEnergy(
+      this.miningScreen.mineUpgrades
+    );
+  }
+
+  // Simulate auto-mining for time spent away - same rules as startAutoMining()
+  simulateOfflineProgress(elapsedTime) {
+    const summary = {
+      elapsedTime,
+      cycles: 0,
+      currency: 0,
+      geodes: 0,
+      geodeRarities: { common: 0, uncommon: 0, rare: 0, legendary: 0 },
+      pendingGeodes: 0, // Waiting in the drawers, including older finds
+      machines: [],
+    };
+
+    const ticks = Math.floor(elapsedTime / this.getAutoMiningInterval());
+    const energyGain = this.getAutoMiningEnergyGain();
+    const rarityOrder = ["common", "uncommon", "rare", "legendary"];
+
+    this.machines.forEach((machine) => {
+      if (!machine.isAutoMining) return; // Only the mecha's machines ran
+
+      const machineSummary = { id: machine.id, cycles: 0, currency: 0, geodes: 0 };
+      let ticksLeft = ticks;
+
+      while (ticksLeft > 0) {
+        const ticksToFill = Math.ceil(
+          (machine.maxEnergy - machine.energyLevel) / energyGain
+        );
+
+        // Not enough time left for another full cycle - keep partial energy
+        if (ticksToFill > ticksLeft) {
+          machine.energyLevel += ticksLeft * energyGain;
+          break;
+        }
+        ticksLeft -= ticksToFill;
+
+        // Complete the cycle like completeMiningCycle(), minus the effects
+        this.applyAutoMiningEfficiency(machine);
+        const earned = this.calculateCycleCurrency(machine);
+        this.miningScreen.currency += earned;
+        machine.totalMined += earned;
+        machine.energyLevel = 0;
+
+        if (
+          this.miningScreen.random.chance("loot", this.getCycleGeodeDropRate())
+        ) {
+          const rarity = this.miningScreen.geodeSystem.determineGeodeRarity({
+            type: "good",
+          });
+          machine.geodeCount++;
+          this.miningScreen.geodeSystem.geodesFound++;
+          summary.geodeRarities[rarity]++;
+
+          // The drawer shows the best geode waiting in it
+          const current = rarityOrder.indexOf(machine.geodeRarity || "common");
+          if (rarityOrder.indexOf(rarity) > current) {
+            machine.geodeRarity = rarity;
+          }
+          machineSummary.geodes++;
+        }
+
+        machineSummary.cycles++;
+        machineSummary.currency += earned;
+      }
+
+      summary.cycles += machineSummary.cycles;
+      summary.currency += machineSummary.currency;
+      summary.geodes += machineSummary.geodes;
+      summary.machines.push(machineSummary);
+    });
+
+    summary.pendingGeodes = this.machines.reduce(
+      (sum, machine) => sum + machine.geodeCount,
+      0
+    );
+    return summary;
+  }
+
   // Start auto-mining for all machines
   startAutoMiningAll() {
     this.machines.forEach((machine) => {
@@ -304,16 +389,7 @@ class MachineManager {
 
   // Calculate total mining output with mine bonuses
   calculateTotalOutput() {
-    const mineUpgrades = this.miningScreen.mineUpgrades;
-    const baseCurrency = this.miningScreen.mineConfig.baseOutput;
-    const mechaBonus = this.miningScreen.mechaBuilder.hasMecha ? 2 : 1;
-    const upgradeBonus = mineUpgrades.outputBonus;
-    const multiplier =
-      1 +
-      mineUpgrades.outputMultiplier *
-        Math.floor(this.miningScreen.currency / 100);
-
-    return Math.floor((baseCurrency * mechaBonus + upgradeBonus) * multiplier);
+    return this.miningScreen.getCycleOutput().total;
   }
 
   // Calculate mining speed with mine bonuses
@@ -327,11 +403,7 @@ class MachineManager {
 
   // Calculate geode drop rate with mine bonuses
   calculateGeodeDropRate() {
-    const mineUpgrades = this.miningScreen.mineUpgrades;
-    const baseRate = this.miningScreen.mineId === "mine1" ? 0.05 : 0.03;
-    const upgradeBonus = mineUpgrades.partDropRate;
-
-    return Math.min(baseRate + upgradeBonus, 0.95);
+    return this.getCycleGeodeDropRate();
   }
 
   // Boost machine efficiency (for special events or bonuses)
@@ -517,6 +589,27 @@ class MachineManager {
     return alerts;
   }
 
+  // Restore machines from saved state (see MiningScreen.saveEnhancedState)
+  restoreMachines(savedMachines) {
+    if (!savedMachines || savedMachines.length === 0) return;
+
+    this.stopAutoMining();
+    this.machines = savedMachines.map((saved) => ({
+      id: saved.id,
+      energyLevel: saved.energyLevel || 0,
+      maxEnergy: 100,
+      isActive: false,
+      geodeCount: saved.geodeCount || 0,
+      geodeRarity: saved.geodeRarity || "common",
+      isAutoMining: false, // Restarted by MechaBuilder.restoreMecha()
+      geodeDrawerOpen: false,
+      efficiency: saved.efficiency || 1.0,
+      lastActiveTime: 0,
+      totalMined: saved.totalMined || 0,
+      perfectHits: saved.perfectHits || 0,
+    }));
+  }
+
   // Reset all machines
   reset() {
     this.stopAutoMining();
@@ -531,7 +624,13 @@ class MachineManager {
   }
 }
 
-// Make available globally
-window.MachineManager = MachineManager;
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MachineManager = MachineManager;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MachineManager;
+}
 
 console.log("⚙️ Enhanced MachineManager class loaded!");
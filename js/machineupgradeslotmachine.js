@@ -17,6 +17,7 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     this.miningScreen = miningScreen;
     this.baseCost = 50; // Higher base cost for mine-wide upgrades
     this.costMultiplier = 1.3; // Slower cost increase
+    this.protection = CONFIG_UTILS.getSlotProtection(miningScreen.mineId);
 
     // Configure mine-wide upgrade symbols
     this.configure({
@@ -82,21 +83,24 @@ class MachineUpgradeSlotMachine extends SlotMachine {
           description: "Increases critical hit chance in active mining",
         },
       ],
-      winChance: 0.35, // 35% win chance for mine upgrades
+      paytable: { 3: 4, 2: 0.5 }, // Three of a kind: 4x upgrade, two: half
       useImages: true,
     });
+    this.baseSymbols = this.config.symbols; // Weights before maxed upgrades
 
     // Set up callbacks
     this.setCallbacks({
       onSpin: this.handleSpin.bind(this),
       onResult: this.handleResult.bind(this),
       onWin: this.handleWin.bind(this),
+      onPartial: this.handlePartial.bind(this),
       onLose: this.handleLose.bind(this),
     });
 
     // Track stats
     this.totalSpins = 0;
     this.totalWins = 0;
+    this.totalPartials = 0;
     this.consecutiveLosses = 0;
     this.upgradeHistory = [];
   }
@@ -109,6 +113,24 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     this.updateUI();
   }
 
+  // Roll for bad-luck protection first, then spin the reels as usual
+  determineResult() {
+    const chance = this.getProtectionChance();
+    if (chance > 0 && this.random() < chance) {
+      return { ...this.determineMatchingResult(), protected: true };
+    }
+    return super.determineResult();
+  }
+
+  // Chance that the next spin is a protected win after the current streak
+  getProtectionChance(losses = this.consecutiveLosses) {
+    const { enabled, softStart, boostPerLoss, hardCap } = this.protection;
+    if (!enabled) return 0;
+    if (losses >= hardCap) return 1;
+    if (losses < softStart) return 0;
+    return Math.min((losses - softStart + 1) * boostPerLoss, 1);
+  }
+
   // Cache additional elements specific to mine upgrades
   cacheAdditionalElements() {
     this.elements = {
@@ -116,6 +138,7 @@ class MachineUpgradeSlotMachine extends SlotMachine {
       costDisplay: this.container.querySelector(".cost-amount"),
       paytable: this.container.querySelector(".slot-paytable"),
       upgradeStats: this.container.querySelector(".upgrade-stats"),
+      protection: this.container.querySelector(".slot-protection"),
       mineTitle: this.container.querySelector(".modal-header h2"),
     };
   }
@@ -163,6 +186,12 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     this.updateUpgradeStats();
   }
 
+  // Streaks change after the win/lose handlers, so refresh protection last
+  processResult(result) {
+    super.processResult(result);
+    this.updateProtectionDisplay();
+  }
+
   // Handle winning result
   handleWin(result, slotMachine) {
     this.consecutiveLosses = 0;
@@ -171,19 +200,17 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     const symbol = this.getSymbol(result.symbol);
     if (!symbol) return;
 
-    // Apply mine-wide upgrade
-    this.applyMineUpgrade(symbol);
-
-    // Record upgrade history
-    this.upgradeHistory.push({
-      symbol: symbol.name,
-      timestamp: Date.now(),
-      spinNumber: this.totalSpins,
-    });
+    // Apply mine-wide upgrade at the paytable's strength
+    this.applyMineUpgrade(symbol, result.payout);
+    this.recordUpgrade(symbol, result);
 
     // Show success message
     const upgradeName = this.getUpgradeName(symbol);
-    this.showResult(`🎉 Mine Upgrade: ${upgradeName}!`, symbol.color);
+    const title = result.protected ? "🛡️ Lucky break" : "🎉 Mine Upgrade";
+    this.showResult(
+      `${title}: ${upgradeName} x${result.payout}!`,
+      symbol.color
+    );
 
     // Highlight paytable row
     this.highlightPaytableRow(symbol.name);
@@ -200,67 +227,68 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     this.checkUpgradeAchievements(symbol);
   }
 
+  // Handle two of a kind - a consolation fraction of the upgrade
+  handlePartial(result, slotMachine) {
+    this.consecutiveLosses = 0;
+    this.totalPartials++;
+
+    const symbol = this.getSymbol(result.symbol);
+    if (!symbol) return;
+
+    this.applyMineUpgrade(symbol, result.payout);
+    this.recordUpgrade(symbol, result);
+
+    this.showResult(
+      `So close! ${this.getUpgradeName(symbol)} x${result.payout}`,
+      symbol.color
+    );
+    this.highlightPaytableRow(symbol.name);
+
+    if (this.miningScreen.audioManager) {
+      this.miningScreen.audioManager.playSound("slot-stop");
+    }
+  }
+
   // Handle losing result
   handleLose(result, slotMachine) {
     this.consecutiveLosses++;
 
     this.showResult("No upgrade - try again!", "#999");
 
-    // Consolation for consecutive losses
-    if (this.consecutiveLosses >= 3) {
-      this.miningScreen.showTemporaryMessage(
-        "Bad luck streak! Next spin has better odds! 🎰",
-        "warning"
-      );
-
-      // Temporarily boost win chance
-      this.configure({
-        ...this.config,
-        winChance: Math.min(this.config.winChance + 0.1, 0.8),
-      });
-    }
-
-    if (this.consecutiveLosses >= 5) {
-      // Give small consolation prize
+    // Small consolation prize, once per losing streak
+    if (this.consecutiveLosses === 5) {
       this.miningScreen.currency += Math.floor(this.getCurrentCost() * 0.3);
       this.miningScreen.updateCurrencyDisplay();
       this.miningScreen.showTemporaryMessage(
         "Consolation prize: some currency back!",
         "info"
       );
+    } else if (this.getProtectionChance() > 0) {
+      // Bad-luck protection kicks in on the next spin
+      this.miningScreen.showTemporaryMessage(
+        "Bad luck streak! Next spin has better odds! 🎰",
+        "warning"
+      );
     }
   }
 
-  // Apply mine-wide upgrade
-  applyMineUpgrade(symbol) {
-    const currentLevel =
-      this.miningScreen.mineUpgrades[symbol.upgradeType] || 0;
-    const newLevel = currentLevel + symbol.upgradeValue;
+  // Record a paid spin in the upgrade history
+  recordUpgrade(symbol, result) {
+    this.upgradeHistory.push({
+      symbol: symbol.name,
+      strength: result.payout,
+      timestamp: Date.now(),
+      spinNumber: this.totalSpins,
+    });
+  }
 
-    // Apply upgrade with caps
-    switch (symbol.upgradeType) {
-      case "timeReduction":
-        this.miningScreen.mineUpgrades.timeReduction = Math.min(newLevel, 0.9); // Max 90% reduction
-        break;
-      case "outputBonus":
-        this.miningScreen.mineUpgrades.outputBonus = Math.min(newLevel, 100); // Max +100 bonus
-        break;
-      case "outputMultiplier":
-        this.miningScreen.mineUpgrades.outputMultiplier = Math.min(
-          newLevel,
-          0.5
-        ); // Max 50% multiplier
-        break;
-      case "partDropRate":
-        this.miningScreen.mineUpgrades.partDropRate = Math.min(newLevel, 0.95); // Max 95% drop rate
-        break;
-      case "comboBonus":
-        this.miningScreen.mineUpgrades.comboBonus = Math.min(newLevel, 1.0); // Max +100% combo effectiveness
-        break;
-      case "criticalChance":
-        this.miningScreen.mineUpgrades.criticalChance = Math.min(newLevel, 0.5); // Max 50% critical chance
-        break;
-    }
+  // Apply mine-wide upgrade - strength scales the symbol's upgrade value
+  // Caps, diminishing returns and overflow follow GAME_CONFIG.mineUpgradeRules
+  applyMineUpgrade(symbol, strength = 1) {
+    this.miningScreen.raiseMineUpgrade(
+      symbol.upgradeType,
+      symbol.upgradeValue * strength
+    );
 
     // Update mining screen UI to reflect new upgrades
     this.miningScreen.updateUI();
@@ -272,6 +300,25 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     }
   }
 
+  // Maxed upgrades get no stops on the reels (unless every upgrade is maxed)
+  refreshSymbolWeights() {
+    let symbols = this.baseSymbols.map((symbol) => ({
+      ...symbol,
+      weight: this.miningScreen.isUpgradeMaxed(symbol.upgradeType)
+        ? 0
+        : symbol.weight,
+    }));
+    if (symbols.every((symbol) => symbol.weight === 0)) {
+      symbols = this.baseSymbols;
+    }
+
+    const weights = (list) => list.map((symbol) => symbol.weight).join();
+    if (weights(symbols) === weights(this.config.symbols)) return;
+
+    this.configure({ symbols });
+    this.renderEnhancedPaytable();
+  }
+
   // Get current cost based on total upgrades
   getCurrentCost() {
     const totalUpgrades = Object.values(this.miningScreen.mineUpgrades).reduce(
@@ -284,11 +331,83 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     );
   }
 
+  // Real expected value of a spin at the current cost
+  // Per symbol: chance of each match and the upgrade gained per spin and per
+  // currency spent; upgradesPerSpin counts full (x1) upgrades of any kind
+  getRtpReport() {
+    const odds = this.getOdds();
+    const cost = this.getCurrentCost();
+
+    const symbols = this.config.symbols.map((symbol) => {
+      const symbolOdds = odds.symbols[symbol.name];
+      const gainPerSpin = symbolOdds.expectedPayout * symbol.upgradeValue;
+      return {
+        name: symbol.name,
+        upgradeType: symbol.upgradeType,
+        threeOfAKind: symbolOdds.win,
+        twoOfAKind: symbolOdds.partial,
+        gainPerSpin,
+        gainPerCurrency: cost > 0 ? gainPerSpin / cost : 0,
+      };
+    });
+
+    return {
+      cost,
+      currency: this.miningScreen.mineConfig?.currency,
+      hitRate: odds.hitRate,
+      threeOfAKindRate: odds.results.win,
+      twoOfAKindRate: odds.results.partial,
+      upgradesPerSpin: odds.expectedPayout,
+      costPerUpgrade:
+        odds.expectedPayout > 0 ? cost / odds.expectedPayout : Infinity,
+      protectionChance: this.getProtectionChance(), // Next spin only
+      symbols,
+    };
+  }
+
+  // Format a chance as "1 in N" for the paytable
+  formatOdds(chance) {
+    return chance > 0 ? `1 in ${Math.round(1 / chance)}` : "never";
+  }
+
   // Update UI elements
   updateUI() {
     this.updateCostDisplay();
     this.updateSpinButton();
     this.updateUpgradeStats();
+    this.updateProtectionDisplay();
+  }
+
+  // Show how close the current losing streak is to a guaranteed win
+  updateProtectionDisplay() {
+    if (!this.elements.protection) return;
+
+    const { enabled, hardCap } = this.protection;
+    if (!enabled) {
+      this.elements.protection.classList.add("hidden");
+      return;
+    }
+
+    const losses = Math.min(this.consecutiveLosses, hardCap);
+    const chance = this.getProtectionChance();
+    let status = "Builds up after a losing streak";
+    if (chance >= 1) {
+      status = "Next spin is a guaranteed win!";
+    } else if (chance > 0) {
+      status = `+${Math.round(chance * 100)}% chance of a lucky break`;
+    }
+
+    this.elements.protection.classList.remove("hidden");
+    this.elements.protection.classList.toggle("active", chance > 0);
+    this.elements.protection.innerHTML = `
+      <div class="protection-label">🛡️ Bad-luck protection: ${losses}/${hardCap} losses</div>
+      <div class="protection-bar">
+        <div class="protection-fill" style="width: ${
+          (losses / hardCap) * 100
+        }%"></div>
+      </div>
+      <div class="protection-status">${status}</div>
+    `;
   }
 
   // Update cost display
@@ -315,9 +434,10 @@ class MachineUpgradeSlotMachine extends SlotMachine {
   updateUpgradeStats() {
     if (!this.elements.upgradeStats) return;
 
+    const paidSpins = this.totalWins + this.totalPartials;
     const winRate =
       this.totalSpins > 0
-        ? ((this.totalWins / this.totalSpins) * 100).toFixed(1)
+        ? ((paidSpins / this.totalSpins) * 100).toFixed(1)
         : 0;
     const currentUpgrades = this.miningScreen.mineUpgrades;
 
@@ -349,16 +469,19 @@ class MachineUpgradeSlotMachine extends SlotMachine {
   renderEnhancedPaytable() {
     if (!this.elements.paytable) return;
 
+    const odds = this.getOdds();
     const paytableHTML = `
       <div class="paytable-header">
         <h4>Mine Upgrade Paytable</h4>
-        <div class="paytable-note">Win 3 matching symbols for mine-wide upgrades!</div>
+        <div class="paytable-note">Match symbols from the left reel for mine-wide upgrades!</div>
       </div>
       <div class="paytable-grid">
         ${this.config.symbols
           .map(
             (symbol) => `
-          <div class="paytable-row" data-symbol="${symbol.name}">
+          <div class="paytable-row ${
+            this.miningScreen.isUpgradeMaxed(symbol.upgradeType) ? "maxed" : ""
+          }" data-symbol="${symbol.name}">
             <div class="paytable-symbols">
               <img src="${symbol.image}" alt="${
               symbol.name
@@ -377,8 +500,19 @@ class MachineUpgradeSlotMachine extends SlotMachine {
               <div class="paytable-description">
                 ${symbol.description}
               </div>
+              <div class="paytable-odds">
+                3x: upgrade x${this.config.paytable[3]} (${this.formatOdds(
+              odds.symbols[symbol.name].win
+            )}) · 2x: x${this.config.paytable[2]} (${this.formatOdds(
+              odds.symbols[symbol.name].partial
+            )})
+              </div>
               <div class="paytable-current">
-                Current: ${this.getCurrentUpgradeLevel(symbol.upgradeType)}
+                Current: ${this.getCurrentUpgradeLevel(symbol.upgradeType)}${
+              this.miningScreen.isUpgradeMaxed(symbol.upgradeType)
+                ? " (MAX)"
+                : ""
+            }
               </div>
             </div>
           </div>
@@ -387,8 +521,15 @@ class MachineUpgradeSlotMachine extends SlotMachine {
           .join("")}
       </div>
       <div class="paytable-footer">
+        <div class="paytable-note">Any payout: ${this.formatOdds(
+          odds.hitRate
+        )} spins</div>
         <div class="paytable-note">Cost increases with total mine upgrades</div>
         <div class="paytable-note">Upgrades apply to ALL machines in this mine</div>
+        <div class="paytable-note">Maxed upgrades leave the reels - overflow pays out currency</div>
+      </div>
+      <div class="slot-protection">
+        <!-- Filled in by updateProtectionDisplay() -->
       </div>
       <div class="upgrade-stats">
         <!-- Stats will be populated by updateUpgradeStats() -->
@@ -396,6 +537,8 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     `;
 
     this.elements.paytable.innerHTML = paytableHTML;
+    this.elements.protection =
+      this.elements.paytable.querySelector(".slot-protection");
   }
 
   // Get current upgrade level for display
@@ -568,10 +711,32 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     return totalSpent > 0 ? ((totalBenefit / totalSpent) * 100).toFixed(1) : 0;
   }
 
+  // Spin stats and the losing streak, for mine saves
+  exportSlotState() {
+    return {
+      totalSpins: this.totalSpins,
+      totalWins: this.totalWins,
+      totalPartials: this.totalPartials,
+      consecutiveLosses: this.consecutiveLosses,
+    };
+  }
+
+  // Restore saved spin stats - keeps bad-luck protection across visits
+  importSlotState(state) {
+    if (!state) return;
+
+    this.totalSpins = state.totalSpins || 0;
+    this.totalWins = state.totalWins || 0;
+    this.totalPartials = state.totalPartials || 0;
+    this.consecutiveLosses = state.consecutiveLosses || 0;
+    this.updateUI();
+  }
+
   // Reset upgrade stats
   resetStats() {
     this.totalSpins = 0;
     this.totalWins = 0;
+    this.totalPartials = 0;
     this.consecutiveLosses = 0;
     this.upgradeHistory = [];
     this.updateUpgradeStats();
@@ -582,29 +747,27 @@ class MachineUpgradeSlotMachine extends SlotMachine {
     return {
       totalSpins: this.totalSpins,
       totalWins: this.totalWins,
-      winRate: this.totalSpins > 0 ? this.totalWins / this.totalSpins : 0,
+      totalPartials: this.totalPartials,
+      winRate:
+        this.totalSpins > 0
+          ? (this.totalWins + this.totalPartials) / this.totalSpins
+          : 0,
       upgradeHistory: this.upgradeHistory,
       currentUpgrades: { ...this.miningScreen.mineUpgrades },
       efficiency: this.getUpgradeEfficiency(),
       recommendations: this.getUpgradeRecommendations(),
+      odds: this.getRtpReport(),
     };
   }
+}
 
-  // Override hide to reset consecutive losses bonus
-  hide() {
-    super.hide();
-
-    // Reset win chance if it was boosted
-    if (this.consecutiveLosses >= 3) {
-      this.configure({
-        ...this.config,
-        winChance: 0.35, // Reset to default
-      });
-    }
-  }
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MachineUpgradeSlotMachine = MachineUpgradeSlotMachine;
 }
 
-// Make available globally
-window.MachineUpgradeSlotMachine = MachineUpgradeSlotMachine;
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MachineUpgradeSlotMachine;
+}
 
 console.log("🔧 Mine-Wide Upgrade Slot Machine class loaded!");
@@ -5,18 +5,8 @@ class MapScreen extends Screen {
 
     // MapScreen specific state
     this.selectedMine = null;
-    this.currencies = {
-      shells: 100, // Starting currency for testing
-      coins: 0,
-      bars: 0,
-      bonds: 0,
-      gems: 0,
-      monster_shells: 0,
-      monster_coins: 0,
-      monster_bars: 0,
-      monster_bonds: 0,
-      monster_gems: 0,
-    };
+    this.wallet = window.wallet || new Wallet(); // Shared with every mine
+    this.unsubscribeWallet = null;
     this.unlockedMines = ["mine1"]; // Start with first mine unlocked
     this.activeMines = []; // Mines that have been built
     this.hoveredMine = null;
@@ -27,6 +17,11 @@ class MapScreen extends Screen {
     console.log("🗺️ MapScreen created");
   }
 
+  // Current balances (read-only copy - spend through this.wallet)
+  get currencies() {
+    return this.wallet.getBalances();
+  }
+
   // Override init to add MapScreen specific initialization
   init() {
     this.render();
@@ -38,6 +33,11 @@ class MapScreen extends Screen {
     this.updateUI();
     this.isActive = true;
 
+    // Currency can change elsewhere (debug tools, loading a save)
+    this.unsubscribeWallet = this.wallet.onChange(() => {
+      this.updateUI();
+    });
+
     console.log("✅ MapScreen initialized");
   }
 
@@ -48,6 +48,8 @@ class MapScreen extends Screen {
       currencyDisplay: this.container.querySelector(".currency-display"),
       mineTooltip: this.container.querySelector(".mine-tooltip"),
       backButton: this.container.querySelector(".back-button"),
+      exchangeButton: this.container.querySelector(".exchange-button"),
+      trainingButton: this.container.querySelector(".training-button"),
       currencyValues: {},
       mineButtons: {},
       mineStatusElements: {},
@@ -95,7 +97,7 @@ class MapScreen extends Screen {
                 .map(
                   (currency) => `
                 <div class="currency-item">
-                  <img src="images/currency-${currency}.png" alt="${currency}" class="currency-icon" />
+                  ${CONFIG_UTILS.getCurrencyIconHTML(currency)}
                   <span class="currency-value currency-${currency}">0</span>
                 </div>
               `
@@ -103,6 +105,14 @@ class MapScreen extends Screen {
                 .join("")}
             </div>
           </div>
+
+          <button class="exchange-button btn btn-secondary">
+            💱 <span>Exchange</span>
+          </button>
+
+          <button class="training-button btn btn-secondary">
+            🏋️ <span>Training</span>
+          </button>
         </div>
 
         <!-- Main map content -->
@@ -279,9 +289,7 @@ class MapScreen extends Screen {
     const mineConfig = GAME_CONFIG.mines[mineId];
     if (!mineConfig) return false;
 
-    return Object.entries(mineConfig.unlockCost).every(([currency, cost]) => {
-      return this.currencies[currency] >= cost;
-    });
+    return this.wallet.canAfford(mineConfig.unlockCost);
   }
 
   // Override setupEventListeners to add MapScreen specific events
@@ -295,6 +303,20 @@ class MapScreen extends Screen {
       });
     }
 
+    // Exchange terminal button
+    if (this.elements.exchangeButton) {
+      this.elements.exchangeButton.addEventListener("click", () => {
+        this.handleExchangeClick();
+      });
+    }
+
+    // Training bay button
+    if (this.elements.trainingButton) {
+      this.elements.trainingButton.addEventListener("click", () => {
+        this.handleTrainingClick();
+      });
+    }
+
     // Mine location hover effects
     this.elements.mineLocations.forEach((location) => {
       location.addEventListener("mouseenter", (e) => {
@@ -342,13 +364,27 @@ class MapScreen extends Screen {
       this.audioManager.playSound("button-click");
     }
 
-    this.showTemporaryMessage("Returning to Start Screen...", "info");
+    this.transitionToScreen("start");
+  }
+
+  handleExchangeClick() {
+    console.log("💱 Opening exchange terminal");
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    this.transitionToScreen("trading");
+  }
+
+  handleTrainingClick() {
+    console.log("🏋️ Opening training bay");
 
-    // In full game, this would transition to previous screen
-    // For now, just show a message
-    this.setManagedTimeout(() => {
-      this.showTemporaryMessage("Back navigation would happen here", "success");
-    }, 1000);
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    this.transitionToScreen("training");
   }
 
   handleMineHover(mineId) {
@@ -428,11 +464,10 @@ class MapScreen extends Screen {
     console.log(`🔨 Building mine ${mineId}`);
 
     // Deduct costs
-    Object.entries(mineConfig.unlockCost).forEach(([currency, cost]) => {
-      if (cost > 0) {
-        this.currencies[currency] -= cost;
-      }
-    });
+    if (!this.wallet.spend(mineConfig.unlockCost)) {
+      this.showUnlockRequirements(mineId);
+      return;
+    }
 
     // Add to active mines
     this.activeMines.push(mineId);
@@ -472,11 +507,9 @@ class MapScreen extends Screen {
     // Show loading screen
     this.showLoadingScreen();
 
-    // Simulate loading
+    // Simulate loading, then hand over to the mining screen
     this.simulateLoading(() => {
-      this.showSuccessMessage(`Entering ${GAME_CONFIG.mines[mineId].name}...`);
-      // In full game, this would transition to mining screen
-      console.log(`🔄 Would transition to mining screen for ${mineId}`);
+      this.transitionToScreen("mining", { mineId });
     });
   }
 
@@ -557,9 +590,7 @@ class MapScreen extends Screen {
 
   // Debug methods for testing
   addCurrency(currency, amount) {
-    if (this.currencies.hasOwnProperty(currency)) {
-      this.currencies[currency] += amount;
-      this.updateUI();
+    if (this.wallet.add(currency, amount)) {
       this.showTemporaryMessage(`Added ${amount} ${currency}`, "success");
     }
   }
@@ -583,15 +614,42 @@ class MapScreen extends Screen {
   }
 
   setCurrency(currency, amount) {
-    if (this.currencies.hasOwnProperty(currency)) {
-      this.currencies[currency] = amount;
-      this.updateUI();
+    if (this.wallet.set(currency, amount)) {
       this.showTemporaryMessage(`Set ${currency} to ${amount}`, "info");
     }
   }
 
+  // Save state (see SaveManager) - currencies live in the shared wallet
+  saveEnhancedState() {
+    return {
+      unlockedMines: [...this.unlockedMines],
+      activeMines: [...this.activeMines],
+    };
+  }
+
+  loadEnhancedState(state) {
+    if (!state) return;
+
+    if (state.unlockedMines) {
+      this.unlockedMines = [...state.unlockedMines];
+    }
+
+    if (state.activeMines) {
+      this.activeMines = [...state.activeMines];
+    }
+
+    // Update UI after loading
+    this.updateUI();
+  }
+
   // Override destroy to clean up MapScreen specific elements
   destroy() {
+    // Stop following wallet changes
+    if (this.unsubscribeWallet) {
+      this.unsubscribeWallet();
+      this.unsubscribeWallet = null;
+    }
+
     // Clear cached elements
     this.elements = {};
 
@@ -28,8 +28,9 @@ class MechaBuilder {
     // Clear parts from inventory
     this.miningScreen.partsInventory.clearAllParts();
 
-    // Set mecha as built
+    // Set mecha as built (and able to train)
     this.hasMecha = true;
+    this.miningScreen.training.markBuilt(this.mechaType);
 
     // Enable auto-mining for all machines
     this.enableAutoMining();
@@ -140,7 +141,7 @@ class MechaBuilder {
     return {
       type: this.mechaType,
       name: mechaConfig.name,
-      stats: mechaConfig.baseStats,
+      stats: this.miningScreen.training.getStats(this.mechaType),
       moves: mechaConfig.moves,
       parts: mechaConfig.parts,
       built: this.hasMecha,
@@ -163,6 +164,14 @@ class MechaBuilder {
     };
   }
 
+  // Restore a previously built mecha (no build effects or messages)
+  restoreMecha() {
+    this.hasMecha = true;
+    this.miningScreen.training.markBuilt(this.mechaType);
+    this.enableAutoMining();
+    this.updateMechaDisplay();
+  }
+
   // Handle mecha destruction (if needed for gameplay)
   destroyMecha() {
     if (!this.hasMecha) return false;
@@ -273,7 +282,13 @@ class MechaBuilder {
   }
 }
 
-// Make available globally
-window.MechaBuilder = MechaBuilder;
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MechaBuilder = MechaBuilder;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MechaBuilder;
+}
 
 console.log("🤖 MechaBuilder class loaded!");
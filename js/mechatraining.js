@@ -0,0 +1,220 @@
+// MechaTraining - Trained stat levels and battle experience for every mecha type
+// Shared by the training screen (spends credits), combat (uses and grows stats) and saves
+class MechaTraining {
+  constructor(config = GAME_CONFIG.training) {
+    this.config = config;
+    this.mechas = this.createEmptyState();
+    this.listeners = [];
+  }
+
+  // One record per mecha type
+  createEmptyState() {
+    const mechas = {};
+    Object.keys(GAME_CONFIG.mechas).forEach((mechaType) => {
+      mechas[mechaType] = this.createMechaRecord();
+    });
+    return mechas;
+  }
+
+  // Fresh mecha - not built, level 1, untrained
+  createMechaRecord(saved = {}) {
+    const trained = {};
+    Object.keys(this.config.stats).forEach((stat) => {
+      const level = Math.floor(saved.trained?.[stat] || 0);
+      trained[stat] = Math.min(
+        Math.max(level, 0),
+        this.config.stats[stat].maxLevel
+      );
+    });
+
+    return {
+      built: Boolean(saved.built),
+      level: Math.min(
+        Math.max(Math.floor(saved.level || 1), 1),
+        this.config.maxLevel
+      ),
+      xp: Math.max(Math.floor(saved.xp || 0), 0), // Progress toward the next level
+      victories: Math.max(Math.floor(saved.victories || 0), 0),
+      trained,
+    };
+  }
+
+  // Get a mecha's record
+  getMecha(mechaType) {
+    return this.mechas[mechaType] || null;
+  }
+
+  // Mark a mecha as built - only built mechas can train
+  markBuilt(mechaType) {
+    const mecha = this.getMecha(mechaType);
+    if (!mecha || mecha.built) return;
+
+    mecha.built = true;
+    this.notify(mechaType);
+  }
+
+  // Bonus a stat gets from its training level
+  getTrainingBonus(stat, level) {
+    const curve = this.config.stats[stat];
+    if (!curve || level <= 0) return 0;
+    return Math.round(curve.perLevel * Math.pow(level, curve.curve));
+  }
+
+  // Bonus a stat gets from the mecha's battle level
+  getLevelBonus(stat, level) {
+    return (this.config.levelBonus[stat] || 0) * (level - 1);
+  }
+
+  // Combat stats - baseStats plus training and battle level bonuses
+  getStats(mechaType) {
+    const baseStats = GAME_CONFIG.mechas[mechaType].baseStats;
+    const mecha = this.getMecha(mechaType);
+    if (!mecha) return { ...baseStats };
+
+    const stats = {};
+    Object.entries(baseStats).forEach(([stat, value]) => {
+      stats[stat] =
+        value +
+        this.getTrainingBonus(stat, mecha.trained[stat] || 0) +
+        this.getLevelBonus(stat, mecha.level);
+    });
+    return stats;
+  }
+
+  // Credits needed for a stat's next training level (null at max)
+  getTrainingCost(mechaType, stat) {
+    const mecha = this.getMecha(mechaType);
+    const curve = this.config.stats[stat];
+    if (!mecha || !curve) return null;
+
+    const level = mecha.trained[stat];
+    if (level >= curve.maxLevel) return null;
+    return Math.ceil(curve.baseCost * Math.pow(curve.costGrowth, level));
+  }
+
+  // Stat points the next training level adds
+  getNextTrainingGain(mechaType, stat) {
+    const mecha = this.getMecha(mechaType);
+    if (!mecha) return 0;
+
+    const level = mecha.trained[stat];
+    return (
+      this.getTrainingBonus(stat, level + 1) - this.getTrainingBonus(stat, level)
+    );
+  }
+
+  // Check why a stat can't be trained - returns a message or null
+  getTrainingBlocker(mechaType, stat, wallet) {
+    const mecha = this.getMecha(mechaType);
+    if (!mecha || !this.config.stats[stat]) return "Unknown mecha or stat";
+    if (!mecha.built) return "Build this mecha first";
+
+    const cost = this.getTrainingCost(mechaType, stat);
+    if (cost === null) return "Fully trained";
+    if (wallet.get("training") < cost) return "Not enough training credits";
+
+    return null;
+  }
+
+  // Spend training credits on one level of a stat
+  train(mechaType, stat, wallet) {
+    if (this.getTrainingBlocker(mechaType, stat, wallet)) return false;
+
+    const cost = this.getTrainingCost(mechaType, stat);
+    if (!wallet.spend({ training: cost })) return false;
+
+    this.mechas[mechaType].trained[stat]++;
+    this.notify(mechaType);
+    return true;
+  }
+
+  // XP needed to go from a level to the next
+  getXpForLevel(level) {
+    return Math.floor(
+      this.config.levelXp * Math.pow(this.config.levelXpGrowth, level - 1)
+    );
+  }
+
+  // Award battle XP for a victory - returns { xp, levelsGained, level }
+  addBattleXp(mechaType, difficulty) {
+    const mecha = this.getMecha(mechaType);
+    if (!mecha) return { xp: 0, levelsGained: 0, level: 1 };
+
+    const xp = this.config.battleXp[difficulty] || 0;
+    const startLevel = mecha.level;
+
+    mecha.victories++;
+    mecha.xp += xp;
+
+    while (
+      mecha.level < this.config.maxLevel &&
+      mecha.xp >= this.getXpForLevel(mecha.level)
+    ) {
+      mecha.xp -= this.getXpForLevel(mecha.level);
+      mecha.level++;
+    }
+
+    // No banking XP past the level cap
+    if (mecha.level >= this.config.maxLevel) {
+      mecha.xp = 0;
+    }
+
+    this.notify(mechaType);
+    return { xp, levelsGained: mecha.level - startLevel, level: mecha.level };
+  }
+
+  // Listen for training changes - returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  // Tell listeners a mecha changed
+  notify(mechaType) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(mechaType, this.mechas[mechaType]);
+      } catch (error) {
+        console.warn("⚠️ Training listener failed:", error);
+      }
+    });
+  }
+
+  // Save state (see SaveManager)
+  getState() {
+    return JSON.parse(JSON.stringify(this.mechas));
+  }
+
+  // Clean up saved state - unknown mechas are dropped, values are clamped
+  normalizeState(state) {
+    const mechas = {};
+    Object.keys(GAME_CONFIG.mechas).forEach((mechaType) => {
+      mechas[mechaType] = this.createMechaRecord(state?.[mechaType] || {});
+    });
+    return mechas;
+  }
+
+  // Replace all mecha records from saved state
+  loadState(state) {
+    this.mechas = this.normalizeState(state);
+    Object.keys(this.mechas).forEach((mechaType) => this.notify(mechaType));
+  }
+
+  // Forget all training (new campaign)
+  reset() {
+    this.loadState(null);
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MechaTraining = MechaTraining;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MechaTraining;
+}
+
+console.log("🏋️ MechaTraining class loaded!");
@@ -0,0 +1,143 @@
+// MiningMinigame - A mine's variant of the timing game (GAME_CONFIG.minigames)
+// Every mode turns an input into a perfect, good or miss hit for the same
+// MiningModel hit pipeline - only the zones and what the bar measures change:
+//   classic    - one fixed target zone
+//   movingZone - the zone drifts back and forth while the cursor sweeps
+//   multiZone  - several small sweet spots, any of them counts
+//   pressure   - hold to fill a gauge, release it inside the zone
+//   rhythm     - a row of beats, each good once per pass; the cursor runs on
+class MiningMinigame {
+  constructor(mineId, cursor) {
+    this.config = CONFIG_UTILS.getMinigame(mineId);
+    this.mode = this.config.mode;
+
+    // Validate the mode exists
+    if (!GAME_CONFIG.minigames[this.mode]) {
+      throw new Error(`Minigame mode not found: ${this.mode}`);
+    }
+
+    this.cursor = cursor; // Rhythm beats come back on each cursor pass
+    this.startTime = 0;
+    this.holdStart = null; // When the pressure gauge started filling
+    this.usedBeats = new Set(); // Rhythm beats hit this pass
+    this.beatPass = null;
+  }
+
+  // Start a new game at time
+  start(time) {
+    this.startTime = time;
+    this.holdStart = null;
+    this.usedBeats.clear();
+    this.beatPass = null;
+  }
+
+  // Cursor curve for this mode - undefined keeps GAME_CONFIG.timing's
+  getCurve() {
+    return this.config.curve;
+  }
+
+  // Check if the cursor runs on between hits instead of starting a new pass
+  isContinuous() {
+    return this.mode === "rhythm";
+  }
+
+  // Check if hits are hold-and-release
+  isHold() {
+    return this.mode === "pressure";
+  }
+
+  // Check if the gauge is filling
+  isHolding() {
+    return this.holdStart !== null;
+  }
+
+  // Start filling the gauge
+  beginHold(time) {
+    this.holdStart = time;
+  }
+
+  // Gauge level at time - past 1 the gauge has burst
+  getGauge(time) {
+    if (!this.isHolding()) return 0;
+    return Math.max(time - this.holdStart, 0) / this.config.fillDuration;
+  }
+
+  // Let go of the gauge - returns the level it was released at
+  endHold(time) {
+    const level = this.getGauge(time);
+    this.holdStart = null;
+    return level;
+  }
+
+  // Target zones at time - rhythm beats already hit this pass are used
+  getZones(time) {
+    const drift = this.getDrift(time);
+    this.syncBeats(time);
+
+    return this.config.zones.map((zone, index) => ({
+      start: zone.start + drift,
+      end: zone.end + drift,
+      optimal: zone.optimal + drift,
+      perfectZone: zone.perfectZone,
+      used: this.usedBeats.has(index),
+    }));
+  }
+
+  // How far a moving zone is from its resting place at time
+  getDrift(time) {
+    if (this.mode !== "movingZone") return 0;
+
+    const swing = (time - this.startTime) / this.config.driftPeriod;
+    return this.config.drift * Math.sin(swing * 2 * Math.PI);
+  }
+
+  // Bring the rhythm beats back once the cursor starts a new pass
+  syncBeats(time) {
+    if (this.mode !== "rhythm") return;
+
+    const pass = this.cursor.getPass(time);
+    if (pass !== this.beatPass) {
+      this.beatPass = pass;
+      this.usedBeats.clear();
+    }
+  }
+
+  // Hit type for a bar reading (cursor position or gauge level) at time
+  getHitType(position, time) {
+    const zones = this.getZones(time);
+    const index = zones.findIndex(
+      (zone) => position >= zone.start && position <= zone.end
+    );
+    if (index === -1 || zones[index].used) return "miss";
+
+    if (this.mode === "rhythm") {
+      this.usedBeats.add(index);
+    }
+
+    const { optimal, perfectZone } = zones[index];
+    return position >= optimal - perfectZone &&
+      position <= optimal + perfectZone
+      ? "perfect"
+      : "good";
+  }
+
+  // Where to stop the bar for a hit type at time - used by the balance
+  // simulator's scripted players
+  getAimPosition(type, time) {
+    const zone = this.getZones(time).find((zone) => !zone.used);
+    if (!zone || type === "miss") return 0;
+
+    return type === "perfect" ? zone.optimal : zone.start;
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MiningMinigame = MiningMinigame;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MiningMinigame;
+}
+
+console.log("🎮 MiningMinigame class loaded!");
@@ -0,0 +1,829 @@
+// MiningModel - One mine's state and rules, with no DOM of its own
+// Owns the machines, timing-game combo, mine-wide upgrades and merchant, and
+// reports changes as events to MiningScreen (or tools/balancesim.js). The
+// mining components keep calling their host "miningScreen" - here that host
+// is the model, and its feedback hooks turn into events too
+//
+// Events: change, currency, message, announce, sound, effect, miningStarted,
+// hit, combo, miningEnded, calibration, machinesChanged, mechaReady,
+// offlineProgress
+class MiningModel {
+  constructor(mineId = "mine1", options = {}) {
+    this.mineId = mineId;
+    this.mineConfig = GAME_CONFIG.mines[mineId];
+
+    // Validate mineConfig exists
+    if (!this.mineConfig) {
+      throw new Error(`Mine configuration not found for ${mineId}`);
+    }
+
+    this.mechaConfig = GAME_CONFIG.mechas[this.mineConfig.mecha];
+
+    // Validate mechaConfig exists
+    if (!this.mechaConfig) {
+      throw new Error(
+        `Mecha configuration not found for ${this.mineConfig.mecha}`
+      );
+    }
+
+    // Balances live in the shared wallet (see currency getters)
+    this.wallet = options.wallet || globalThis.wallet || new Wallet();
+    this.monsterCurrencyType = `monster_${this.mineConfig.currency}`;
+
+    // Seeded randomness for hits, drops and rewards (see GameRandom)
+    this.random = options.random || GameRandom.getShared();
+
+    // Output, energy and drop rate formulas (see Economy)
+    this.economy = new Economy();
+
+    // Mecha training records - building the mecha unlocks training
+    this.training =
+      options.training || globalThis.mechaTraining || new MechaTraining();
+
+    // Timing cursor on a monotonic clock, this mine's minigame variant, and
+    // the player's input latency
+    this.cursor = new TimingCursor();
+    this.minigame = new MiningMinigame(mineId, this.cursor);
+    this.calibration =
+      options.calibration ||
+      globalThis.timingCalibration ||
+      new TimingCalibration();
+
+    // Where the components draw their own widgets - nothing when headless
+    this.container = options.container || MiningModel.headlessContainer;
+
+    // Components play sounds through this - the view decides what to do
+    this.audioManager = {
+      playSound: (name) => this.emit("sound", { name }),
+    };
+
+    this.listeners = {}; // Event name -> listeners
+    this.resetState();
+
+    // Mining components, with this model as their host
+    this.machineManager = new MachineManager(this);
+    this.upgradeSlotMachine = new MachineUpgradeSlotMachine(
+      this.container,
+      this
+    );
+    this.geodeSystem = new GeodeSystem(this);
+    this.partsInventory = new PartsInventory(this);
+    this.mechaBuilder = new MechaBuilder(this);
+  }
+
+  // Fresh timing-game, upgrade and merchant state
+  resetState() {
+    this.activeMining = {
+      isActive: false,
+      currentMachine: null,
+      timeWindow: 1000, // 1 second timing window
+      currentCombo: 0,
+      maxCombo: 0,
+      comboMultiplier: 1,
+      perfectHits: 0,
+      totalHits: 0,
+      lastHitTime: 0,
+      comboDecayTimer: null,
+    };
+
+    // Per-mine upgrades (applies to all machines)
+    this.mineUpgrades = {
+      timeReduction: 0,
+      outputBonus: 0,
+      outputMultiplier: 0,
+      partDropRate: 0,
+      comboBonus: 0,
+      criticalChance: 0,
+    };
+
+    this.merchant = {
+      geodeCost: 50,
+      costMultiplier: 1.2,
+      purchaseCount: 0,
+    };
+  }
+
+  // This mine's currency, shared with the map and other mines
+  get currency() {
+    return this.wallet.get(this.mineConfig.currency);
+  }
+
+  set currency(amount) {
+    this.wallet.set(this.mineConfig.currency, amount);
+  }
+
+  // Monster currency for this mine's currency type
+  get monsterCurrency() {
+    return this.wallet.get(this.monsterCurrencyType);
+  }
+
+  set monsterCurrency(amount) {
+    this.wallet.set(this.monsterCurrencyType, amount);
+  }
+
+  // Initialize the components - the view renders before this, since the
+  // slot machine caches its elements on init
+  init() {
+    this.machineManager.init();
+    this.upgradeSlotMachine.init();
+    this.geodeSystem.init();
+    this.partsInventory.init();
+    this.mechaBuilder.init();
+  }
+
+  // Listen for an event - returns an unsubscribe function
+  on(eventName, listener) {
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(listener);
+    return () => {
+      this.listeners[eventName] = this.listeners[eventName].filter(
+        (l) => l !== listener
+      );
+    };
+  }
+
+  // Tell listeners about an event
+  emit(eventName, data = {}) {
+    (this.listeners[eventName] || []).forEach((listener) => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.warn(`⚠️ MiningModel ${eventName} listener failed:`, error);
+      }
+    });
+  }
+
+  // Start the timing game on a machine - false if it can't be mined by hand
+  startMining(machineId, time = TimingCursor.now()) {
+    const machine = this.machineManager.getMachine(machineId);
+    if (!machine || machine.isAutoMining || machine.energyLevel >= 100) {
+      return false;
+    }
+
+    this.cancelCalibration();
+    this.activeMining.isActive = true;
+    this.activeMining.currentMachine = machineId;
+    this.activeMining.lastHitTime = Date.now();
+    this.minigame.start(time);
+    this.startCursorPass(time);
+
+    this.audioManager.playSound("mining-start");
+    this.emit("miningStarted", { machineId });
+    return true;
+  }
+
+  // Start a cursor pass on this mine's curve
+  startCursorPass(time) {
+    this.cursor.start(time, {
+      combo: this.activeMining.currentCombo,
+      curve: this.minigame.getCurve(),
+    });
+  }
+
+  // One timing hit at a bar reading (0-1) - a cursor position, or the gauge
+  // level for hold-and-release minigames. The cursor starts a new pass, or
+  // the game ends once the machine is full. The zones are judged at seenAt,
+  // when the player saw the bar; time (when the input landed) restarts the
+  // cursor. Returns the hit result, or null if no game is running
+  hit(position, time = TimingCursor.now(), seenAt = time) {
+    if (!this.activeMining.isActive) return null;
+
+    const machineId = this.activeMining.currentMachine;
+    const hitResult = this.calculateHitResult(position, seenAt);
+    this.applyHitResult(hitResult);
+    this.emit("hit", { machineId, hitResult, position });
+
+    if (!this.shouldContinueMining()) {
+      this.stopMining();
+    } else if (!this.minigame.isContinuous()) {
+      this.startCursorPass(time);
+    }
+    return hitResult;
+  }
+
+  // Hit button pressed at an input timestamp - a hit, or the start of a hold
+  // for hold-and-release minigames
+  press(time = TimingCursor.now()) {
+    if (!this.activeMining.isActive) return null;
+    if (!this.minigame.isHold()) return this.hitAt(time);
+
+    this.minigame.beginHold(time);
+    return null;
+  }
+
+  // Hit button released - scores a hold at the gauge level it reached.
+  // Latency delays the press and release alike, so no offset is taken off
+  release(time = TimingCursor.now()) {
+    if (!this.activeMining.isActive || !this.minigame.isHolding()) return null;
+
+    return this.hit(this.minigame.endHold(time), time);
+  }
+
+  // Timing hit at the moment of an input (a TimingCursor.now() timestamp),
+  // scored where the cursor was once the player's input latency is taken off
+  hitAt(time) {
+    if (!this.activeMining.isActive) return null;
+
+    const seenAt = time - this.calibration.getOffset();
+    return this.hit(this.getCursorPosition(seenAt), time, seenAt);
+  }
+
+  // Where the timing cursor is (0-1) - the gauge level for hold-and-release
+  // minigames. The view draws it from this
+  getCursorPosition(time = TimingCursor.now()) {
+    if (this.minigame.isHold() && !this.calibration.isCalibrating()) {
+      return Math.min(this.minigame.getGauge(time), 1);
+    }
+    return this.cursor.getPosition(time);
+  }
+
+  // This mine's target zones right now - the view draws them from this
+  getZones(time = TimingCursor.now()) {
+    return this.minigame.getZones(time);
+  }
+
+  // Start a latency calibration run - the player taps each time a steady
+  // linear cursor crosses the optimal point
+  startCalibration(time = TimingCursor.now()) {
+    this.stopMining();
+    this.calibration.beginSession();
+    this.cursor.start(time, { curve: "linear" });
+    this.emit("calibration", this.calibration.getProgress());
+  }
+
+  // One calibration tap at an input timestamp - returns the run's progress
+  calibrationTap(time) {
+    if (!this.calibration.isCalibrating()) return null;
+
+    const { target } = this.calibration.config;
+    const error = time - this.cursor.getPassTime(target, time);
+    const counted = this.calibration.addTap(error);
+
+    if (!this.calibration.isCalibrating()) {
+      this.cursor.stop();
+    }
+
+    const progress = {
+      ...this.calibration.getProgress(),
+      error,
+      counted,
+      finished: !this.calibration.isCalibrating(),
+    };
+    this.emit("calibration", progress);
+    return progress;
+  }
+
+  // Abandon a calibration run, keeping the old offset
+  cancelCalibration() {
+    if (!this.calibration.isCalibrating()) return;
+
+    this.calibration.cancelSession();
+    this.cursor.stop();
+    this.emit("calibration", this.calibration.getProgress());
+  }
+
+  // Calculate hit result based on the bar reading and this mine's minigame
+  calculateHitResult(position, time = TimingCursor.now()) {
+    const hitType = this.minigame.getHitType(position, time);
+
+    let result = {
+      type: "miss",
+      score: 0,
+      energyGain: 0,
+      comboBonus: 0,
+      criticalHit: false,
+    };
+
+    // Check if in a target zone
+    if (hitType !== "miss") {
+      // Check if perfect hit
+      if (hitType === "perfect") {
+        result.type = "perfect";
+        result.score = 100;
+        result.energyGain = 25;
+        this.activeMining.perfectHits++;
+      } else {
+        result.type = "good";
+        result.score = 50;
+        result.energyGain = 15;
+      }
+
+      // Combo bonus
+      this.activeMining.currentCombo++;
+      result.comboBonus = Math.floor(this.activeMining.currentCombo / 5) * 5;
+
+      // Critical hit chance
+      if (this.random.chance("mining", this.mineUpgrades.criticalChance)) {
+        result.criticalHit = true;
+        result.energyGain *= 2;
+        result.score *= 2;
+      }
+
+      // Update max combo
+      if (this.activeMining.currentCombo > this.activeMining.maxCombo) {
+        this.activeMining.maxCombo = this.activeMining.currentCombo;
+      }
+
+      // Reset combo decay timer
+      this.resetComboDecayTimer();
+    } else {
+      // Miss
+      result.type = "miss";
+      result.score = 0;
+      result.energyGain = 5; // Still gain some energy
+
+      // Reduce combo
+      this.activeMining.currentCombo = Math.max(
+        0,
+        this.activeMining.currentCombo - 1
+      );
+    }
+
+    this.activeMining.totalHits++;
+    return result;
+  }
+
+  // Apply hit result to the machine being mined
+  applyHitResult(hitResult) {
+    const machine = this.machineManager.getMachine(
+      this.activeMining.currentMachine
+    );
+    if (!machine) return;
+
+    // Apply energy gain with mine upgrades
+    const totalEnergyGain = this.economy.getHitEnergy(
+      hitResult.energyGain,
+      this.mineUpgrades
+    );
+    machine.energyLevel = Math.min(machine.energyLevel + totalEnergyGain, 100);
+
+    // Check for geode drop on each hit
+    this.checkGeodeDropOnHit(hitResult);
+
+    // Update combo multiplier
+    this.updateComboMultiplier();
+
+    // Generate currency if machine is full
+    if (machine.energyLevel >= 100) {
+      this.completeMiningCycle(machine);
+    }
+  }
+
+  // Check for geode drop on each hit
+  checkGeodeDropOnHit(hitResult) {
+    const { rate } = this.economy.getHitDropRate(
+      hitResult.type,
+      this.mineUpgrades,
+      this.activeMining.currentCombo,
+      hitResult.criticalHit
+    );
+
+    if (this.random.chance("loot", rate)) {
+      const machine = this.machineManager.getMachine(
+        this.activeMining.currentMachine
+      );
+      if (machine) {
+        machine.geodeCount++;
+        this.showTemporaryMessage("Geode found! 💎", "success");
+        this.emit("effect", { name: "geodeFound", machineId: machine.id });
+      }
+    }
+  }
+
+  // Update combo multiplier
+  updateComboMultiplier() {
+    const baseMultiplier = 1.0;
+    const comboBonus = this.activeMining.currentCombo * 0.05; // 5% per combo
+    const upgradeBonus = this.mineUpgrades.comboBonus;
+
+    this.activeMining.comboMultiplier =
+      baseMultiplier + comboBonus + upgradeBonus;
+  }
+
+  // Reset combo decay timer
+  resetComboDecayTimer() {
+    if (this.activeMining.comboDecayTimer) {
+      clearTimeout(this.activeMining.comboDecayTimer);
+    }
+
+    this.activeMining.comboDecayTimer = setTimeout(() => {
+      this.activeMining.currentCombo = 0;
+      this.emit("combo", { combo: 0 });
+    }, 3000); // 3 second decay
+  }
+
+  // Check if mining should continue
+  shouldContinueMining() {
+    const machine = this.machineManager.getMachine(
+      this.activeMining.currentMachine
+    );
+    return Boolean(machine) && machine.energyLevel < 100;
+  }
+
+  // End the timing game
+  stopMining() {
+    if (!this.activeMining.isActive) return;
+
+    const machineId = this.activeMining.currentMachine;
+    this.activeMining.isActive = false;
+    this.activeMining.currentMachine = null;
+    this.cursor.stop();
+
+    this.audioManager.playSound("mining-complete");
+    this.emit("miningEnded", { machineId });
+    this.updateUI();
+  }
+
+  // Complete mining cycle with enhancements
+  completeMiningCycle(machine) {
+    console.log(`💎 Enhanced mining cycle completed for ${machine.id}`);
+
+    // Generate currency with combo multiplier
+    const totalCurrency = this.getCycleOutput({
+      comboMultiplier: this.activeMining.comboMultiplier,
+    }).total;
+    this.currency += totalCurrency;
+
+    // Reset energy
+    machine.energyLevel = 0;
+    machine.isActive = false;
+
+    this.updateCurrencyDisplay();
+    this.updateUI();
+    this.showTemporaryMessage(
+      `+${totalCurrency} ${this.mineConfig.currency}!`,
+      "success"
+    );
+    this.createMiningCompleteEffect(machine.id);
+  }
+
+  // Output of one cycle at this mine right now, with its breakdown
+  // extra: { comboMultiplier, efficiency } for the cycle being completed
+  getCycleOutput(extra = {}) {
+    return this.economy.getCycleOutput({
+      baseOutput: this.mineConfig.baseOutput,
+      hasMecha: this.mechaBuilder.hasMecha,
+      upgrades: this.mineUpgrades,
+      storedCurrency: this.currency,
+      ...extra,
+    });
+  }
+
+  // Buy a geode from the merchant - returns the applied reward, or null
+  purchaseGeode() {
+    if (this.currency < this.merchant.geodeCost) {
+      this.showTemporaryMessage("Not enough currency!", "warning");
+      return null;
+    }
+
+    // Deduct cost
+    this.currency -= this.merchant.geodeCost;
+    this.merchant.purchaseCount++;
+
+    // Increase cost for next purchase
+    this.merchant.geodeCost = Math.floor(
+      this.merchant.geodeCost * this.merchant.costMultiplier
+    );
+
+    const reward = this.generateMerchantGeodeReward();
+    this.applyGeodeReward(reward);
+    this.updateCurrencyDisplay();
+
+    this.showTemporaryMessage(reward.message, "success");
+    this.audioManager.playSound("geode-purchase");
+    return reward;
+  }
+
+  // Generate merchant geode reward
+  generateMerchantGeodeReward() {
+    const rand = this.random.next("loot");
+
+    if (rand < 0.3) {
+      // 30% chance for mecha part
+      const missingParts = this.partsInventory.getMissingParts();
+
+      if (missingParts.length > 0) {
+        const partName = this.random.pick("loot", missingParts);
+        return {
+          type: "part",
+          partName: partName,
+          message: `Mecha Part Found: ${partName.toUpperCase()}!`,
+        };
+      }
+    } else if (rand < 0.6) {
+      // 30% chance for upgrade
+      return {
+        type: "upgrade",
+        upgradeType: this.getRandomUpgradeType(),
+        message: "Mine Upgrade Found!",
+      };
+    }
+
+    // 40% chance for bonus currency
+    const bonus = this.random.int("loot", 50, 149);
+    return {
+      type: "currency",
+      amount: bonus,
+      message: `Bonus ${this.mineConfig.currency}: +${bonus}`,
+    };
+  }
+
+  // Get random upgrade type - maxed upgrades only come up once all are maxed
+  getRandomUpgradeType() {
+    const upgradeable = this.getUpgradeableTypes();
+    const upgradeTypes =
+      upgradeable.length > 0 ? upgradeable : Object.keys(this.mineUpgrades);
+    return this.random.pick("loot", upgradeTypes);
+  }
+
+  // Apply geode reward
+  applyGeodeReward(reward) {
+    switch (reward.type) {
+      case "part":
+        this.partsInventory.collectPart(reward.partName, "merchant");
+        this.checkMechaBuildability();
+        break;
+
+      case "currency":
+        this.currency += reward.amount;
+        this.updateCurrencyDisplay();
+        break;
+
+      case "upgrade":
+        this.applyMineUpgrade(reward.upgradeType, 0.05); // 5% upgrade
+        break;
+    }
+  }
+
+  // Apply mine upgrade from a geode reward (value is a 0-1 step)
+  applyMineUpgrade(upgradeType, value) {
+    // Output bonus counts whole currency, so a 5% step is +1
+    const amount =
+      upgradeType === "outputBonus" ? Math.floor(value * 20) : value;
+    return this.raiseMineUpgrade(upgradeType, amount);
+  }
+
+  // Add to a mine-wide upgrade under its caps and diminishing returns
+  // Overflow past the cap is paid out in mine currency
+  raiseMineUpgrade(upgradeType, amount) {
+    if (!(upgradeType in this.mineUpgrades)) return null;
+
+    const result = CONFIG_UTILS.applyUpgradeRule(
+      upgradeType,
+      this.mineUpgrades[upgradeType],
+      amount
+    );
+    this.mineUpgrades[upgradeType] = result.level;
+
+    if (result.currency > 0) {
+      this.currency += result.currency;
+      this.updateCurrencyDisplay();
+      this.showTemporaryMessage(
+        `Upgrade maxed - overflow paid out: +${result.currency} ${this.mineConfig.currency}`,
+        "info"
+      );
+    }
+
+    // Maxed upgrades drop off the slot machine's reels
+    this.upgradeSlotMachine.refreshSymbolWeights();
+    return result;
+  }
+
+  // Whether a mine-wide upgrade has reached its cap
+  isUpgradeMaxed(upgradeType) {
+    return CONFIG_UTILS.isUpgradeMaxed(
+      upgradeType,
+      this.mineUpgrades[upgradeType]
+    );
+  }
+
+  // Mine-wide upgrades that can still grow
+  getUpgradeableTypes() {
+    return Object.keys(this.mineUpgrades).filter(
+      (upgradeType) => !this.isUpgradeMaxed(upgradeType)
+    );
+  }
+
+  // Buy another machine - the view re-renders on machinesChanged
+  purchaseMachine(machineIndex) {
+    if (!this.machineManager.purchaseMachine(machineIndex)) return false;
+
+    this.updateCurrencyDisplay();
+    this.emit("machinesChanged");
+    return true;
+  }
+
+  // Tell the view once every part is in and the mecha can be built
+  checkMechaBuildability() {
+    if (this.partsInventory.isComplete() && !this.mechaBuilder.hasMecha) {
+      this.emit("mechaReady");
+      this.showTemporaryMessage(
+        "All parts collected! Ready to build mecha!",
+        "success"
+      );
+    }
+  }
+
+  // Apply auto-mining progress for time spent away from this mine
+  applyOfflineProgress(awayTime) {
+    const { minAwayTime, maxAwayTime } = GAME_CONFIG.offlineProgress;
+    if (!this.mechaBuilder.hasMecha || awayTime < minAwayTime) return null;
+
+    const summary = this.machineManager.simulateOfflineProgress(
+      Math.min(awayTime, maxAwayTime)
+    );
+    summary.awayTime = awayTime;
+    summary.capped = awayTime > maxAwayTime;
+
+    console.log(
+      `⏳ Offline progress: ${summary.cycles} cycles, +${summary.currency} ${this.mineConfig.currency}, ${summary.geodes} geodes`
+    );
+
+    this.emit("offlineProgress", summary);
+    return summary;
+  }
+
+  // Feedback hooks for the components - each one becomes an event
+  updateUI() {
+    this.emit("change");
+  }
+
+  updateCurrencyDisplay() {
+    this.emit("currency");
+  }
+
+  showTemporaryMessage(message, type = "info", duration = 3000) {
+    this.emit("message", { message, type, duration });
+  }
+
+  showSuccessMessage(message) {
+    this.emit("announce", { message });
+  }
+
+  createParticleBurst(x, y, count, color) {
+    this.emit("effect", { name: "particles", x, y, count, color });
+  }
+
+  triggerScreenShake(duration) {
+    this.emit("effect", { name: "shake", duration });
+  }
+
+  createMiningCompleteEffect(machineId) {
+    this.emit("effect", { name: "miningComplete", machineId });
+  }
+
+  // Get enhanced mining statistics
+  getMiningStats() {
+    return {
+      mineId: this.mineId,
+      currency: this.currency,
+      monsterCurrency: this.monsterCurrency,
+      activeMining: { ...this.activeMining },
+      mineUpgrades: { ...this.mineUpgrades },
+      merchant: { ...this.merchant },
+      machines: this.machineManager.getAllMachines().map((m) => ({
+        id: m.id,
+        energyLevel: m.energyLevel,
+        geodeCount: m.geodeCount,
+        isAutoMining: m.isAutoMining,
+      })),
+      parts: this.partsInventory.getPartStats(),
+      mecha: this.mechaBuilder.getBuildStatus(),
+    };
+  }
+
+  // Save state - currencies live in the shared wallet
+  getState() {
+    return {
+      mineId: this.mineId,
+      activeMining: {
+        maxCombo: this.activeMining.maxCombo,
+        perfectHits: this.activeMining.perfectHits,
+        totalHits: this.activeMining.totalHits,
+      },
+      mineUpgrades: { ...this.mineUpgrades },
+      merchant: { ...this.merchant },
+      machines: this.machineManager.getAllMachines().map((m) => ({
+        id: m.id,
+        energyLevel: m.energyLevel,
+        geodeCount: m.geodeCount,
+        geodeRarity: m.geodeRarity,
+        isAutoMining: m.isAutoMining,
+        efficiency: m.efficiency,
+        totalMined: m.totalMined,
+        perfectHits: m.perfectHits,
+      })),
+      parts: {
+        collectionOrder: this.partsInventory.getPartsInOrder(),
+        findHistory: this.partsInventory.partFindHistory,
+        duplicatesFound: this.partsInventory.duplicatePartsFound,
+        totalPartsFound: this.partsInventory.totalPartsFound,
+      },
+      geodes: {
+        stats: {
+          geodesFound: this.geodeSystem.geodesFound,
+          geodesOpened: this.geodeSystem.geodesOpened,
+          rareFinds: this.geodeSystem.rareFinds,
+        },
+        nextPartIndex: this.geodeSystem.nextPartIndex,
+        guaranteedLegendaryGeodes:
+          this.geodeSystem.guaranteedLegendaryGeodes || 0,
+      },
+      slots: this.upgradeSlotMachine.exportSlotState(),
+      hasMecha: this.mechaBuilder.hasMecha,
+      savedAt: Date.now(),
+    };
+  }
+
+  // Resume from saved state, then catch up on auto-mining while away
+  loadState(state) {
+    if (!state) return;
+
+    if (state.activeMining) {
+      this.activeMining.maxCombo = state.activeMining.maxCombo || 0;
+      this.activeMining.perfectHits = state.activeMining.perfectHits || 0;
+      this.activeMining.totalHits = state.activeMining.totalHits || 0;
+    }
+
+    if (state.mineUpgrades) {
+      this.mineUpgrades = { ...this.mineUpgrades, ...state.mineUpgrades };
+
+      // Older saves could grow past today's caps
+      Object.entries(GAME_CONFIG.mineUpgradeRules).forEach(([type, rule]) => {
+        this.mineUpgrades[type] = Math.min(this.mineUpgrades[type], rule.cap);
+      });
+      this.upgradeSlotMachine.refreshSymbolWeights();
+    }
+
+    if (state.merchant) {
+      this.merchant = { ...this.merchant, ...state.merchant };
+    }
+
+    // Older saves are migrated to this shape by SaveManager
+    if (state.parts) {
+      this.partsInventory.importPartsData(state.parts);
+    }
+
+    if (state.geodes) {
+      this.geodeSystem.importGeodeData(state.geodes);
+    }
+
+    if (state.slots) {
+      this.upgradeSlotMachine.importSlotState(state.slots);
+    }
+
+    // Purchased machines change the layout
+    if (state.machines && state.machines.length > 0) {
+      this.machineManager.restoreMachines(state.machines);
+      this.emit("machinesChanged");
+    }
+
+    if (state.hasMecha) {
+      this.mechaBuilder.restoreMecha();
+    }
+
+    // The mecha kept auto-mining while we were gone
+    if (state.savedAt) {
+      this.applyOfflineProgress(Date.now() - state.savedAt);
+    }
+
+    this.updateUI();
+  }
+
+  // Stop mining and timers, and clean up the components
+  destroy() {
+    this.stopMining();
+    this.cancelCalibration();
+
+    if (this.activeMining.comboDecayTimer) {
+      clearTimeout(this.activeMining.comboDecayTimer);
+    }
+
+    this.machineManager.destroy();
+    this.geodeSystem.destroy();
+    this.partsInventory.destroy();
+    this.mechaBuilder.destroy();
+
+    this.resetState();
+    this.listeners = {};
+  }
+}
+
+// Container stand-in for headless use - every lookup finds nothing
+MiningModel.headlessContainer = {
+  querySelector: () => null,
+  querySelectorAll: () => [],
+};
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MiningModel = MiningModel;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MiningModel;
+}
+
+console.log("⛏️ MiningModel class loaded!");
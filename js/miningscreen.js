@@ -3,129 +3,226 @@ class MiningScreen extends Screen {
   constructor(container, mineId = "mine1") {
     super(container, "mining");
 
-    // MiningScreen specific state
-    this.mineId = mineId;
-    this.mineConfig = GAME_CONFIG.mines[mineId];
+    // Mining state and rules - this screen only draws them (see MiningModel)
+    this.model = new MiningModel(mineId, { container: this.container });
+    this.unsubscribeModel = [];
+    this.unsubscribeWallet = null;
+    this.cursorFrame = null;
 
-    // Validate mineConfig exists
-    if (!this.mineConfig) {
-      throw new Error(`Mine configuration not found for ${mineId}`);
-    }
+    // UI state
+    this.selectedMachine = null;
+    this.activeSlotMachine = null;
 
-    this.mechaConfig = GAME_CONFIG.mechas[this.mineConfig.mecha];
+    // DOM element cache
+    this.elements = {};
 
-    // Validate mechaConfig exists
-    if (!this.mechaConfig) {
-      throw new Error(
-        `Mecha configuration not found for ${this.mineConfig.mecha}`
-      );
-    }
+    console.log(`⛏️ Enhanced MiningScreen created for ${mineId}`);
+  }
 
-    // Core currency state
-    this.currency = 0;
-    this.monsterCurrency = 0;
-
-    // New active mining state
-    this.activeMining = {
-      isActive: false,
-      currentMachine: null,
-      targetZone: null,
-      timeWindow: 1000, // 1 second timing window
-      currentCombo: 0,
-      maxCombo: 0,
-      comboMultiplier: 1,
-      perfectHits: 0,
-      totalHits: 0,
-      lastHitTime: 0,
-      comboDecayTimer: null,
-    };
+  // Model state and components, read through for the view and debug tools
+  get mineId() {
+    return this.model.mineId;
+  }
 
-    // Per-mine upgrades (applies to all machines)
-    this.mineUpgrades = {
-      timeReduction: 0,
-      outputBonus: 0,
-      outputMultiplier: 0,
-      partDropRate: 0,
-      comboBonus: 0,
-      criticalChance: 0,
-    };
+  get mineConfig() {
+    return this.model.mineConfig;
+  }
 
-    // Merchant system
-    this.merchant = {
-      geodeCost: 50,
-      costMultiplier: 1.2,
-      purchaseCount: 0,
-    };
+  get mechaConfig() {
+    return this.model.mechaConfig;
+  }
 
-    // UI state
-    this.selectedMachine = null;
-    this.activeSlotMachine = null;
+  get wallet() {
+    return this.model.wallet;
+  }
 
-    // DOM element cache
-    this.elements = {};
+  get monsterCurrencyType() {
+    return this.model.monsterCurrencyType;
+  }
 
-    // Initialize modular components
-    this.machineManager = new MachineManager(this);
-    this.upgradeSlotMachine = new MachineUpgradeSlotMachine(
-      this.container,
-      this
-    );
-    this.geodeSystem = new GeodeSystem(this);
-    this.partsInventory = new PartsInventory(this);
-    this.mechaBuilder = new MechaBuilder(this);
+  get random() {
+    return this.model.random;
+  }
 
-    console.log(`⛏️ Enhanced MiningScreen created for ${mineId}`);
+  get economy() {
+    return this.model.economy;
+  }
+
+  get training() {
+    return this.model.training;
+  }
+
+  get calibration() {
+    return this.model.calibration;
+  }
+
+  get activeMining() {
+    return this.model.activeMining;
+  }
+
+  get mineUpgrades() {
+    return this.model.mineUpgrades;
+  }
+
+  get merchant() {
+    return this.model.merchant;
+  }
+
+  get machineManager() {
+    return this.model.machineManager;
+  }
+
+  get upgradeSlotMachine() {
+    return this.model.upgradeSlotMachine;
+  }
+
+  get geodeSystem() {
+    return this.model.geodeSystem;
+  }
+
+  get partsInventory() {
+    return this.model.partsInventory;
+  }
+
+  get mechaBuilder() {
+    return this.model.mechaBuilder;
+  }
+
+  // This mine's currency, shared with the map and other mines
+  get currency() {
+    return this.model.currency;
+  }
+
+  set currency(amount) {
+    this.model.currency = amount;
+  }
+
+  // Monster currency for this mine's currency type
+  get monsterCurrency() {
+    return this.model.monsterCurrency;
+  }
+
+  set monsterCurrency(amount) {
+    this.model.monsterCurrency = amount;
   }
 
   // Override init to add enhanced initialization
   init() {
     this.render();
+    this.createTimingIndicator();
     this.cacheElements();
     this.setupEventListeners();
     this.startAnimations();
     this.initializeAudio();
     this.startParticleSystem();
+    this.startCursorLoop();
 
-    // Initialize modular components
-    this.machineManager.init();
-    this.upgradeSlotMachine.init();
-    this.geodeSystem.init();
-    this.partsInventory.init();
-    this.mechaBuilder.init();
+    // Components cache their elements, so the model starts after render
+    this.model.init();
 
-    // Initialize mining mini-game
-    this.initializeMiningGame();
+    // Initialize enhanced features
+    this.initializeEnhancedFeatures();
+    this.bindModel();
 
     this.updateUI();
     this.isActive = true;
 
+    // Combat rewards and debug tools change the wallet from outside
+    this.unsubscribeWallet = this.wallet.onChange((currency) => {
+      if (
+        currency === this.mineConfig.currency ||
+        currency === this.monsterCurrencyType
+      ) {
+        this.updateCurrencyDisplay();
+      }
+    });
+
     console.log(`✅ Enhanced MiningScreen initialized for ${this.mineId}`);
   }
 
-  // Initialize the timing-based mining mini-game
-  initializeMiningGame() {
-    this.activeMining.targetZone = {
-      start: 0.2,
-      end: 0.8,
-      optimal: 0.5,
-      perfectZone: 0.1, // +/- 0.1 around optimal for perfect hits
+  // Redraw whatever the model reports changed
+  bindModel() {
+    const handlers = {
+      change: () => this.updateUI(),
+      currency: () => this.updateCurrencyDisplay(),
+      message: ({ message, type, duration }) =>
+        this.showTemporaryMessage(message, type, duration),
+      announce: ({ message }) => this.showSuccessMessage(message),
+      sound: ({ name }) => this.audioManager?.playSound(name),
+      effect: (effect) => this.showEffect(effect),
+      combo: () => this.updateTimingIndicator(),
+      miningEnded: () => this.hideTimingIndicator(),
+      calibration: (progress) => this.updateCalibrationDisplay(progress),
+      machinesChanged: () => this.refreshLayout(),
+      mechaReady: () => this.showBuildMechaButton(),
+      offlineProgress: (summary) => {
+        if (summary.cycles > 0) {
+          this.showOfflineSummary(summary);
+        }
+      },
     };
 
-    // Create timing indicator
+    this.unsubscribeModel = Object.entries(handlers).map(
+      ([eventName, handler]) => this.model.on(eventName, handler)
+    );
+  }
+
+  // Play a visual effect the model asked for
+  showEffect(effect) {
+    switch (effect.name) {
+      case "particles":
+        this.createParticleBurst(
+          effect.x,
+          effect.y,
+          effect.count,
+          effect.color
+        );
+        break;
+
+      case "shake":
+        this.triggerScreenShake(effect.duration);
+        break;
+
+      case "miningComplete":
+        this.createMiningCompleteEffect(effect.machineId);
+        break;
+
+      case "geodeFound":
+        this.createGeodeFoundEffect(effect.machineId);
+        break;
+    }
+  }
+
+  // Re-render after the machine lineup changes (purchases, loaded saves)
+  refreshLayout() {
+    this.render();
     this.createTimingIndicator();
+    this.cacheElements();
+    this.setupEventListeners();
+    this.updateUI();
   }
 
   // Create timing indicator element
   createTimingIndicator() {
+    const { mode, hint } = this.model.minigame.config;
+    const zones = this.model
+      .getZones()
+      .map(
+        () => `
+        <div class="timing-target-zone"></div>
+        <div class="timing-perfect-zone"></div>`
+      )
+      .join("");
+
     const indicator = document.createElement("div");
-    indicator.className = "mining-timing-indicator hidden";
+    indicator.className = `mining-timing-indicator timing-mode-${mode} hidden`;
     indicator.innerHTML = `
       <div class="timing-bar">
         <div class="timing-track"></div>
         <div class="timing-cursor"></div>
-        <div class="timing-target-zone"></div>
-        <div class="timing-perfect-zone"></div>
+        ${zones}
       </div>
+      <div class="timing-hint">${hint}</div>
       <div class="timing-feedback">
         <div class="combo-display">
           <span class="combo-text">Combo: <span class="combo-count">0</span></span>
@@ -232,7 +329,11 @@ class MiningScreen extends Screen {
                       100
                   : 0
               )}%</span></span>
+              <span class="stat-item">Output: <span class="output-rate">0</span>/cycle</span>
+              <span class="stat-item">Geodes: <span class="drop-rate">0</span>%/cycle</span>
+              <button class="calibrate-button stat-item" title="Calibrate input latency">⏱️ <span class="latency-offset">${this.calibration.getOffset()}</span>ms</button>
             </div>
+            <div class="output-breakdown"></div>
           </div>
           
           <div class="currency-display">
@@ -400,6 +501,20 @@ class MiningScreen extends Screen {
           </div>
         </div>
 
+        <!-- Offline Progress Modal -->
+        <div class="offline-summary-modal hidden">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h2>While You Were Away</h2>
+              <button class="close-offline-summary-button">×</button>
+            </div>
+            <div class="offline-summary-content">
+              <!-- Filled in by showOfflineSummary() -->
+            </div>
+            <button class="collect-offline-button btn btn-primary">Collect</button>
+          </div>
+        </div>
+
         <!-- Loading overlay -->
         <div class="loading-overlay hidden">
           <div class="loading-content">
@@ -411,379 +526,6 @@ class MiningScreen extends Screen {
     `;
 
     this.container.innerHTML = html;
-
-    // Inject enhanced CSS
-    this.injectEnhancedCSS();
-  }
-
-  // Inject enhanced CSS for the new features
-  injectEnhancedCSS() {
-    const enhancedCSS = `
-      /* Enhanced Mining UI */
-      .mining-header .mine-stats {
-        display: flex;
-        gap: 20px;
-        margin-top: 5px;
-        font-size: 0.9em;
-        opacity: 0.8;
-      }
-
-      .stat-item {
-        color: #00ff88;
-      }
-
-      /* Timing Indicator */
-      .mining-timing-indicator {
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        z-index: 1000;
-        background: rgba(0, 20, 40, 0.95);
-        padding: 30px;
-        border-radius: 15px;
-        border: 2px solid #00ff88;
-        box-shadow: 0 0 30px rgba(0, 255, 136, 0.3);
-        min-width: 400px;
-        text-align: center;
-      }
-
-      .timing-bar {
-        position: relative;
-        width: 100%;
-        height: 40px;
-        background: rgba(255, 255, 255, 0.1);
-        border-radius: 20px;
-        margin-bottom: 20px;
-        overflow: hidden;
-      }
-
-      .timing-track {
-        width: 100%;
-        height: 100%;
-        background: linear-gradient(90deg, #ff4444 0%, #ffff44 20%, #44ff44 40%, #44ff44 60%, #ffff44 80%, #ff4444 100%);
-        opacity: 0.3;
-      }
-
-      .timing-cursor {
-        position: absolute;
-        top: 0;
-        left: 0;
-        width: 4px;
-        height: 100%;
-        background: #ffffff;
-        box-shadow: 0 0 10px #ffffff;
-        animation: timing-cursor-move 2s linear infinite;
-      }
-
-      @keyframes timing-cursor-move {
-        0% { left: 0; }
-        100% { left: calc(100% - 4px); }
-      }
-
-      .timing-target-zone {
-        position: absolute;
-        top: 0;
-        left: 20%;
-        width: 60%;
-        height: 100%;
-        background: rgba(68, 255, 68, 0.3);
-        border: 2px solid #44ff44;
-      }
-
-      .timing-perfect-zone {
-        position: absolute;
-        top: 0;
-        left: 45%;
-        width: 10%;
-        height: 100%;
-        background: rgba(255, 255, 68, 0.5);
-        border: 2px solid #ffff44;
-      }
-
-      .timing-feedback {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-      }
-
-      .combo-display {
-        display: flex;
-        flex-direction: column;
-        align-items: flex-start;
-      }
-
-      .combo-text {
-        font-size: 1.2em;
-        font-weight: bold;
-        color: #00ff88;
-      }
-
-      .multiplier-text {
-        font-size: 1.1em;
-        color: #ffff44;
-      }
-
-      .hit-feedback {
-        font-size: 1.5em;
-        font-weight: bold;
-        min-width: 100px;
-        text-align: right;
-      }
-
-      .hit-perfect { color: #ffff44; }
-      .hit-good { color: #44ff44; }
-      .hit-miss { color: #ff4444; }
-
-      /* Enhanced Machine UI */
-      .machine-container {
-        position: relative;
-        border: 2px solid #333;
-        border-radius: 10px;
-        padding: 15px;
-        margin-bottom: 15px;
-        background: linear-gradient(135deg, rgba(0, 20, 40, 0.8) 0%, rgba(0, 40, 80, 0.8) 100%);
-        transition: all 0.3s ease;
-      }
-
-      .machine-container:hover {
-        border-color: #00ff88;
-        box-shadow: 0 0 20px rgba(0, 255, 136, 0.3);
-      }
-
-      .machine-container.active-mining {
-        border-color: #ffff44;
-        box-shadow: 0 0 25px rgba(255, 255, 68, 0.5);
-        animation: mining-pulse 1s ease-in-out infinite alternate;
-      }
-
-      @keyframes mining-pulse {
-        from { transform: scale(1); }
-        to { transform: scale(1.02); }
-      }
-
-      .machine-combo-display {
-        position: absolute;
-        top: -10px;
-        right: -10px;
-        background: linear-gradient(45deg, #ff6b6b, #4ecdc4);
-        color: white;
-        padding: 5px 10px;
-        border-radius: 15px;
-        font-size: 0.8em;
-        font-weight: bold;
-        opacity: 0;
-        transform: scale(0.8);
-        transition: all 0.3s ease;
-      }
-
-      .machine-combo-display.active {
-        opacity: 1;
-        transform: scale(1);
-      }
-
-      .machine-button {
-        position: relative;
-        overflow: hidden;
-        transition: all 0.3s ease;
-      }
-
-      .machine-button:hover {
-        transform: translateY(-2px);
-        box-shadow: 0 5px 15px rgba(0, 255, 136, 0.3);
-      }
-
-      .machine-button.ready-to-mine {
-        background: linear-gradient(45deg, #00ff88, #00cc66);
-        animation: ready-glow 2s ease-in-out infinite alternate;
-      }
-
-      @keyframes ready-glow {
-        from { box-shadow: 0 0 10px rgba(0, 255, 136, 0.5); }
-        to { box-shadow: 0 0 20px rgba(0, 255, 136, 0.8); }
-      }
-
-      /* Mine Upgrades Display */
-      .mine-upgrades-display {
-        background: rgba(0, 20, 40, 0.9);
-        border: 2px solid #444;
-        border-radius: 10px;
-        padding: 20px;
-        margin-top: 20px;
-      }
-
-      .upgrade-grid {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-        gap: 15px;
-        margin-top: 15px;
-      }
-
-      .upgrade-item {
-        background: rgba(255, 255, 255, 0.1);
-        border: 1px solid #666;
-        border-radius: 8px;
-        padding: 10px;
-        text-align: center;
-      }
-
-      .upgrade-item.active {
-        border-color: #00ff88;
-        background: rgba(0, 255, 136, 0.1);
-      }
-
-      .upgrade-name {
-        font-weight: bold;
-        color: #00ff88;
-        margin-bottom: 5px;
-      }
-
-      .upgrade-level {
-        font-size: 0.9em;
-        opacity: 0.8;
-      }
-
-      /* Merchant Modal */
-      .merchant-modal {
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.8);
-        display: flex;
-        justify-content: center;
-        align-items: center;
-        z-index: 1001;
-      }
-
-      .merchant-modal .modal-content {
-        background: linear-gradient(135deg, #2c3e50, #34495e);
-        border: 2px solid #00ff88;
-        border-radius: 15px;
-        padding: 30px;
-        max-width: 500px;
-        width: 90%;
-        box-shadow: 0 0 40px rgba(0, 255, 136, 0.3);
-      }
-
-      .merchant-content {
-        text-align: center;
-      }
-
-      .merchant-description {
-        margin-bottom: 20px;
-        color: #ecf0f1;
-        line-height: 1.6;
-      }
-
-      .merchant-offer {
-        display: flex;
-        align-items: center;
-        gap: 20px;
-        background: rgba(0, 0, 0, 0.3);
-        padding: 20px;
-        border-radius: 10px;
-        margin-top: 20px;
-      }
-
-      .geode-preview {
-        position: relative;
-      }
-
-      .geode-preview img {
-        width: 80px;
-        height: 80px;
-        filter: brightness(1.2);
-      }
-
-      .geode-glow {
-        position: absolute;
-        top: -10px;
-        left: -10px;
-        right: -10px;
-        bottom: -10px;
-        background: radial-gradient(circle, rgba(255, 215, 0, 0.3) 0%, transparent 70%);
-        border-radius: 50%;
-        animation: geode-glow 2s ease-in-out infinite alternate;
-      }
-
-      @keyframes geode-glow {
-        from { transform: scale(1); opacity: 0.3; }
-        to { transform: scale(1.1); opacity: 0.6; }
-      }
-
-      .offer-details {
-        flex: 1;
-        text-align: left;
-      }
-
-      .offer-price {
-        display: flex;
-        align-items: center;
-        gap: 10px;
-        margin-bottom: 15px;
-        font-size: 1.2em;
-        font-weight: bold;
-      }
-
-      .price-amount {
-        color: #f39c12;
-      }
-
-      .buy-geode-button {
-        width: 100%;
-        padding: 12px;
-        font-size: 1.1em;
-        margin-bottom: 10px;
-      }
-
-      .purchase-history {
-        text-align: center;
-        opacity: 0.7;
-      }
-
-      /* Enhanced particle effects */
-      .particle-burst {
-        position: fixed;
-        pointer-events: none;
-        z-index: 999;
-      }
-
-      .combo-particle {
-        position: fixed;
-        pointer-events: none;
-        z-index: 998;
-        font-size: 1.5em;
-        font-weight: bold;
-        color: #ffff44;
-        animation: combo-float 1s ease-out forwards;
-      }
-
-      @keyframes combo-float {
-        0% { transform: translateY(0) scale(1); opacity: 1; }
-        100% { transform: translateY(-50px) scale(1.2); opacity: 0; }
-      }
-
-      /* Responsive design improvements */
-      @media (max-width: 768px) {
-        .mining-content {
-          flex-direction: column;
-        }
-        
-        .side-panel {
-          width: 100%;
-          margin-top: 20px;
-        }
-        
-        .timing-indicator {
-          min-width: 300px;
-          padding: 20px;
-        }
-      }
-    `;
-
-    this.injectCSS("enhanced-mining-css", enhancedCSS);
   }
 
   renderMachines() {
@@ -904,10 +646,13 @@ class MiningScreen extends Screen {
     return upgrades
       .map((upgrade) => {
         const level = Math.floor(this.mineUpgrades[upgrade.key] * 100);
+        const maxed = this.model.isUpgradeMaxed(upgrade.key);
         return `
-        <div class="upgrade-item ${level > 0 ? "active" : ""}">
+        <div class="upgrade-item ${level > 0 ? "active" : ""} ${
+          maxed ? "maxed" : ""
+        }">
           <div class="upgrade-name">${upgrade.icon} ${upgrade.name}</div>
-          <div class="upgrade-level">Level ${level}</div>
+          <div class="upgrade-level">${maxed ? "MAX" : `Level ${level}`}</div>
         </div>
       `;
       })
@@ -932,6 +677,14 @@ class MiningScreen extends Screen {
       });
     }
 
+    // Combat button (visible once the mecha is built)
+    const combatButton = this.container.querySelector(".combat-button");
+    if (combatButton) {
+      combatButton.addEventListener("click", () => {
+        this.handleCombatClick();
+      });
+    }
+
     // Merchant button
     if (this.elements.merchantButton) {
       this.elements.merchantButton.addEventListener("click", () => {
@@ -950,6 +703,14 @@ class MiningScreen extends Screen {
       });
     });
 
+    // Latency calibration button
+    const calibrateButton = this.container.querySelector(".calibrate-button");
+    if (calibrateButton) {
+      calibrateButton.addEventListener("click", () => {
+        this.startCalibration();
+      });
+    }
+
     // Mine upgrades button
     const mineUpgradesButton = this.container.querySelector(
       ".mine-upgrades-display"
@@ -968,25 +729,41 @@ class MiningScreen extends Screen {
 
     // Set up merchant modal event listeners
     this.setupMerchantEventListeners();
+
+    // Set up offline summary modal event listeners
+    this.setupOfflineSummaryEventListeners();
   }
 
   // Setup timing game event listeners
   setupTimingGameEventListeners() {
     // Space bar or click to hit timing
     document.addEventListener("keydown", (e) => {
-      if (e.code === "Space" && this.activeMining.isActive) {
+      if (e.code === "Space" && this.isTimingInputOpen()) {
         e.preventDefault();
-        this.handleTimingHit();
+        if (!e.repeat) {
+          this.handleTimingHit(e);
+        }
+      }
+    });
+
+    document.addEventListener("keyup", (e) => {
+      if (e.code === "Space") {
+        this.handleTimingRelease(e);
       }
     });
 
-    // Click on timing indicator to hit
+    // Press on timing indicator to hit (hold-and-release mines score on
+    // letting go)
     if (this.elements.timingIndicator) {
-      this.elements.timingIndicator.addEventListener("click", () => {
-        if (this.activeMining.isActive) {
-          this.handleTimingHit();
+      this.elements.timingIndicator.addEventListener("mousedown", (e) => {
+        if (this.isTimingInputOpen()) {
+          this.handleTimingHit(e);
         }
       });
+
+      this.elements.timingIndicator.addEventListener("mouseup", (e) => {
+        this.handleTimingRelease(e);
+      });
     }
   }
 
@@ -1021,6 +798,27 @@ class MiningScreen extends Screen {
     }
   }
 
+  // Setup offline summary modal event listeners
+  setupOfflineSummaryEventListeners() {
+    const summaryModal = this.container.querySelector(".offline-summary-modal");
+    if (!summaryModal) return;
+
+    summaryModal
+      .querySelectorAll(".close-offline-summary-button, .collect-offline-button")
+      .forEach((button) => {
+        button.addEventListener("click", () => {
+          this.hideOfflineSummary();
+        });
+      });
+
+    // Close on background click
+    summaryModal.addEventListener("click", (e) => {
+      if (e.target === summaryModal) {
+        this.hideOfflineSummary();
+      }
+    });
+  }
+
   // Setup machine-specific event listeners
   setupMachineEventListeners() {
     this.machineManager.getAllMachines().forEach((machine) => {
@@ -1057,15 +855,7 @@ class MiningScreen extends Screen {
 
   // Start the timing-based mining game
   startTimingGame(machineId) {
-    const machine = this.machineManager.getMachine(machineId);
-    if (!machine || machine.isAutoMining || machine.energyLevel >= 100) {
-      return;
-    }
-
-    // Set active mining state
-    this.activeMining.isActive = true;
-    this.activeMining.currentMachine = machineId;
-    this.activeMining.lastHitTime = Date.now();
+    if (!this.model.startMining(machineId)) return;
 
     // Show timing indicator
     if (this.elements.timingIndicator) {
@@ -1073,224 +863,142 @@ class MiningScreen extends Screen {
     }
 
     // Update UI
+    this.drawTimingZones();
     this.updateTimingIndicator();
     this.updateMachineUI(machineId);
 
-    // Play start sound
-    if (this.audioManager) {
-      this.audioManager.playSound("mining-start");
-    }
-
     console.log(`⚡ Started timing game for ${machineId}`);
   }
 
-  // Handle timing hit attempt
-  handleTimingHit() {
-    if (!this.activeMining.isActive) return;
+  // Check if the timing bar is taking hits (mining or calibrating)
+  isTimingInputOpen() {
+    return this.activeMining.isActive || this.calibration.isCalibrating();
+  }
 
-    const cursor =
-      this.elements.timingIndicator?.querySelector(".timing-cursor");
-    if (!cursor) return;
+  // Handle timing hit attempt - scored at the input event's timestamp, not
+  // whenever this handler gets to run
+  handleTimingHit(event) {
+    const time = TimingCursor.getEventTime(event);
 
-    const cursorPosition = this.getCurrentCursorPosition();
-    const hitResult = this.calculateHitResult(cursorPosition);
+    if (this.calibration.isCalibrating()) {
+      this.model.calibrationTap(time);
+      return;
+    }
 
-    // Apply hit result
-    this.applyHitResult(hitResult);
+    // Nothing to show yet if this started a hold
+    const hitResult = this.model.press(time);
+    if (!hitResult) return;
 
     // Update UI
     this.updateTimingIndicator();
     this.showHitFeedback(hitResult);
-
-    // Check if mining should continue
-    if (this.shouldContinueMining()) {
-      this.resetTimingCursor();
-    } else {
-      this.endTimingGame();
-    }
   }
 
-  // Get current cursor position (0-1)
-  getCurrentCursorPosition() {
-    const cursor =
-      this.elements.timingIndicator?.querySelector(".timing-cursor");
-    if (!cursor) return 0;
+  // Handle the hit button being let go - scores hold-and-release mines
+  handleTimingRelease(event) {
+    const hitResult = this.model.release(TimingCursor.getEventTime(event));
+    if (!hitResult) return;
 
-    const computedStyle = window.getComputedStyle(cursor);
-    const left = parseFloat(computedStyle.left);
-    const parentWidth = cursor.parentElement.offsetWidth;
-
-    return left / parentWidth;
+    this.updateTimingIndicator();
+    this.showHitFeedback(hitResult);
   }
 
-  // Calculate hit result based on cursor position
-  calculateHitResult(position) {
-    const { start, end, optimal, perfectZone } = this.activeMining.targetZone;
-
-    let result = {
-      type: "miss",
-      score: 0,
-      energyGain: 0,
-      comboBonus: 0,
-      criticalHit: false,
-    };
-
-    // Check if in target zone
-    if (position >= start && position <= end) {
-      // Check if perfect hit
-      if (
-        position >= optimal - perfectZone &&
-        position <= optimal + perfectZone
-      ) {
-        result.type = "perfect";
-        result.score = 100;
-        result.energyGain = 25;
-        this.activeMining.perfectHits++;
-      } else {
-        result.type = "good";
-        result.score = 50;
-        result.energyGain = 15;
+  // Draw the timing cursor every frame from the model's clock
+  startCursorLoop() {
+    const draw = () => {
+      const cursor =
+        this.elements.timingIndicator?.querySelector(".timing-cursor");
+      if (cursor && this.model.cursor.isRunning()) {
+        const position = this.model.getCursorPosition();
+        cursor.style.left = `calc((100% - 4px) * ${position})`;
+        this.drawTimingZones();
       }
+      this.cursorFrame = requestAnimationFrame(draw);
+    };
+    this.cursorFrame = requestAnimationFrame(draw);
+  }
 
-      // Combo bonus
-      this.activeMining.currentCombo++;
-      result.comboBonus = Math.floor(this.activeMining.currentCombo / 5) * 5;
+  // Place the target zones where the model has them right now
+  drawTimingZones() {
+    const indicator = this.elements.timingIndicator;
+    if (!indicator) return;
 
-      // Critical hit chance
-      if (Math.random() < this.mineUpgrades.criticalChance) {
-        result.criticalHit = true;
-        result.energyGain *= 2;
-        result.score *= 2;
-      }
+    const targets = indicator.querySelectorAll(".timing-target-zone");
+    const perfects = indicator.querySelectorAll(".timing-perfect-zone");
 
-      // Update max combo
-      if (this.activeMining.currentCombo > this.activeMining.maxCombo) {
-        this.activeMining.maxCombo = this.activeMining.currentCombo;
-      }
+    this.model.getZones().forEach((zone, index) => {
+      const target = targets[index];
+      const perfect = perfects[index];
+      if (!target || !perfect) return;
 
-      // Reset combo decay timer
-      this.resetComboDecayTimer();
-    } else {
-      // Miss
-      result.type = "miss";
-      result.score = 0;
-      result.energyGain = 5; // Still gain some energy
-
-      // Reduce combo
-      this.activeMining.currentCombo = Math.max(
-        0,
-        this.activeMining.currentCombo - 1
-      );
-    }
+      target.style.left = `${zone.start * 100}%`;
+      target.style.width = `${(zone.end - zone.start) * 100}%`;
+      target.classList.toggle("used", zone.used);
 
-    this.activeMining.totalHits++;
-    return result;
+      perfect.style.left = `${(zone.optimal - zone.perfectZone) * 100}%`;
+      perfect.style.width = `${zone.perfectZone * 200}%`;
+    });
   }
 
-  // Apply hit result to game state
-  applyHitResult(hitResult) {
-    const machine = this.machineManager.getMachine(
-      this.activeMining.currentMachine
-    );
-    if (!machine) return;
-
-    // Apply energy gain with mine upgrades
-    const totalEnergyGain =
-      hitResult.energyGain * (1 + this.mineUpgrades.outputBonus);
-    machine.energyLevel = Math.min(machine.energyLevel + totalEnergyGain, 100);
-
-    // Check for geode drop on each hit
-    this.checkGeodeDropOnHit(hitResult);
-
-    // Update combo multiplier
-    this.updateComboMultiplier();
-
-    // Generate currency if machine is full
-    if (machine.energyLevel >= 100) {
-      this.completeMiningCycle(machine);
+  // Stop drawing the timing cursor
+  stopCursorLoop() {
+    if (this.cursorFrame !== null) {
+      cancelAnimationFrame(this.cursorFrame);
+      this.cursorFrame = null;
     }
   }
 
-  // Check for geode drop on each hit
-  checkGeodeDropOnHit(hitResult) {
-    const baseDropRate = 0.05; // 5% base chance per hit
-    const upgradeBonus = this.mineUpgrades.partDropRate;
-    const comboBonus = this.activeMining.currentCombo * 0.001; // 0.1% per combo
-    const criticalBonus = hitResult.criticalHit ? 0.1 : 0; // 10% bonus for critical hits
-
-    const totalDropRate =
-      baseDropRate + upgradeBonus + comboBonus + criticalBonus;
+  // Open the timing bar for a latency calibration run
+  startCalibration() {
+    this.model.startCalibration();
 
-    if (Math.random() < totalDropRate) {
-      const machine = this.machineManager.getMachine(
-        this.activeMining.currentMachine
-      );
-      if (machine) {
-        machine.geodeCount++;
-        this.showTemporaryMessage("Geode found! 💎", "success");
-        this.createGeodeFoundEffect();
-      }
+    if (this.elements.timingIndicator) {
+      this.elements.timingIndicator.classList.remove("hidden");
     }
   }
 
-  // Update combo multiplier
-  updateComboMultiplier() {
-    const baseMultiplier = 1.0;
-    const comboBonus = this.activeMining.currentCombo * 0.05; // 5% per combo
-    const upgradeBonus = this.mineUpgrades.comboBonus;
+  // Show calibration progress, and the new offset once the run finishes
+  updateCalibrationDisplay(progress) {
+    const feedbackElement =
+      this.elements.timingIndicator?.querySelector(".hit-feedback");
 
-    this.activeMining.comboMultiplier =
-      baseMultiplier + comboBonus + upgradeBonus;
-  }
+    if (progress.calibrating) {
+      if (feedbackElement) {
+        feedbackElement.className = "hit-feedback";
+        feedbackElement.textContent = `Tap as the cursor crosses the center (${progress.taps}/${progress.needed})`;
+      }
+      return;
+    }
 
-  // Reset combo decay timer
-  resetComboDecayTimer() {
-    if (this.activeMining.comboDecayTimer) {
-      clearTimeout(this.activeMining.comboDecayTimer);
+    if (feedbackElement) {
+      feedbackElement.className = "hit-feedback";
+      feedbackElement.textContent = "";
     }
+    this.hideTimingIndicator();
 
-    this.activeMining.comboDecayTimer = setTimeout(() => {
-      this.activeMining.currentCombo = 0;
-      this.updateTimingIndicator();
-    }, 3000); // 3 second decay
-  }
+    const offsetDisplay = this.container.querySelector(".latency-offset");
+    if (offsetDisplay) {
+      offsetDisplay.textContent = progress.offset;
+    }
 
-  // Check if mining should continue
-  shouldContinueMining() {
-    const machine = this.machineManager.getMachine(
-      this.activeMining.currentMachine
-    );
-    return machine && machine.energyLevel < 100;
+    if (progress.finished) {
+      this.showTemporaryMessage(
+        `⏱️ Input latency calibrated: ${progress.offset}ms`,
+        "success"
+      );
+    }
   }
 
-  // End the timing game
+  // End the timing game (the indicator hides on miningEnded)
   endTimingGame() {
-    this.activeMining.isActive = false;
-    this.activeMining.currentMachine = null;
+    this.model.stopMining();
+  }
 
-    // Hide timing indicator
+  // Hide the timing indicator once the model ends the game
+  hideTimingIndicator() {
     if (this.elements.timingIndicator) {
       this.elements.timingIndicator.classList.add("hidden");
     }
-
-    // Update UI
-    this.updateUI();
-
-    // Play end sound
-    if (this.audioManager) {
-      this.audioManager.playSound("mining-complete");
-    }
-  }
-
-  // Reset timing cursor animation
-  resetTimingCursor() {
-    const cursor =
-      this.elements.timingIndicator?.querySelector(".timing-cursor");
-    if (cursor) {
-      cursor.style.animation = "none";
-      cursor.offsetHeight; // Trigger reflow
-      cursor.style.animation = "timing-cursor-move 2s linear infinite";
-    }
   }
 
   // Update timing indicator UI
@@ -1365,14 +1073,9 @@ class MiningScreen extends Screen {
   }
 
   // Create geode found effect
-  createGeodeFoundEffect() {
-    const machine = this.machineManager.getMachine(
-      this.activeMining.currentMachine
-    );
-    if (!machine) return;
-
+  createGeodeFoundEffect(machineId) {
     const container = this.container.querySelector(
-      `[data-machine="${machine.id}"]`
+      `[data-machine="${machineId}"]`
     );
     if (container) {
       const rect = container.getBoundingClientRect();
@@ -1385,41 +1088,7 @@ class MiningScreen extends Screen {
     }
   }
 
-  // Complete mining cycle with enhancements
-  completeMiningCycle(machine) {
-    console.log(`💎 Enhanced mining cycle completed for ${machine.id}`);
-
-    // Generate currency with combo multiplier
-    const baseCurrency =
-      this.mineConfig.baseOutput * (this.mechaBuilder.hasMecha ? 2 : 1);
-    const upgradeBonus = this.mineUpgrades.outputBonus;
-    const comboBonus = baseCurrency * (this.activeMining.comboMultiplier - 1);
-    const multiplier =
-      1 + this.mineUpgrades.outputMultiplier * Math.floor(this.currency / 100);
-
-    const totalCurrency = Math.floor(
-      (baseCurrency + upgradeBonus + comboBonus) * multiplier
-    );
-    this.currency += totalCurrency;
-
-    // Reset energy
-    machine.energyLevel = 0;
-    machine.isActive = false;
-
-    // Update UI
-    this.updateCurrencyDisplay();
-    this.updateUI();
-
-    // Show completion message
-    this.showTemporaryMessage(
-      `+${totalCurrency} ${this.mineConfig.currency}!`,
-      "success"
-    );
-
-    // Create completion effect
-    this.createMiningCompleteEffect(machine.id);
-  }
-
+  // Output of one cycle at this mine right now, with its breakdown
   // Show merchant modal
   showMerchantModal() {
     const merchantModal = this.container.querySelector(".merchant-modal");
@@ -1437,6 +1106,70 @@ class MiningScreen extends Screen {
     }
   }
 
+  // Show the "while you were away" summary
+  showOfflineSummary(summary) {
+    const summaryModal = this.container.querySelector(".offline-summary-modal");
+    const content = this.container.querySelector(".offline-summary-content");
+    if (!summaryModal || !content) return;
+
+    const rarityText = Object.entries(summary.geodeRarities)
+      .filter(([, count]) => count > 0)
+      .map(([rarity, count]) => `${count} ${rarity}`)
+      .join(", ");
+    content.innerHTML = `
+      <p class="offline-duration">
+        Your mecha kept the machines running for
+        <strong>${this.formatAwayTime(summary.elapsedTime)}</strong>${
+          summary.capped
+            ? ` <small>(away ${this.formatAwayTime(summary.awayTime)} - capped)</small>`
+            : ""
+        }.
+      </p>
+      <div class="offline-rewards">
+        <div class="offline-reward">
+          <span class="offline-reward-label">⚙️ Mining cycles</span>
+          <span class="offline-reward-value">${summary.cycles}</span>
+        </div>
+        <div class="offline-reward">
+          <span class="offline-reward-label">
+            <img src="images/currency-${this.mineConfig.currency}.png" alt="${
+      this.mineConfig.currency
+    }" /> Currency
+          </span>
+          <span class="offline-reward-value">+${summary.currency}</span>
+        </div>
+        <div class="offline-reward">
+          <span class="offline-reward-label">💎 Geodes</span>
+          <span class="offline-reward-value">${summary.geodes}${
+      rarityText ? ` <small>(${rarityText})</small>` : ""
+    }</span>
+        </div>
+        <div class="offline-reward">
+          <span class="offline-reward-label">📦 Geodes to open</span>
+          <span class="offline-reward-value">${summary.pendingGeodes}</span>
+        </div>
+      </div>
+    `;
+
+    summaryModal.classList.remove("hidden");
+  }
+
+  // Hide the "while you were away" summary
+  hideOfflineSummary() {
+    const summaryModal = this.container.querySelector(".offline-summary-modal");
+    if (summaryModal) {
+      summaryModal.classList.add("hidden");
+    }
+  }
+
+  // Format an away time as "2h 15m" / "5m"
+  formatAwayTime(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
   // Update merchant display
   updateMerchantDisplay() {
     const priceAmount = this.container.querySelector(".price-amount");
@@ -1460,141 +1193,13 @@ class MiningScreen extends Screen {
 
   // Handle geode purchase
   handleGeodePurchase() {
-    if (this.currency < this.merchant.geodeCost) {
-      this.showTemporaryMessage("Not enough currency!", "warning");
-      return;
-    }
-
-    // Deduct cost
-    this.currency -= this.merchant.geodeCost;
-    this.merchant.purchaseCount++;
+    if (!this.model.purchaseGeode()) return;
 
-    // Increase cost for next purchase
-    this.merchant.geodeCost = Math.floor(
-      this.merchant.geodeCost * this.merchant.costMultiplier
-    );
-
-    // Generate geode reward
-    const reward = this.generateMerchantGeodeReward();
-    this.applyGeodeReward(reward);
-
-    // Update displays
-    this.updateCurrencyDisplay();
     this.updateMerchantDisplay();
-
-    // Show success message
-    this.showTemporaryMessage(reward.message, "success");
-
-    // Play purchase sound
-    if (this.audioManager) {
-      this.audioManager.playSound("geode-purchase");
-    }
-
-    // Create purchase effect
     this.createGeodePurchaseEffect();
   }
 
-  // Generate merchant geode reward
-  generateMerchantGeodeReward() {
-    const rand = Math.random();
-
-    if (rand < 0.3) {
-      // 30% chance for mecha part
-      const mechaType = this.mineConfig.mecha;
-      const missingParts = this.partsInventory.getMissingParts();
-
-      if (missingParts.length > 0) {
-        const partName =
-          missingParts[Math.floor(Math.random() * missingParts.length)];
-        return {
-          type: "part",
-          partName: partName,
-          message: `Mecha Part Found: ${partName.toUpperCase()}!`,
-        };
-      }
-    } else if (rand < 0.6) {
-      // 30% chance for upgrade
-      return {
-        type: "upgrade",
-        upgradeType: this.getRandomUpgradeType(),
-        message: "Mine Upgrade Found!",
-      };
-    }
-
-    // 40% chance for bonus currency
-    const bonus = Math.floor(Math.random() * 100) + 50;
-    return {
-      type: "currency",
-      amount: bonus,
-      message: `Bonus ${this.mineConfig.currency}: +${bonus}`,
-    };
-  }
-
-  // Get random upgrade type
-  getRandomUpgradeType() {
-    const upgradeTypes = [
-      "timeReduction",
-      "outputBonus",
-      "outputMultiplier",
-      "partDropRate",
-      "comboBonus",
-      "criticalChance",
-    ];
-    return upgradeTypes[Math.floor(Math.random() * upgradeTypes.length)];
-  }
-
-  // Apply geode reward
-  applyGeodeReward(reward) {
-    switch (reward.type) {
-      case "part":
-        this.partsInventory.collectPart(reward.partName, "merchant");
-        this.checkMechaBuildability();
-        break;
-
-      case "currency":
-        this.currency += reward.amount;
-        this.updateCurrencyDisplay();
-        break;
-
-      case "upgrade":
-        this.applyMineUpgrade(reward.upgradeType, 0.05); // 5% upgrade
-        break;
-    }
-  }
-
-  // Apply mine upgrade
-  applyMineUpgrade(upgradeType, value) {
-    switch (upgradeType) {
-      case "timeReduction":
-        this.mineUpgrades.timeReduction = Math.min(
-          this.mineUpgrades.timeReduction + value,
-          0.95
-        );
-        break;
-      case "outputBonus":
-        this.mineUpgrades.outputBonus += Math.floor(value * 20); // Convert to integer
-        break;
-      case "outputMultiplier":
-        this.mineUpgrades.outputMultiplier += value;
-        break;
-      case "partDropRate":
-        this.mineUpgrades.partDropRate = Math.min(
-          this.mineUpgrades.partDropRate + value,
-          1.0
-        );
-        break;
-      case "comboBonus":
-        this.mineUpgrades.comboBonus += value;
-        break;
-      case "criticalChance":
-        this.mineUpgrades.criticalChance = Math.min(
-          this.mineUpgrades.criticalChance + value,
-          0.5
-        );
-        break;
-    }
-  }
-
+  // Add to a mine-wide upgrade under its caps and diminishing returns
   // Show mine upgrade modal
   showMineUpgradeModal() {
     // Update the upgrade slot machine to work with mine-wide upgrades
@@ -1628,12 +1233,20 @@ class MiningScreen extends Screen {
       this.audioManager.playSound("button-click");
     }
 
-    this.showTemporaryMessage("Returning to map...", "info");
+    this.transitionToScreen("map");
+  }
 
-    // In full game, this would transition back to map screen
-    this.setManagedTimeout(() => {
-      this.showTemporaryMessage("Map transition would happen here", "success");
-    }, 1000);
+  handleCombatClick() {
+    if (!this.mechaBuilder.isCombatReady()) {
+      this.showTemporaryMessage("Build your mecha first!", "warning");
+      return;
+    }
+
+    if (this.activeMining.isActive) {
+      this.endTimingGame();
+    }
+
+    this.transitionToScreen("combat", { mineId: this.mineId });
   }
 
   handleGeodeClick(machineId) {
@@ -1644,16 +1257,7 @@ class MiningScreen extends Screen {
   }
 
   handleMachinePurchase(machineIndex) {
-    if (this.machineManager.purchaseMachine(machineIndex)) {
-      // Update currency displays
-      this.updateCurrencyDisplay();
-
-      // Re-render and update
-      this.render();
-      this.cacheElements();
-      this.setupEventListeners();
-      this.updateUI();
-
+    if (this.model.purchaseMachine(machineIndex)) {
       this.showTemporaryMessage(
         `Machine ${machineIndex + 1} purchased!`,
         "success"
@@ -1687,6 +1291,50 @@ class MiningScreen extends Screen {
           : 0;
       efficiencyRate.textContent = Math.floor(efficiency);
     }
+
+    this.updateOutputBreakdown();
+  }
+
+  // Where each unit of a cycle's output comes from (see Economy)
+  updateOutputBreakdown() {
+    const outputRate = this.container.querySelector(".output-rate");
+    const dropRate = this.container.querySelector(".drop-rate");
+    const breakdownDisplay = this.container.querySelector(".output-breakdown");
+
+    const output = this.model.getCycleOutput({
+      comboMultiplier: this.activeMining.comboMultiplier || 1,
+    });
+
+    if (outputRate) {
+      outputRate.textContent = output.total;
+    }
+
+    if (dropRate) {
+      const drop = this.economy.getCycleDropRate(
+        this.mineId,
+        this.mineUpgrades
+      );
+      dropRate.textContent = Math.round(drop.rate * 100);
+    }
+
+    if (breakdownDisplay) {
+      const labels = {
+        base: "Base",
+        mecha: "Mecha",
+        upgrades: "Upgrades",
+        combo: "Combo",
+        storage: "Storage",
+        efficiency: "Efficiency",
+      };
+      breakdownDisplay.textContent = Object.entries(output.breakdown)
+        .filter(([, amount]) => Math.abs(amount) >= 0.05)
+        .map(([source, amount]) => {
+          const rounded = Math.round(amount * 10) / 10;
+          const sign = source === "base" || rounded < 0 ? "" : "+";
+          return `${labels[source]} ${sign}${rounded}`;
+        })
+        .join(" · ");
+    }
   }
 
   updateCurrencyDisplay() {
@@ -1794,17 +1442,11 @@ class MiningScreen extends Screen {
     }
   }
 
-  // Check if mecha can be built
-  checkMechaBuildability() {
-    if (this.partsInventory.isComplete() && !this.mechaBuilder.hasMecha) {
-      const buildButton = this.container.querySelector(".build-mecha-button");
-      if (buildButton) {
-        buildButton.classList.remove("hidden");
-      }
-      this.showTemporaryMessage(
-        "All parts collected! Ready to build mecha!",
-        "success"
-      );
+  // Show the build button once every part is in (see MiningModel)
+  showBuildMechaButton() {
+    const buildButton = this.container.querySelector(".build-mecha-button");
+    if (buildButton) {
+      buildButton.classList.remove("hidden");
     }
   }
 
@@ -1886,7 +1528,7 @@ class MiningScreen extends Screen {
 
   addPart(partName) {
     if (this.partsInventory.collectPart(partName, "debug")) {
-      this.checkMechaBuildability();
+      this.model.checkMechaBuildability();
     }
   }
 
@@ -1908,7 +1550,7 @@ class MiningScreen extends Screen {
 
   // Debug method to add mine upgrades
   addMineUpgrade(upgradeType, value) {
-    this.applyMineUpgrade(upgradeType, value);
+    this.model.applyMineUpgrade(upgradeType, value);
     this.updateUI();
     this.showTemporaryMessage(
       `Added ${upgradeType} upgrade: +${value}`,
@@ -1930,9 +1572,9 @@ class MiningScreen extends Screen {
         score: 100,
         energyGain: 25,
         comboBonus: 5,
-        criticalHit: Math.random() < 0.5,
+        criticalHit: this.random.chance("mining", 0.5),
       };
-      this.applyHitResult(perfectResult);
+      this.model.applyHitResult(perfectResult);
       this.showHitFeedback(perfectResult);
       this.updateTimingIndicator();
     }
@@ -1940,80 +1582,16 @@ class MiningScreen extends Screen {
 
   // Get enhanced mining statistics
   getMiningStats() {
-    return {
-      mineId: this.mineId,
-      currency: this.currency,
-      monsterCurrency: this.monsterCurrency,
-      activeMining: { ...this.activeMining },
-      mineUpgrades: { ...this.mineUpgrades },
-      merchant: { ...this.merchant },
-      machines: this.machineManager.getAllMachines().map((m) => ({
-        id: m.id,
-        energyLevel: m.energyLevel,
-        geodeCount: m.geodeCount,
-        isAutoMining: m.isAutoMining,
-      })),
-      parts: this.partsInventory.getPartStats(),
-      mecha: this.mechaBuilder.getBuildStatus(),
-    };
+    return this.model.getMiningStats();
   }
 
-  // Enhanced save/load functionality
+  // Enhanced save/load functionality - the model holds everything worth saving
   saveEnhancedState() {
-    return {
-      mineId: this.mineId,
-      currency: this.currency,
-      monsterCurrency: this.monsterCurrency,
-      activeMining: {
-        maxCombo: this.activeMining.maxCombo,
-        perfectHits: this.activeMining.perfectHits,
-        totalHits: this.activeMining.totalHits,
-      },
-      mineUpgrades: { ...this.mineUpgrades },
-      merchant: { ...this.merchant },
-      machines: this.machineManager.getAllMachines().map((m) => ({
-        id: m.id,
-        energyLevel: m.energyLevel,
-        geodeCount: m.geodeCount,
-        isAutoMining: m.isAutoMining,
-      })),
-      collectedParts: this.partsInventory.getAllParts(),
-      hasMecha: this.mechaBuilder.hasMecha,
-    };
+    return this.model.getState();
   }
 
   loadEnhancedState(state) {
-    if (!state) return;
-
-    this.currency = state.currency || 0;
-    this.monsterCurrency = state.monsterCurrency || 0;
-
-    if (state.activeMining) {
-      this.activeMining.maxCombo = state.activeMining.maxCombo || 0;
-      this.activeMining.perfectHits = state.activeMining.perfectHits || 0;
-      this.activeMining.totalHits = state.activeMining.totalHits || 0;
-    }
-
-    if (state.mineUpgrades) {
-      this.mineUpgrades = { ...this.mineUpgrades, ...state.mineUpgrades };
-    }
-
-    if (state.merchant) {
-      this.merchant = { ...this.merchant, ...state.merchant };
-    }
-
-    if (state.collectedParts) {
-      state.collectedParts.forEach((part) => {
-        this.partsInventory.addPart(part);
-      });
-    }
-
-    if (state.hasMecha) {
-      this.mechaBuilder.hasMecha = true;
-    }
-
-    // Update UI after loading
-    this.updateUI();
+    this.model.loadState(state);
   }
 
   // Override destroy to clean up enhanced mining elements
@@ -2023,17 +1601,18 @@ class MiningScreen extends Screen {
       this.endTimingGame();
     }
 
-    // Clear combo decay timer
-    if (this.activeMining.comboDecayTimer) {
-      clearTimeout(this.activeMining.comboDecayTimer);
+    // Stop following wallet changes
+    if (this.unsubscribeWallet) {
+      this.unsubscribeWallet();
+      this.unsubscribeWallet = null;
     }
 
-    // Clean up modular components
-    this.machineManager.destroy();
+    // Stop following the model, then clean it and its components up
+    this.unsubscribeModel.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribeModel = [];
+    this.stopCursorLoop();
     this.upgradeSlotMachine.hide();
-    this.geodeSystem.destroy();
-    this.partsInventory.destroy();
-    this.mechaBuilder.destroy();
+    this.model.destroy();
 
     // Remove timing indicator
     const timingIndicator = this.container.querySelector(
@@ -2046,30 +1625,6 @@ class MiningScreen extends Screen {
     // Clear cached elements
     this.elements = {};
 
-    // Reset enhanced mining state
-    this.activeMining = {
-      isActive: false,
-      currentMachine: null,
-      targetZone: null,
-      timeWindow: 1000,
-      currentCombo: 0,
-      maxCombo: 0,
-      comboMultiplier: 1,
-      perfectHits: 0,
-      totalHits: 0,
-      lastHitTime: 0,
-      comboDecayTimer: null,
-    };
-
-    this.mineUpgrades = {
-      timeReduction: 0,
-      outputBonus: 0,
-      outputMultiplier: 0,
-      partDropRate: 0,
-      comboBonus: 0,
-      criticalChance: 0,
-    };
-
     this.selectedMachine = null;
     this.activeSlotMachine = null;
 
@@ -2104,10 +1659,15 @@ class MiningScreen extends Screen {
     if (this.elements.timingIndicator) {
       this.elements.timingIndicator.addEventListener("touchstart", (e) => {
         e.preventDefault();
-        if (this.activeMining.isActive) {
-          this.handleTimingHit();
+        if (this.isTimingInputOpen()) {
+          this.handleTimingHit(e);
         }
       });
+
+      this.elements.timingIndicator.addEventListener("touchend", (e) => {
+        e.preventDefault();
+        this.handleTimingRelease(e);
+      });
     }
 
     // Prevent zoom on double tap
@@ -2142,8 +1702,14 @@ class MiningScreen extends Screen {
 
     // Keyboard navigation
     document.addEventListener("keydown", (e) => {
-      if (this.activeMining.isActive && e.code === "Enter") {
-        this.handleTimingHit();
+      if (this.isTimingInputOpen() && e.code === "Enter" && !e.repeat) {
+        this.handleTimingHit(e);
+      }
+    });
+
+    document.addEventListener("keyup", (e) => {
+      if (e.code === "Enter") {
+        this.handleTimingRelease(e);
       }
     });
   }
@@ -2154,32 +1720,6 @@ class MiningScreen extends Screen {
     this.setupAccessibility();
     this.optimizePerformance();
   }
-
-  // Call enhanced initialization in init method
-  init() {
-    this.render();
-    this.cacheElements();
-    this.setupEventListeners();
-    this.startAnimations();
-    this.initializeAudio();
-    this.startParticleSystem();
-
-    // Initialize modular components
-    this.machineManager.init();
-    this.upgradeSlotMachine.init();
-    this.geodeSystem.init();
-    this.partsInventory.init();
-    this.mechaBuilder.init();
-
-    // Initialize enhanced features
-    this.initializeMiningGame();
-    this.initializeEnhancedFeatures();
-
-    this.updateUI();
-    this.isActive = true;
-
-    console.log(`✅ Enhanced MiningScreen initialized for ${this.mineId}`);
-  }
 }
 
 // Make available globally for debug system
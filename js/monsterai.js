@@ -0,0 +1,243 @@
+// MonsterAI - Picks monster moves for the "simple", "normal" and "smart" battle entries
+// Pure decision logic: reads combatant objects, never changes them or touches the DOM
+class MonsterAI {
+  constructor(random = Math.random, moves = GAME_CONFIG.monsterMoves) {
+    this.random = random;
+    this.moves = moves;
+
+    // Brains keyed by the battle entry's ai field - add new tiers here
+    this.brains = {
+      simple: (monster, mecha, context) =>
+        this.chooseSimple(monster, mecha, context),
+      normal: (monster, mecha, context) =>
+        this.chooseNormal(monster, mecha, context),
+      smart: (monster, mecha, context) =>
+        this.chooseSmart(monster, mecha, context),
+    };
+
+    // Tuning values for the weighted brains
+    this.tuning = {
+      healThreshold: 0.8, // normal: ignore heals above this health ratio
+      healUrgency: 4, // normal: extra heal weight at low health
+      lowEnergyRatio: 0.3, // smart: mecha is "tired" below this energy ratio
+      scoreNoise: 2, // smart: random jitter so bosses aren't fully predictable
+    };
+  }
+
+  // Register a custom brain - brain(monster, mecha, context) returns a move id
+  registerBrain(name, brain) {
+    this.brains[name] = brain;
+  }
+
+  // Choose the monster's next move using its battle entry's ai tier
+  chooseMove(monster, mecha, context = {}) {
+    if (!monster.moves || monster.moves.length === 0) return null;
+
+    const brain = this.brains[monster.ai] || this.brains.simple;
+    return brain(monster, mecha, { power: 1, ...context });
+  }
+
+  // Simple - uniform random move
+  chooseSimple(monster) {
+    return CONFIG_UTILS.getRandomElement(monster.moves, this.random);
+  }
+
+  // Normal - random, but heals and shields scale with missing health
+  chooseNormal(monster) {
+    const healthRatio = monster.health / monster.maxHealth;
+
+    const weights = monster.moves.map((moveId) => {
+      const move = this.moves[moveId];
+      if (!move) return 0;
+
+      if (this.isSustainMove(move)) {
+        if (healthRatio >= this.tuning.healThreshold) return 0;
+        return 1 + (1 - healthRatio) * this.tuning.healUrgency;
+      }
+
+      return 1;
+    });
+
+    return this.pickWeighted(monster.moves, weights);
+  }
+
+  // Smart - scores each move against the mecha's health, energy and buffs
+  chooseSmart(monster, mecha, context) {
+    let bestMove = monster.moves[0];
+    let bestScore = -Infinity;
+
+    monster.moves.forEach((moveId) => {
+      const score =
+        this.scoreMove(moveId, monster, mecha, context) +
+        this.random() * this.tuning.scoreNoise;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = moveId;
+      }
+    });
+
+    return bestMove;
+  }
+
+  // Score a move for the smart brain - higher is better
+  scoreMove(moveId, monster, mecha, context) {
+    const move = this.moves[moveId];
+    if (!move) return -Infinity;
+
+    const power = context.power;
+    const expectedDamage = this.estimateDamage(move, monster, mecha, power);
+
+    // Always take a kill
+    if (expectedDamage >= mecha.health + (mecha.shield || 0)) {
+      return 1000;
+    }
+
+    const healthRatio = monster.health / monster.maxHealth;
+    const missingHealth = monster.maxHealth - monster.health;
+    const energyRatio = mecha.maxEnergy ? mecha.energy / mecha.maxEnergy : 1;
+    const mechaBuffed = mecha.attackBoostTurns > 0;
+    const mechaGuarded = mecha.defenseBoostTurns > 0;
+
+    let score = expectedDamage;
+
+    // Healing is only worth what it actually restores, more so when low
+    const healUrgency = 2 - healthRatio;
+    if (move.healing) {
+      score += Math.min(move.healing * power, missingHealth) * healUrgency;
+    }
+    if (move.lifesteal) {
+      score +=
+        Math.min(expectedDamage * move.lifesteal, missingHealth) * healUrgency;
+    }
+
+    // Shields and defense matter most when the mecha is buffed or we're hurt
+    if (move.shield) {
+      const shieldValue = Math.max(0, move.shield * power - (monster.shield || 0));
+      score += shieldValue * (mechaBuffed ? 1 : 0.5) * (2 - healthRatio);
+    }
+    if (move.defenseBoost && monster.defenseBoostTurns <= 0) {
+      score += move.defenseBoost * (mechaBuffed ? 2 : 1);
+    }
+    if (move.attackBoost && monster.attackBoostTurns <= 0) {
+      score += move.attackBoost * 1.5;
+    }
+
+    // Draining energy is best while the mecha still has plenty to spend
+    if (move.energyDrain) {
+      const hits = this.getAverageHits(move);
+      score += Math.min(move.energyDrain * hits, mecha.energy) * 0.5 * energyRatio;
+    }
+
+    // A tired mecha can't punish us - press the attack
+    if (energyRatio < this.tuning.lowEnergyRatio && expectedDamage > 0) {
+      score += expectedDamage * 0.5;
+    }
+
+    // Status effects - never waste a turn re-applying an active one
+    if (move.status) {
+      score += this.scoreStatus(move.status, mecha, power, {
+        mechaBuffed,
+        mechaGuarded,
+      });
+    }
+
+    // Stripping buffs is worth their remaining value
+    if (move.dispel) {
+      score +=
+        (mecha.attackBoostTurns > 0 ? mecha.attackBoost * 2 : 0) +
+        (mecha.defenseBoostTurns > 0 ? mecha.defenseBoost * 2 : 0);
+    }
+
+    return score;
+  }
+
+  // Score a status effect for the smart brain
+  scoreStatus(status, mecha, power, situation) {
+    const active = (mecha.statuses || []).some((s) => s.type === status.type);
+    if (active) return -5;
+
+    const chance = status.chance ?? 1;
+
+    switch (status.type) {
+      case "poison":
+        // Poison ignores defense, so it shines against a guarded mecha
+        // (future ticks count for half - the fight may end first)
+        return (
+          status.amount * power * status.turns * chance * 0.5 *
+          (situation.mechaGuarded ? 1.5 : 1)
+        );
+
+      case "freeze":
+        // A skipped turn costs the mecha a whole move (and its buff time)
+        return 15 * status.turns * chance * (situation.mechaBuffed ? 1.5 : 1);
+
+      case "blind":
+        return (
+          10 * status.turns * (status.missChance || 0.5) * chance *
+          (situation.mechaBuffed ? 2 : 1)
+        );
+
+      default:
+        return 0;
+    }
+  }
+
+  // Estimate total damage a move deals to the mecha this turn
+  estimateDamage(move, monster, mecha, power) {
+    if (!move.damage) return 0;
+
+    const hits = this.getAverageHits(move);
+    const defenseShare = {
+      defense: (mecha.defense || 0) / hits,
+      defenseBoost: (mecha.defenseBoost || 0) / hits,
+    };
+
+    const perHit = CONFIG_UTILS.calculateCombatDamage(
+      move.damage * power,
+      monster,
+      defenseShare
+    );
+    return perHit * hits;
+  }
+
+  // Average hit count for a move - number or [min, max]
+  getAverageHits(move) {
+    if (Array.isArray(move.hits)) {
+      return (move.hits[0] + move.hits[1]) / 2;
+    }
+    return move.hits || 1;
+  }
+
+  // Check if a move exists mainly to keep the monster alive - lifesteal
+  // attacks are damage moves first
+  isSustainMove(move) {
+    return Boolean(move.healing || move.shield);
+  }
+
+  // Pick from a list using relative weights (falls back to uniform)
+  pickWeighted(options, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      return CONFIG_UTILS.getRandomElement(options, this.random);
+    }
+
+    let roll = this.random() * total;
+    for (let i = 0; i < options.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return options[i];
+    }
+    return options[options.length - 1];
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.MonsterAI = MonsterAI;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MonsterAI;
+}
+
+console.log("🧠 MonsterAI class loaded!");
@@ -0,0 +1,316 @@
+// MonsterMoveResolver - Applies GAME_CONFIG.monsterMoves and status effects to combatants
+// Works on plain combatant objects (see CombatScreen.createMechaCombatant) - no DOM access
+class MonsterMoveResolver {
+  constructor(random = Math.random) {
+    this.random = random;
+    this.moves = GAME_CONFIG.monsterMoves;
+    this.combatConfig = GAME_CONFIG.combat;
+
+    // Status effect handlers - add new statuses here
+    this.statusHandlers = {
+      poison: {
+        icon: "☠️",
+        label: "Poison",
+        onTurnStart: (combatant, status, result) => {
+          const damage = this.dealDamage(combatant, status.amount, {
+            ignoreShield: true,
+          });
+          result.messages.push(
+            `${combatant.name} takes ${damage.health} poison damage.`
+          );
+        },
+      },
+      freeze: {
+        icon: "🧊",
+        label: "Frozen",
+        onTurnStart: (combatant, status, result) => {
+          result.skipTurn = true;
+          result.messages.push(`${combatant.name} is frozen solid!`);
+        },
+      },
+      blind: {
+        icon: "🌑",
+        label: "Blind",
+        onTurnStart: null, // Checked when the blinded combatant attacks
+      },
+    };
+  }
+
+  // Get a move definition from the catalog
+  getMove(moveId) {
+    return this.moves[moveId] || null;
+  }
+
+  // Resolve a monster move against a target
+  resolve(moveId, user, target, power = 1) {
+    const move = this.getMove(moveId);
+    const result = {
+      moveId,
+      name: move ? move.name : moveId,
+      messages: [],
+      damage: 0,
+      hits: 0,
+    };
+
+    if (!move) {
+      console.warn(`Monster move ${moveId} not found`);
+      result.messages.push(`${user.name} wobbles in place.`);
+      return result;
+    }
+
+    // Damage (single or multi-hit)
+    if (move.damage) {
+      this.resolveHits(move, user, target, power, result);
+    }
+
+    // Lifesteal - heal for a share of damage dealt
+    if (move.lifesteal && result.damage > 0) {
+      const healed = this.heal(user, Math.floor(result.damage * move.lifesteal));
+      if (healed > 0) {
+        result.messages.push(`${user.name} absorbs ${healed} HP.`);
+      }
+    }
+
+    // Energy drain (per hit for multi-hit moves)
+    if (move.energyDrain && target.maxEnergy) {
+      const drainAmount = move.energyDrain * Math.max(result.hits, 1);
+      const drained = this.drainEnergy(target, drainAmount);
+      if (drained > 0) {
+        result.messages.push(`${target.name} loses ${drained} energy!`);
+      }
+    }
+
+    // Status effect
+    if (move.status) {
+      this.applyStatus(target, move.status, power, result);
+    }
+
+    // Healing
+    if (move.healing) {
+      const healed = this.heal(user, Math.floor(move.healing * power));
+      result.messages.push(`${user.name} uses ${move.name} and heals ${healed} HP.`);
+    }
+
+    // Shield
+    if (move.shield) {
+      const gained = this.addShield(user, Math.floor(move.shield * power));
+      result.messages.push(`${user.name} gains a ${gained} point shield!`);
+    }
+
+    // Boosts
+    if (move.attackBoost || move.defenseBoost) {
+      this.applyBoosts(user, move, result);
+    }
+
+    // Dispel - strip the target's active boosts
+    if (move.dispel) {
+      this.dispelBoosts(target, result);
+    }
+
+    return result;
+  }
+
+  // Resolve one or more hits of a damaging move
+  resolveHits(move, user, target, power, result) {
+    const hits = this.rollHitCount(move.hits);
+    const baseDamage = move.damage * power;
+
+    // Defense is spread across hits so storms are not erased by armor
+    const defenseShare = {
+      defense: (target.defense || 0) / hits,
+      defenseBoost: (target.defenseBoost || 0) / hits,
+    };
+
+    let absorbed = 0;
+    for (let i = 0; i < hits; i++) {
+      const damage = CONFIG_UTILS.calculateCombatDamage(
+        baseDamage,
+        user,
+        defenseShare
+      );
+      const dealt = this.dealDamage(target, damage);
+      result.damage += dealt.health;
+      absorbed += dealt.absorbed;
+    }
+    result.hits = hits;
+
+    const hitText = hits > 1 ? ` (${hits} hits)` : "";
+    result.messages.push(
+      `${user.name} uses ${move.name} for ${result.damage} damage${hitText}!`
+    );
+
+    if (absorbed > 0) {
+      result.messages.push(`${target.name}'s shield absorbs ${absorbed}.`);
+    }
+  }
+
+  // Roll the number of hits - number or [min, max]
+  rollHitCount(hits) {
+    if (Array.isArray(hits)) {
+      const [min, max] = hits;
+      return min + Math.floor(this.random() * (max - min + 1));
+    }
+    return hits || 1;
+  }
+
+  // Deal damage, letting shields absorb first
+  dealDamage(combatant, amount, options = {}) {
+    let absorbed = 0;
+
+    if (!options.ignoreShield && combatant.shield > 0) {
+      absorbed = Math.min(combatant.shield, amount);
+      combatant.shield -= absorbed;
+    }
+
+    const healthDamage = Math.min(combatant.health, amount - absorbed);
+    combatant.health -= healthDamage;
+
+    return { health: healthDamage, absorbed };
+  }
+
+  // Heal a combatant, returns the amount actually healed
+  heal(combatant, amount) {
+    const before = combatant.health;
+    combatant.health = Math.min(combatant.maxHealth, combatant.health + amount);
+    return combatant.health - before;
+  }
+
+  // Drain energy, returns the amount actually drained
+  drainEnergy(combatant, amount) {
+    const drained = Math.min(combatant.energy || 0, amount);
+    combatant.energy -= drained;
+    return drained;
+  }
+
+  // Add to a combatant's shield, capped by combat.maxShield
+  addShield(combatant, amount) {
+    const before = combatant.shield || 0;
+    combatant.shield = Math.min(before + amount, this.combatConfig.maxShield);
+    return combatant.shield - before;
+  }
+
+  // Apply attack/defense boosts from a move
+  applyBoosts(combatant, move, result) {
+    const turns = move.boostTurns || this.combatConfig.buffDuration;
+
+    if (move.attackBoost) {
+      combatant.attackBoost = move.attackBoost;
+      combatant.attackBoostTurns = turns;
+      result.messages.push(
+        `${combatant.name}'s attack rises by ${move.attackBoost}!`
+      );
+    }
+
+    if (move.defenseBoost) {
+      combatant.defenseBoost = move.defenseBoost;
+      combatant.defenseBoostTurns = turns;
+      result.messages.push(
+        `${combatant.name} uses ${move.name}! Defense +${move.defenseBoost}.`
+      );
+    }
+  }
+
+  // Remove all active boosts from a combatant
+  dispelBoosts(combatant, result) {
+    if (combatant.attackBoostTurns > 0 || combatant.defenseBoostTurns > 0) {
+      combatant.attackBoost = 0;
+      combatant.attackBoostTurns = 0;
+      combatant.defenseBoost = 0;
+      combatant.defenseBoostTurns = 0;
+      result.messages.push(`${combatant.name}'s boosts are swallowed by the void!`);
+    }
+  }
+
+  // Apply a status effect (respecting its chance to land)
+  applyStatus(combatant, statusTemplate, power, result) {
+    if (!this.statusHandlers[statusTemplate.type]) {
+      console.warn(`Unknown status effect ${statusTemplate.type}`);
+      return false;
+    }
+
+    const chance = statusTemplate.chance ?? 1;
+    if (this.random() >= chance) return false;
+
+    const status = {
+      ...statusTemplate,
+      amount: statusTemplate.amount
+        ? Math.floor(statusTemplate.amount * power)
+        : 0,
+    };
+    delete status.chance;
+
+    // Re-applying a status refreshes it instead of stacking
+    combatant.statuses = (combatant.statuses || []).filter(
+      (s) => s.type !== status.type
+    );
+    combatant.statuses.push(status);
+
+    const handler = this.statusHandlers[status.type];
+    result.messages.push(
+      `${combatant.name} is afflicted: ${handler.label} (${status.turns} turns)!`
+    );
+    return true;
+  }
+
+  // Process statuses at the start of a combatant's turn
+  processTurnStart(combatant) {
+    const result = { skipTurn: false, messages: [] };
+    if (!combatant.statuses || combatant.statuses.length === 0) return result;
+
+    combatant.statuses.forEach((status) => {
+      const handler = this.statusHandlers[status.type];
+      if (handler && handler.onTurnStart) {
+        handler.onTurnStart(combatant, status, result);
+      }
+    });
+
+    // Count down durations, except blind which counts attacks
+    combatant.statuses.forEach((status) => {
+      if (status.type !== "blind") status.turns--;
+    });
+    this.clearExpiredStatuses(combatant);
+
+    return result;
+  }
+
+  // Check if an attack from this combatant misses due to blindness
+  rollBlindMiss(combatant) {
+    const blind = this.getStatus(combatant, "blind");
+    if (!blind) return false;
+
+    blind.turns--;
+    this.clearExpiredStatuses(combatant);
+
+    return this.random() < (blind.missChance || 0.5);
+  }
+
+  // Drop statuses with no turns left
+  clearExpiredStatuses(combatant) {
+    combatant.statuses = combatant.statuses.filter((s) => s.turns > 0);
+  }
+
+  // Get an active status by type
+  getStatus(combatant, type) {
+    return (combatant.statuses || []).find((s) => s.type === type) || null;
+  }
+
+  // Check for an active status
+  hasStatus(combatant, type) {
+    return this.getStatus(combatant, type) !== null;
+  }
+
+  // Get display info for a status badge
+  getStatusDisplay(status) {
+    const handler = this.statusHandlers[status.type];
+    return {
+      icon: handler ? handler.icon : "❓",
+      label: handler ? handler.label : status.type,
+      turns: status.turns,
+    };
+  }
+}
+
+// Make available globally
+window.MonsterMoveResolver = MonsterMoveResolver;
+
+console.log("🧪 MonsterMoveResolver class loaded!");
@@ -389,7 +389,7 @@ class PartsInventory {
 
   // Handle duplicate part collection
   handleDuplicatePart(partName, source) {
-    const duplicateValue = Math.floor(Math.random() * 50) + 25; // 25-75 currency
+    const duplicateValue = this.miningScreen.random.int("loot", 25, 75);
     this.miningScreen.currency += duplicateValue;
     this.miningScreen.updateCurrencyDisplay();
 
@@ -554,8 +554,7 @@ class PartsInventory {
     }
 
     for (let i = 0; i < count && i < missingParts.length; i++) {
-      const randomPart =
-        missingParts[Math.floor(Math.random() * missingParts.length)];
+      const randomPart = this.miningScreen.random.pick("loot", missingParts);
       this.collectPart(randomPart, "simulation");
     }
   }
@@ -606,8 +605,7 @@ class PartsInventory {
   debugAddRandomPart() {
     const missingParts = this.getMissingParts();
     if (missingParts.length > 0) {
-      const randomPart =
-        missingParts[Math.floor(Math.random() * missingParts.length)];
+      const randomPart = this.miningScreen.random.pick("loot", missingParts);
       this.collectPart(randomPart, "debug");
     }
   }
@@ -855,7 +853,13 @@ if (typeof document !== "undefined") {
   document.head.appendChild(styleElement);
 }
 
-// Make available globally
-window.PartsInventory = PartsInventory;
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.PartsInventory = PartsInventory;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PartsInventory;
+}
 
 console.log("🔧 Enhanced PartsInventory class loaded!");
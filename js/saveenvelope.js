@@ -0,0 +1,112 @@
+// SaveEnvelope - Versioned save wrapper with a chain of schema migrations
+// Shared by the campaign SaveManager and take3's App - no GAME_CONFIG dependency
+class SaveEnvelope {
+  constructor({ format, version, migrations = {}, normalize = null }) {
+    this.format = format; // Identifies whose save this is
+    this.version = version; // Current schema version
+    this.migrations = migrations; // migrations[n] upgrades data from v(n) to v(n+1)
+    this.normalize = normalize; // Final shape check - throw to reject
+  }
+
+  // Wrap data for storage
+  wrap(data) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      savedAt: Date.now(),
+      data,
+    });
+  }
+
+  // Unwrap a stored string - never throws, check result.ok
+  unwrap(raw) {
+    if (raw === null || raw === undefined) {
+      return this.fail("missing", "No save found.");
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      return this.fail("corrupt", `Save data is not valid JSON (${error.message}).`);
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return this.fail("corrupt", "Save data is not an object.");
+    }
+
+    // Saves written before envelopes existed are treated as version 0
+    let version = 0;
+    let data = parsed;
+
+    if (parsed.format !== undefined) {
+      if (parsed.format !== this.format) {
+        return this.fail(
+          "invalid",
+          `Save belongs to "${parsed.format}", expected "${this.format}".`
+        );
+      }
+
+      version = parsed.version;
+      data = parsed.data;
+
+      if (!Number.isInteger(version) || version < 0) {
+        return this.fail("corrupt", `Save has an invalid version (${version}).`);
+      }
+    }
+
+    if (version > this.version) {
+      return this.fail(
+        "too_new",
+        `Save is version ${version} but this game only understands up to version ${this.version}.`
+      );
+    }
+
+    // Run the migration chain
+    for (let v = version; v < this.version; v++) {
+      const migrate = this.migrations[v];
+      if (typeof migrate !== "function") {
+        return this.fail("corrupt", `No migration from version ${v} to ${v + 1}.`);
+      }
+
+      try {
+        data = migrate(data);
+      } catch (error) {
+        return this.fail(
+          "corrupt",
+          `Migration from version ${v} to ${v + 1} failed (${error.message}).`
+        );
+      }
+    }
+
+    if (this.normalize) {
+      try {
+        data = this.normalize(data);
+      } catch (error) {
+        return this.fail("corrupt", `Save data is damaged (${error.message}).`);
+      }
+    }
+
+    if (version < this.version) {
+      console.log(`💾 Migrated ${this.format} save v${version} → v${this.version}`);
+    }
+
+    return { ok: true, data, fromVersion: version, migrated: version < this.version };
+  }
+
+  // Build a failed unwrap result
+  fail(reason, message) {
+    return { ok: false, reason, message };
+  }
+}
+
+// Make available globally (and to Node for tests)
+if (typeof window !== "undefined") {
+  window.SaveEnvelope = SaveEnvelope;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SaveEnvelope;
+}
+
+console.log("✉️ SaveEnvelope class loaded!");
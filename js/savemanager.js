@@ -0,0 +1,587 @@
+// SaveManager - Campaign save slots in localStorage for the map and every mine
+// Screens opt in with saveEnhancedState() / loadEnhancedState(state)
+// The shared Wallet, MechaTraining and GameRandom seed are saved alongside them
+// The player's timing calibration belongs to the player, not a campaign - it
+// has its own key next to the slot index and survives new games
+class SaveManager {
+  constructor(
+    storage = window.localStorage,
+    wallet = window.wallet,
+    training = window.mechaTraining,
+    random = window.gameRandom,
+    calibration = window.timingCalibration
+  ) {
+    this.storage = storage;
+    this.wallet = wallet || new Wallet();
+    this.training = training || new MechaTraining();
+    this.random = random || GameRandom.getShared();
+    this.calibration = calibration || new TimingCalibration();
+    this.config = GAME_CONFIG.save;
+    this.activeSlot = this.config.defaultSlot;
+    this.campaign = this.createEmptyCampaign();
+
+    // Restore the calibration and save it whenever it changes
+    this.calibration.loadState(this.readCalibration());
+    this.calibration.onChange(() => this.writeCalibration());
+
+    // Versioned storage format
+    this.envelope = new SaveEnvelope({
+      format: this.config.storageKey,
+      version: this.config.version,
+      migrations: this.getMigrations(),
+      normalize: (campaign) => this.normalizeCampaign(campaign),
+    });
+
+    // Slots that failed to load - never overwritten until recovered
+    this.lockedSlots = new Set();
+    this.loadError = null; // { slot, reason, message }
+
+    // Screen currently feeding the campaign (see attachScreen)
+    this.attachedScreen = null;
+    this.autosaveTimer = null;
+    this.lastSaveTime = 0;
+
+    console.log("💾 SaveManager created");
+  }
+
+  // Fresh campaign - sections are filled in as screens are visited
+  createEmptyCampaign() {
+    return {
+      createdAt: Date.now(),
+      savedAt: null,
+      wallet: null, // Wallet balances
+      training: null, // MechaTraining records
+      random: null, // GameRandom seed and stream positions
+      map: null, // MapScreen state
+      trading: null, // TradingScreen state
+      mines: {}, // MiningScreen state keyed by mineId
+    };
+  }
+
+  // Schema migrations - migrations[n] upgrades a campaign from v(n) to v(n+1)
+  getMigrations() {
+    return {
+      // v0 (unversioned): mines stored collectedParts only
+      0: (campaign) => {
+        const mines = {};
+        Object.entries(campaign.mines || {}).forEach(([mineId, mine]) => {
+          const { collectedParts, ...rest } = mine;
+          mines[mineId] = rest;
+
+          if (!rest.parts) {
+            mines[mineId].parts = {
+              collectionOrder: collectedParts || [],
+              findHistory: [],
+              duplicatesFound: 0,
+              totalPartsFound: (collectedParts || []).length,
+            };
+          }
+        });
+        return { ...campaign, mines };
+      },
+
+      // v1: map and every mine kept their own currency - pool it into one wallet
+      1: (campaign) => {
+        const { currencies, ...map } = campaign.map || {};
+        const wallet = { ...(currencies || GAME_CONFIG.wallet.startingBalances) };
+        const mines = {};
+
+        Object.entries(campaign.mines || {}).forEach(([mineId, mine]) => {
+          const { currency, monsterCurrency, ...rest } = mine;
+          const type = GAME_CONFIG.mines[mineId]?.currency;
+          if (type) {
+            wallet[type] = (wallet[type] || 0) + (currency || 0);
+            wallet[`monster_${type}`] =
+              (wallet[`monster_${type}`] || 0) + (monsterCurrency || 0);
+          }
+          mines[mineId] = rest;
+        });
+
+        return {
+          ...campaign,
+          wallet,
+          map: campaign.map ? map : null,
+          mines,
+        };
+      },
+
+      // v2: timing calibration was saved per campaign - set it aside for
+      // load() to hand to the player's calibration
+      2: ({ timing, ...campaign }) => ({ ...campaign, legacyTiming: timing }),
+    };
+  }
+
+  // Check the campaign shape and drop keys the game no longer uses
+  normalizeCampaign(campaign) {
+    if (!campaign || typeof campaign !== "object") {
+      throw new Error("campaign is not an object");
+    }
+
+    const mines = campaign.mines || {};
+    if (typeof mines !== "object" || Array.isArray(mines)) {
+      throw new Error("mines must be an object");
+    }
+
+    const wallet = campaign.wallet || {};
+    if (typeof wallet !== "object" || Array.isArray(wallet)) {
+      throw new Error("wallet must be an object");
+    }
+
+    const training = campaign.training || {};
+    if (typeof training !== "object" || Array.isArray(training)) {
+      throw new Error("training must be an object");
+    }
+
+    // Saves from before seeding keep playing on a fresh seed (see GameRandom.loadState)
+    const random =
+      campaign.random && typeof campaign.random.seed === "string"
+        ? {
+            seed: campaign.random.seed,
+            draws: { ...campaign.random.draws },
+            states: { ...campaign.random.states },
+          }
+        : null;
+
+    const normalized = {
+      ...this.createEmptyCampaign(),
+      createdAt: campaign.createdAt || Date.now(),
+      savedAt: campaign.savedAt || null,
+      wallet: this.wallet.createBalances(wallet),
+      training: this.training.normalizeState(training),
+      random,
+      map: campaign.map ? this.pickKeys(campaign.map, SAVE_SCHEMA.map) : null,
+      trading: campaign.trading
+        ? this.pickKeys(campaign.trading, SAVE_SCHEMA.trading)
+        : null,
+      mines: {},
+    };
+
+    Object.entries(mines).forEach(([mineId, mine]) => {
+      if (!GAME_CONFIG.mines[mineId]) {
+        console.warn(`⚠️ Dropping save data for unknown mine ${mineId}`);
+        return;
+      }
+      normalized.mines[mineId] = this.pickKeys(mine, SAVE_SCHEMA.mine);
+
+      // Saves from before training only know which mines built their mecha
+      const mechaType = GAME_CONFIG.mines[mineId].mecha;
+      if (mine.hasMecha && normalized.training[mechaType]) {
+        normalized.training[mechaType].built = true;
+      }
+    });
+
+    // Only on its way from a v2 save to load()
+    if (campaign.legacyTiming) {
+      normalized.legacyTiming = this.calibration.normalizeState(
+        campaign.legacyTiming
+      );
+    }
+
+    return normalized;
+  }
+
+  // Copy only the listed keys
+  pickKeys(source, keys) {
+    const picked = {};
+    keys.forEach((key) => {
+      if (source[key] !== undefined) {
+        picked[key] = source[key];
+      }
+    });
+    return picked;
+  }
+
+  // Get where a screen's state lives in the campaign
+  getScreenSection(screen) {
+    if (!screen || typeof screen.saveEnhancedState !== "function") return null;
+
+    if (screen.screenName === "map") {
+      return { section: "map" };
+    }
+
+    if (screen.screenName === "trading") {
+      return { section: "trading" };
+    }
+
+    if (screen.screenName === "mining" && screen.mineId) {
+      return { section: "mines", id: screen.mineId };
+    }
+
+    return null;
+  }
+
+  // Copy a screen's live state into the campaign
+  captureScreen(screen) {
+    const target = this.getScreenSection(screen);
+    if (!target) return false;
+
+    const state = screen.saveEnhancedState();
+    if (target.id) {
+      this.campaign[target.section][target.id] = state;
+    } else {
+      this.campaign[target.section] = state;
+    }
+    return true;
+  }
+
+  // Push saved campaign state into a freshly initialized screen
+  restoreScreen(screen) {
+    const target = this.getScreenSection(screen);
+    if (!target || typeof screen.loadEnhancedState !== "function") return false;
+
+    const state = target.id
+      ? this.campaign[target.section][target.id]
+      : this.campaign[target.section];
+    if (!state) return false;
+
+    screen.loadEnhancedState(state);
+    console.log(`💾 Restored ${screen.screenName} from ${this.activeSlot}`);
+    return true;
+  }
+
+  // Start tracking a screen after its init() - restores any saved state
+  attachScreen(screen) {
+    this.attachedScreen = screen;
+    return this.restoreScreen(screen);
+  }
+
+  // Stop tracking a screen before destroy() - saves on the way out
+  detachScreen(screen) {
+    if (!screen || this.attachedScreen !== screen) return false;
+
+    this.save();
+    this.attachedScreen = null;
+    return true;
+  }
+
+  // Save the campaign to a slot (defaults to the active slot)
+  save(slot = this.activeSlot) {
+    if (!this.isValidSlotName(slot)) {
+      console.warn(`⚠️ Invalid save slot name: ${slot}`);
+      return false;
+    }
+
+    if (this.lockedSlots.has(slot)) {
+      console.warn(`⚠️ ${slot} holds a save that failed to load - not overwriting it`);
+      return false;
+    }
+
+    const index = this.readSlotIndex();
+    if (
+      !index.slots[slot] &&
+      Object.keys(index.slots).length >= this.config.maxSlots
+    ) {
+      console.warn(`⚠️ All ${this.config.maxSlots} save slots are in use`);
+      return false;
+    }
+
+    if (this.attachedScreen) {
+      this.captureScreen(this.attachedScreen);
+    }
+
+    try {
+      this.campaign.wallet = this.wallet.getState();
+      this.campaign.training = this.training.getState();
+      this.campaign.random = this.random.getState();
+      this.campaign.savedAt = Date.now();
+      this.storage.setItem(
+        this.getSlotKey(slot),
+        this.envelope.wrap(this.campaign)
+      );
+
+      index.slots[slot] = {
+        savedAt: this.campaign.savedAt,
+        summary: this.getSummary(),
+      };
+      index.lastSlot = slot;
+      this.writeSlotIndex(index);
+
+      this.activeSlot = slot;
+      this.lastSaveTime = this.campaign.savedAt;
+      console.log(`💾 Campaign saved to ${slot}`);
+      return true;
+    } catch (error) {
+      console.warn("⚠️ Failed to save campaign:", error);
+      return false;
+    }
+  }
+
+  // Load a slot into memory - the caller reloads the current screen
+  // On failure, loadError explains why and the slot is locked (see recoverSlot)
+  load(slot = this.activeSlot) {
+    if (!this.isValidSlotName(slot)) {
+      console.warn(`⚠️ Invalid save slot name: ${slot}`);
+      return false;
+    }
+
+    let raw = null;
+    try {
+      raw = this.storage.getItem(this.getSlotKey(slot));
+    } catch (error) {
+      console.warn("⚠️ Failed to read campaign:", error);
+    }
+
+    const result = this.envelope.unwrap(raw);
+    if (!result.ok) {
+      this.loadError = { slot, reason: result.reason, message: result.message };
+
+      if (result.reason === "missing") {
+        console.warn(`⚠️ No save found in ${slot}`);
+      } else {
+        this.lockedSlots.add(slot);
+        console.error(`❌ Save in ${slot} could not be loaded: ${result.message}`);
+      }
+      return false;
+    }
+
+    const { legacyTiming, ...campaign } = result.data;
+    this.campaign = campaign;
+    this.activeSlot = slot;
+    this.loadError = null;
+    this.wallet.loadState(this.campaign.wallet);
+    this.training.loadState(this.campaign.training);
+    this.random.loadState(this.campaign.random);
+
+    // The first per-campaign calibration loaded becomes the player's
+    if (legacyTiming && this.calibration.calibratedAt === null) {
+      this.calibration.loadState(legacyTiming);
+    }
+
+    // Don't let the screen on display overwrite what we just loaded
+    this.attachedScreen = null;
+
+    console.log(`💾 Campaign loaded from ${slot}`);
+    return true;
+  }
+
+  // Back up a save that failed to load, then free its slot for a new campaign
+  recoverSlot(slot) {
+    if (!this.isValidSlotName(slot)) {
+      console.warn(`⚠️ Invalid save slot name: ${slot}`);
+      return false;
+    }
+
+    try {
+      const raw = this.storage.getItem(this.getSlotKey(slot));
+      if (raw !== null) {
+        const backupKey = `${this.getSlotKey(slot)}_backup_${Date.now()}`;
+        this.storage.setItem(backupKey, raw);
+        console.log(`💾 Broken save backed up to ${backupKey}`);
+      }
+    } catch (error) {
+      console.warn("⚠️ Failed to back up broken save:", error);
+      return false;
+    }
+
+    this.lockedSlots.delete(slot);
+    if (this.loadError && this.loadError.slot === slot) {
+      this.loadError = null;
+    }
+    this.newGame(slot);
+    return true;
+  }
+
+  // Load the most recently used slot, if any
+  loadLastSlot() {
+    const { lastSlot } = this.readSlotIndex();
+    return lastSlot ? this.load(lastSlot) : false;
+  }
+
+  // Start a new campaign in a slot (not written until the next save)
+  newGame(slot = this.activeSlot) {
+    this.campaign = this.createEmptyCampaign();
+    this.activeSlot = slot;
+    this.attachedScreen = null;
+    this.wallet.reset();
+    this.training.reset();
+    this.random.reseed();
+
+    console.log(`💾 New campaign started in ${slot}`);
+  }
+
+  // Delete a save slot
+  deleteSlot(slot) {
+    if (!this.isValidSlotName(slot)) {
+      console.warn(`⚠️ Invalid save slot name: ${slot}`);
+      return false;
+    }
+
+    try {
+      this.storage.removeItem(this.getSlotKey(slot));
+      this.lockedSlots.delete(slot);
+
+      const index = this.readSlotIndex();
+      delete index.slots[slot];
+      if (index.lastSlot === slot) {
+        index.lastSlot = null;
+      }
+      this.writeSlotIndex(index);
+
+      console.log(`🗑️ Save slot ${slot} deleted`);
+      return true;
+    } catch (error) {
+      console.warn("⚠️ Failed to delete save slot:", error);
+      return false;
+    }
+  }
+
+  // List save slots with their timestamps and summaries
+  listSlots() {
+    const { slots } = this.readSlotIndex();
+    return Object.entries(slots)
+      .map(([name, info]) => ({ name, ...info }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  // Check if a slot has a save
+  hasSave(slot) {
+    return Boolean(this.readSlotIndex().slots[slot]);
+  }
+
+  // Short description of the campaign for slot lists
+  getSummary() {
+    const map = this.campaign.map;
+    const mines = Object.values(this.campaign.mines);
+
+    return {
+      shells: this.wallet.get("shells"),
+      minesBuilt: map ? map.activeMines.length : 0,
+      mechasBuilt: mines.filter((mine) => mine.hasMecha).length,
+      seed: this.random.seed,
+    };
+  }
+
+  // Autosave on a timer
+  startAutosave() {
+    this.stopAutosave();
+
+    this.autosaveTimer = setInterval(() => {
+      this.save();
+    }, this.config.autosaveInterval);
+
+    // Save when the tab is hidden or closed
+    if (!this.pageListenersAdded) {
+      document.addEventListener("visibilitychange", () => {
+        if (document.hidden && this.autosaveTimer) {
+          this.save();
+        }
+      });
+      window.addEventListener("beforeunload", () => {
+        if (this.autosaveTimer) {
+          this.save();
+        }
+      });
+      this.pageListenersAdded = true;
+    }
+  }
+
+  // Stop autosaving
+  stopAutosave() {
+    if (this.autosaveTimer) {
+      clearInterval(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+  }
+
+  // Storage key for a slot
+  getSlotKey(slot) {
+    return `${this.config.storageKey}_${slot}`;
+  }
+
+  // Slot names become storage keys - keep them simple, and off the keys the
+  // manager uses itself (the slot index and calibration)
+  isValidSlotName(slot) {
+    return (
+      typeof slot === "string" &&
+      /^[\w-]{1,24}$/.test(slot) &&
+      !this.config.reservedSlots.includes(slot)
+    );
+  }
+
+  // Read the slot index ({ lastSlot, slots })
+  readSlotIndex() {
+    try {
+      const saved = this.storage.getItem(`${this.config.storageKey}_index`);
+      if (saved) {
+        const index = JSON.parse(saved);
+        return { lastSlot: index.lastSlot || null, slots: index.slots || {} };
+      }
+    } catch (error) {
+      console.warn("⚠️ Save slot index unreadable, starting fresh:", error);
+    }
+    return { lastSlot: null, slots: {} };
+  }
+
+  // Write the slot index
+  writeSlotIndex(index) {
+    this.storage.setItem(
+      `${this.config.storageKey}_index`,
+      JSON.stringify(index)
+    );
+  }
+
+  // Read the saved timing calibration (null if there's none)
+  readCalibration() {
+    try {
+      const saved = this.storage.getItem(
+        `${this.config.storageKey}_calibration`
+      );
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (error) {
+      console.warn("⚠️ Timing calibration unreadable, starting fresh:", error);
+    }
+    return null;
+  }
+
+  // Write the timing calibration
+  writeCalibration() {
+    try {
+      this.storage.setItem(
+        `${this.config.storageKey}_calibration`,
+        JSON.stringify(this.calibration.getState())
+      );
+    } catch (error) {
+      console.warn("⚠️ Failed to save timing calibration:", error);
+    }
+  }
+
+  // Debug info
+  getStatus() {
+    return {
+      activeSlot: this.activeSlot,
+      attachedScreen: this.attachedScreen?.screenName || null,
+      autosave: Boolean(this.autosaveTimer),
+      lastSaveTime: this.lastSaveTime,
+      version: this.config.version,
+      lockedSlots: [...this.lockedSlots],
+      loadError: this.loadError,
+      slots: this.listSlots(),
+      campaign: this.campaign,
+    };
+  }
+}
+
+// Keys kept when normalizing a campaign - add new fields here (and a migration)
+const SAVE_SCHEMA = {
+  map: ["unlockedMines", "activeMines"],
+  trading: ["history"],
+  mine: [
+    "mineId",
+    "activeMining",
+    "mineUpgrades",
+    "merchant",
+    "machines",
+    "parts",
+    "geodes",
+    "slots",
+    "hasMecha",
+    "savedAt",
+  ],
+};
+
+// Make available globally
+window.SaveManager = SaveManager;
+
+console.log("💾 SaveManager class loaded!");
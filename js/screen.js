@@ -174,52 +174,46 @@ class Screen {
   }
 
   // Generic audio management
+  // Per-screen audio front end over the shared AudioEngine
+  // Screens list their sounds in audioManager.sounds so enable() can preload them
   initializeAudio() {
+    const engine = AudioEngine.getShared(GAME_CONFIG.audio);
+    const screenName = this.screenName;
+
     this.audioManager = {
-      enabled: false,
+      engine,
+      enabled: engine.isUnlocked(),
       sounds: {},
+      voices: new Set(), // Voices started by this screen
 
       enable() {
-        this.enabled = true;
-        console.log(`🔊 ${this.screenName} Screen audio enabled`);
+        this.enabled = engine.unlock();
+        if (!this.enabled) return;
+
+        engine.preload(Object.keys(this.sounds));
+        console.log(`🔊 ${screenName} Screen audio enabled`);
       },
 
       playSound(soundName, loop = false, volume = 1.0) {
         if (!this.enabled) return;
 
-        console.log(
-          `🎵 Playing sound: ${soundName}${
-            loop ? " (looped)" : ""
-          } at volume ${volume}`
-        );
-
-        // In real implementation, would play actual audio files
-        /*
-        if (!this.sounds[soundName]) {
-          this.sounds[soundName] = new Audio(`audio/${soundName}.mp3`);
-          this.sounds[soundName].volume = 0.7 * volume;
+        const voice = engine.play(soundName, { loop, volume });
+        if (voice) {
+          this.voices.add(voice);
+          voice.onEnded = () => this.voices.delete(voice);
         }
-        
-        const audio = this.sounds[soundName];
-        audio.loop = loop;
-        audio.volume = 0.7 * volume;
-        audio.currentTime = 0;
-        audio.play().catch(e => console.warn('Audio failed:', e));
-        */
       },
 
       stopSound(soundName) {
-        if (!this.enabled || !this.sounds[soundName]) return;
-
-        console.log(`🔇 Stopped sound: ${soundName}`);
-        // this.sounds[soundName].pause();
-        // this.sounds[soundName].currentTime = 0;
+        const name = AudioEngine.normalizeName(soundName);
+        this.voices.forEach((voice) => {
+          if (voice.name === name) engine.stopVoice(voice);
+        });
       },
 
       stopAllSounds() {
-        Object.keys(this.sounds).forEach((soundName) => {
-          this.stopSound(soundName);
-        });
+        this.voices.forEach((voice) => engine.stopVoice(voice));
+        this.voices.clear();
       },
     };
   }
@@ -459,8 +453,8 @@ class Screen {
     document.head.appendChild(styles);
   }
 
-  // Transition between screens
-  transitionToScreen(targetScreen, transitionType = "fade") {
+  // Transition between screens - params are passed to the new screen (e.g. { mineId })
+  transitionToScreen(targetScreen, params = {}, transitionType = "fade") {
     console.log(`🔄 Transitioning from ${this.screenName} to ${targetScreen}`);
 
     // Play transition sound
@@ -468,8 +462,17 @@ class Screen {
       this.audioManager.playSound("screen-transition");
     }
 
-    // In full implementation, would handle screen transitions
-    // For now, just log the transition
+    // The router saves the campaign and swaps screens (see ScreenRouter)
+    if (window.screenRouter && window.screenRouter.hasRoute(targetScreen)) {
+      return window.screenRouter.go(targetScreen, params).catch((error) => {
+        console.error(`❌ Failed to open ${targetScreen}:`, error);
+      });
+    }
+
+    // No router (screen running standalone) - just autosave
+    if (window.saveManager) {
+      window.saveManager.save();
+    }
     return Promise.resolve();
   }
 
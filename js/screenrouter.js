@@ -0,0 +1,116 @@
+// ScreenRouter - Owns the game container and moves the player between screens
+// Screens ask for a move with transitionToScreen(name, params); the router saves,
+// destroys the old screen and builds the new one
+class ScreenRouter {
+  constructor(container, saveManager = window.saveManager) {
+    this.container = container;
+    this.saveManager = saveManager;
+    this.currentScreen = null;
+    this.currentRoute = null; // { screenName, params }
+    this.isTransitioning = false;
+
+    // Optional hooks
+    this.loader = null; // async (screenName) => {} - load a screen's script first
+    this.onScreenChange = null; // (screen, route) => {}
+
+    // Screen factories keyed by screen name - add new screens here
+    this.routes = {
+      start: () => new StartScreen(this.container),
+      map: () => new MapScreen(this.container),
+      trading: () => new TradingScreen(this.container),
+      training: () => new TrainingScreen(this.container),
+      mining: ({ mineId }) => new MiningScreen(this.container, mineId),
+      combat: ({ mineId }) =>
+        new CombatScreen(this.container, mineId, {
+          onExit: () => this.go("mining", { mineId }),
+        }),
+    };
+
+    console.log("🧭 ScreenRouter created");
+  }
+
+  // Register a custom route - factory(params) returns an un-initialized screen
+  registerRoute(screenName, factory) {
+    this.routes[screenName] = factory;
+  }
+
+  // Check if a screen name has a route
+  hasRoute(screenName) {
+    return Boolean(this.routes[screenName]);
+  }
+
+  // Leave the current screen and show another one
+  async go(screenName, params = {}) {
+    const factory = this.routes[screenName];
+    if (!factory) {
+      console.warn(`⚠️ No route for screen "${screenName}"`);
+      return null;
+    }
+
+    if (this.isTransitioning) {
+      console.warn(`⚠️ Already changing screens - ignoring ${screenName}`);
+      return null;
+    }
+
+    this.isTransitioning = true;
+    try {
+      if (this.loader) {
+        await this.loader(screenName);
+      }
+
+      this.leaveCurrentScreen();
+
+      const screen = factory(params);
+      this.currentScreen = screen;
+      this.currentRoute = { screenName, params: { ...params } };
+
+      screen.init();
+      if (this.saveManager) {
+        this.saveManager.attachScreen(screen);
+      }
+
+      console.log(`🧭 Now showing ${screenName}`, params);
+
+      if (this.onScreenChange) {
+        this.onScreenChange(screen, this.currentRoute);
+      }
+      return screen;
+    } finally {
+      this.isTransitioning = false;
+    }
+  }
+
+  // Rebuild the current screen (after loading a save)
+  reload() {
+    if (!this.currentRoute) return Promise.resolve(null);
+    return this.go(this.currentRoute.screenName, this.currentRoute.params);
+  }
+
+  // Save and destroy the current screen
+  leaveCurrentScreen() {
+    if (!this.currentScreen) return;
+
+    // Screens without campaign state (start, combat) still bank wallet changes
+    if (this.saveManager && !this.saveManager.detachScreen(this.currentScreen)) {
+      this.saveManager.save();
+    }
+
+    this.currentScreen.destroy();
+    this.currentScreen = null;
+  }
+
+  // Debug info
+  getStatus() {
+    return {
+      currentScreen: this.currentScreen?.screenName || null,
+      currentRoute: this.currentRoute,
+      isTransitioning: this.isTransitioning,
+      routes: Object.keys(this.routes),
+    };
+  }
+}
+
+// Make available globally
+window.ScreenRouter = ScreenRouter;
+
+console.log("🧭 ScreenRouter class loaded!");
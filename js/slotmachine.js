@@ -1,7 +1,8 @@
 // Generic SlotMachine - Handles spinning mechanics and result reporting
 class SlotMachine {
-  constructor(container) {
+  constructor(container, random = GameRandom.getShared().stream("slots")) {
     this.container = container;
+    this.random = random; // Seeded source for spin results
     this.isSpinning = false;
     this.spinCount = 0;
 
@@ -39,17 +40,24 @@ class SlotMachine {
           weight: 10,
         },
       ],
-      winChance: 0.25, // 25% win chance
+      reelCount: 3,
+      stripLength: 20, // Stops per reel strip - symbols fill it by weight
+      paylines: [[0, 0, 0]], // Row offset per reel from its stop (0 = shown)
+      paytable: { 3: 1, 2: 0.25 }, // Matches from the left reel -> payout
       spinDuration: 2000, // 2 seconds
       reelDelay: 300, // Delay between reel stops
       useImages: true, // Use images instead of emojis
     };
 
+    this.strips = this.buildReelStrips();
+    this.odds = null; // Cached by getOdds() until the next configure()
+
     this.elements = {};
     this.callbacks = {
       onSpin: null,
       onResult: null,
       onWin: null,
+      onPartial: null,
       onLose: null,
     };
   }
@@ -90,6 +98,8 @@ class SlotMachine {
   // Configure slot machine
   configure(config) {
     this.config = { ...this.config, ...config };
+    this.strips = this.buildReelStrips();
+    this.odds = null;
     if (this.elements && this.elements.reels) {
       this.renderInitialSymbols();
     }
@@ -148,40 +158,204 @@ class SlotMachine {
     this.updateSpinButton();
   }
 
-  // Determine spin result
-  determineResult() {
-    const isWin = Math.random() < this.config.winChance;
-
-    if (isWin) {
-      // Select winning symbol based on weights (inverted - rarer symbols less likely)
-      const totalWeight = this.config.symbols.reduce(
-        (sum, symbol) => sum + (50 - symbol.weight),
-        0
-      );
-      let random = Math.random() * totalWeight;
-
-      for (const symbol of this.config.symbols) {
-        random -= 50 - symbol.weight;
-        if (random <= 0) {
-          return {
-            type: "win",
-            symbol: symbol.name,
-            symbols: [symbol.name, symbol.name, symbol.name],
-            spinCount: this.spinCount,
-          };
+  // Spin with no reel animation - same callbacks and result as spin()
+  // Returns the result, or null if the spin wasn't allowed
+  spinInstant() {
+    if (this.isSpinning) return null;
+
+    if (this.callbacks.onSpin && !this.callbacks.onSpin(this)) {
+      return null;
+    }
+
+    this.spinCount++;
+    const result = this.determineResult();
+    this.processResult(result);
+    return result;
+  }
+
+  // Build one strip per reel - symbols get stops in proportion to weight
+  buildReelStrips() {
+    const { symbols, stripLength, reelCount } = this.config;
+    const totalWeight = symbols.reduce((sum, s) => sum + s.weight, 0);
+
+    // Largest remainder, so the counts add up to the strip length exactly
+    const counts = symbols.map((symbol) => {
+      const exact = (symbol.weight / totalWeight) * stripLength;
+      return { symbol, count: Math.floor(exact), remainder: exact % 1 };
+    });
+    let spare = stripLength - counts.reduce((sum, c) => sum + c.count, 0);
+    [...counts]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach((c) => {
+        if (spare > 0) {
+          c.count++;
+          spare--;
         }
+      });
+
+    // Spread each symbol evenly along the strip instead of bunching copies
+    const stops = [];
+    counts.forEach(({ symbol, count }) => {
+      for (let i = 0; i < count; i++) {
+        stops.push({ name: symbol.name, position: (i + 0.5) / count });
       }
+    });
+    const strip = stops
+      .sort((a, b) => a.position - b.position)
+      .map((stop) => stop.name);
+
+    // Rotate each reel so the strips don't line up row for row
+    return Array.from({ length: reelCount }, (_, reel) => {
+      const offset = (reel * 7) % strip.length;
+      return [...strip.slice(offset), ...strip.slice(0, offset)];
+    });
+  }
+
+  // Symbol on a reel at a stop plus a row offset (strips wrap around)
+  getStripSymbol(reel, stop, offset = 0) {
+    const strip = this.strips[reel];
+    const index = (stop + offset) % strip.length;
+    return strip[(index + strip.length) % strip.length];
+  }
+
+  // Score one payline - matching symbols counted from the left reel
+  evaluateLine(stops, line) {
+    const symbols = line.map((offset, reel) =>
+      this.getStripSymbol(reel, stops[reel], offset)
+    );
+
+    let count = 1;
+    while (count < symbols.length && symbols[count] === symbols[0]) {
+      count++;
     }
 
-    // Generate losing combination
-    const shuffled = [...this.config.symbols].sort(() => Math.random() - 0.5);
     return {
-      type: "lose",
-      symbols: [shuffled[0].name, shuffled[1].name, shuffled[2].name],
+      symbols,
+      symbol: symbols[0],
+      count,
+      payout: count > 1 ? this.config.paytable[count] || 0 : 0,
+    };
+  }
+
+  // Score a set of reel stops - the best paying line decides the result
+  evaluateStops(stops) {
+    const lines = this.config.paylines.map((line) =>
+      this.evaluateLine(stops, line)
+    );
+    const best = lines.reduce((a, b) => (b.payout > a.payout ? b : a));
+
+    let type = "lose";
+    if (best.payout > 0) {
+      type = best.count === this.config.reelCount ? "win" : "partial";
+    }
+
+    return {
+      type,
+      symbol: best.payout > 0 ? best.symbol : null,
+      count: best.count,
+      payout: lines.reduce((sum, line) => sum + line.payout, 0),
+      lines: lines.filter((line) => line.payout > 0),
+    };
+  }
+
+  // Determine spin result - one seeded stop per reel
+  determineResult() {
+    const stops = this.strips.map((strip) =>
+      Math.floor(this.random() * strip.length)
+    );
+    const outcome = this.evaluateStops(stops);
+
+    return {
+      ...outcome,
+      stops,
+      symbols: stops.map((stop, reel) => this.getStripSymbol(reel, stop)),
       spinCount: this.spinCount,
     };
   }
 
+  // Result lined up on one symbol across the first payline (e.g. a protected
+  // win) - the symbol comes from the first strip, so common ones stay common
+  determineMatchingResult() {
+    const line = this.config.paylines[0];
+    const firstStop = Math.floor(this.random() * this.strips[0].length);
+    const symbol = this.getStripSymbol(0, firstStop, line[0]);
+
+    const stops = this.strips.map((strip, reel) => {
+      if (reel === 0) return firstStop;
+
+      // Any stop that shows the symbol on this reel's payline row
+      const matching = strip
+        .map((_, stop) => stop)
+        .filter(
+          (stop) => this.getStripSymbol(reel, stop, line[reel]) === symbol
+        );
+      return matching[Math.floor(this.random() * matching.length)];
+    });
+
+    return {
+      ...this.evaluateStops(stops),
+      stops,
+      symbols: stops.map((stop, reel) => this.getStripSymbol(reel, stop)),
+      spinCount: this.spinCount,
+    };
+  }
+
+  // Exact odds from every combination of stops (cached until reconfigured)
+  // Returns hit rates, the expected payout per spin and odds per symbol
+  getOdds() {
+    if (this.odds) return this.odds;
+
+    const odds = {
+      combinations: 0,
+      hitRate: 0,
+      expectedPayout: 0,
+      results: { win: 0, partial: 0, lose: 0 },
+      symbols: {},
+    };
+    this.config.symbols.forEach((symbol) => {
+      odds.symbols[symbol.name] = { win: 0, partial: 0, expectedPayout: 0 };
+    });
+
+    const stops = new Array(this.strips.length).fill(0);
+    const visit = (reel) => {
+      if (reel === this.strips.length) {
+        const outcome = this.evaluateStops(stops);
+        odds.combinations++;
+        odds.results[outcome.type]++;
+        odds.expectedPayout += outcome.payout;
+        outcome.lines.forEach((line) => {
+          odds.symbols[line.symbol][
+            line.count === this.config.reelCount ? "win" : "partial"
+          ]++;
+          odds.symbols[line.symbol].expectedPayout += line.payout;
+        });
+        return;
+      }
+
+      for (let stop = 0; stop < this.strips[reel].length; stop++) {
+        stops[reel] = stop;
+        visit(reel + 1);
+      }
+    };
+    visit(0);
+
+    // Counts -> probabilities
+    const total = odds.combinations;
+    Object.keys(odds.results).forEach((type) => {
+      odds.results[type] /= total;
+    });
+    Object.values(odds.symbols).forEach((symbolOdds) => {
+      symbolOdds.win /= total;
+      symbolOdds.partial /= total;
+      symbolOdds.expectedPayout /= total;
+    });
+    odds.expectedPayout /= total;
+    odds.hitRate = odds.results.win + odds.results.partial;
+
+    this.odds = odds;
+    return odds;
+  }
+
   // Animate spinning reels
   async animateReels(result) {
     // Start all reels spinning
@@ -248,6 +422,8 @@ class SlotMachine {
 
     if (result.type === "win") {
       this.processWin(result);
+    } else if (result.type === "partial") {
+      this.processPartial(result);
     } else {
       this.processLoss(result);
     }
@@ -264,6 +440,20 @@ class SlotMachine {
     }
   }
 
+  // Process partial match (e.g. two of a kind) - treated as a loss if unhandled
+  processPartial(result) {
+    if (!this.callbacks.onPartial) {
+      this.processLoss(result);
+      return;
+    }
+
+    // Add visual feedback
+    this.addReelFeedback(true);
+
+    // Call partial callback
+    this.callbacks.onPartial(result, this);
+  }
+
   // Process losing result
   processLoss(result) {
     // Add visual feedback
@@ -351,7 +541,13 @@ class SlotMachine {
   }
 }
 
-// Make available globally
-window.SlotMachine = SlotMachine;
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.SlotMachine = SlotMachine;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SlotMachine;
+}
 
 console.log("🎰 Generic SlotMachine class loaded!");
@@ -634,8 +634,7 @@ class StartScreen extends Screen {
 
     // Simulate loading process
     this.simulateLoading(() => {
-      console.log("🔄 Ready to transition to Mining Screen");
-      // This is where you'd call: game.showScreen('mining');
+      this.transitionToScreen("map");
     });
   }
 
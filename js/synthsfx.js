@@ -0,0 +1,287 @@
+// SynthSFX - Procedural sound effects built from oscillators and noise
+// Stands in for any sound without a file (see AudioEngine.startFallback) and
+// voices newtake's effects directly, so the game sounds complete without samples
+class SynthSFX {
+  constructor(recipes = SynthSFX.recipes) {
+    this.recipes = recipes;
+    this.context = null; // Own context, only when no AudioEngine supplies one
+    this.noiseBuffer = null;
+  }
+
+  // The game-wide synth (window.synthSFX) - created on first use
+  static getShared() {
+    if (!globalThis.synthSFX) {
+      globalThis.synthSFX = new SynthSFX();
+    }
+    return globalThis.synthSFX;
+  }
+
+  // Recipe to use for a sound name - exact match, then the sound map, then a blip
+  getRecipeName(soundName) {
+    if (this.recipes[soundName]) return soundName;
+
+    const mapped = SynthSFX.soundRecipes[soundName];
+    if (mapped) return mapped;
+
+    // geode-open-rare -> geode-open, etc.
+    const prefix = Object.keys(SynthSFX.soundRecipes).find((name) =>
+      soundName.startsWith(`${name}-`)
+    );
+    return prefix ? SynthSFX.soundRecipes[prefix] : "blip";
+  }
+
+  // Lazily create a context for standalone use (newtake)
+  getContext() {
+    if (!this.context) {
+      const Context = window.AudioContext || window.webkitAudioContext;
+      if (!Context) return null;
+      this.context = new Context();
+    }
+
+    if (this.context.state === "suspended") {
+      this.context.resume().catch(() => {});
+    }
+    return this.context;
+  }
+
+  // One second of white noise, shared by every noise layer
+  getNoiseBuffer(context) {
+    if (
+      !this.noiseBuffer ||
+      this.noiseBuffer.sampleRate !== context.sampleRate
+    ) {
+      const length = context.sampleRate;
+      this.noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < length; i++) {
+        data[i] = Math.random() * 2 - 1; // Cosmetic - not a GameRandom stream
+      }
+    }
+    return this.noiseBuffer;
+  }
+
+  // Play a recipe - returns a handle with stop() and onended, or null
+  // context and destination default to the synth's own context and speakers
+  play(soundName, { context = null, destination = null, volume = 1.0 } = {}) {
+    try {
+      const ctx = context || this.getContext();
+      if (!ctx) return null;
+
+      const recipe = this.recipes[this.getRecipeName(soundName)];
+      const output = destination || ctx.destination;
+      const now = ctx.currentTime;
+
+      const handle = { sources: [], onended: null };
+      let lastEnd = 0;
+      let lastSource = null;
+
+      recipe.forEach((layer) => {
+        const source = this.createLayer(ctx, layer, output, now, volume);
+        handle.sources.push(source);
+
+        const end = (layer.at || 0) + layer.length;
+        if (end >= lastEnd) {
+          lastEnd = end;
+          lastSource = source;
+        }
+      });
+
+      lastSource.onended = () => {
+        if (handle.onended) handle.onended();
+      };
+      handle.stop = () => {
+        handle.sources.forEach((source) => {
+          try {
+            source.stop();
+          } catch (error) {
+            // Already stopped
+          }
+        });
+      };
+      return handle;
+    } catch (error) {
+      console.warn("⚠️ Synth sound failed:", error);
+      return null;
+    }
+  }
+
+  // Build one layer: oscillator (or filtered noise) -> envelope -> output
+  createLayer(ctx, layer, output, now, volume) {
+    const start = now + (layer.at || 0);
+    const end = start + layer.length;
+
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(
+      Math.max(layer.gain * volume, 0.0001),
+      start + Math.min(0.01, layer.length / 4)
+    );
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+    envelope.connect(output);
+
+    let source;
+    if (layer.wave === "noise") {
+      source = ctx.createBufferSource();
+      source.buffer = this.getNoiseBuffer(ctx);
+      source.loop = true;
+
+      const filter = ctx.createBiquadFilter();
+      filter.type = layer.filter || "lowpass";
+      filter.frequency.setValueAtTime(layer.from, start);
+      if (layer.to) {
+        filter.frequency.exponentialRampToValueAtTime(layer.to, end);
+      }
+      source.connect(filter);
+      filter.connect(envelope);
+    } else {
+      source = ctx.createOscillator();
+      source.type = layer.wave;
+      source.frequency.setValueAtTime(layer.from, start);
+      if (layer.to) {
+        source.frequency.exponentialRampToValueAtTime(layer.to, end);
+      }
+      source.connect(envelope);
+    }
+
+    source.start(start);
+    source.stop(end + 0.02);
+    return source;
+  }
+}
+
+// Recipes - layers of { wave, from, to, at, length, gain[, filter] }
+// wave is an oscillator type or "noise" (from/to then sweep the filter)
+SynthSFX.recipes = {
+  blip: [{ wave: "sine", from: 660, length: 0.08, gain: 0.25 }],
+  click: [{ wave: "square", from: 1200, to: 600, length: 0.04, gain: 0.15 }],
+  hover: [{ wave: "sine", from: 900, to: 1100, length: 0.05, gain: 0.08 }],
+  coin: [
+    { wave: "square", from: 988, length: 0.06, gain: 0.2 },
+    { wave: "square", from: 1319, at: 0.06, length: 0.18, gain: 0.2 },
+  ],
+  hit: [
+    { wave: "noise", from: 3000, to: 300, length: 0.12, gain: 0.5 },
+    { wave: "square", from: 400, to: 120, length: 0.15, gain: 0.3 },
+  ],
+  "geode-crack": [
+    {
+      wave: "noise",
+      from: 6000,
+      to: 800,
+      length: 0.08,
+      gain: 0.6,
+      filter: "highpass",
+    },
+    { wave: "noise", from: 2500, to: 400, at: 0.07, length: 0.2, gain: 0.4 },
+    { wave: "triangle", from: 1568, at: 0.12, length: 0.3, gain: 0.15 },
+  ],
+  "slot-spin": [
+    { wave: "square", from: 220, to: 440, length: 0.5, gain: 0.08 },
+    { wave: "noise", from: 1500, length: 0.5, gain: 0.1, filter: "bandpass" },
+  ],
+  "slot-stop": [
+    {
+      wave: "noise",
+      from: 1800,
+      to: 600,
+      length: 0.05,
+      gain: 0.4,
+      filter: "bandpass",
+    },
+    { wave: "square", from: 180, to: 90, length: 0.08, gain: 0.25 },
+  ],
+  "slime-death": [
+    { wave: "sine", from: 500, to: 60, length: 0.35, gain: 0.35 },
+    { wave: "noise", from: 800, to: 100, at: 0.05, length: 0.3, gain: 0.25 },
+  ],
+  "slime-escape": [
+    { wave: "triangle", from: 300, to: 150, length: 0.2, gain: 0.3 },
+    { wave: "triangle", from: 250, to: 100, at: 0.15, length: 0.25, gain: 0.3 },
+  ],
+  drop: [{ wave: "sine", from: 800, to: 500, length: 0.1, gain: 0.3 }],
+  "power-up": [
+    { wave: "square", from: 400, to: 1600, length: 0.25, gain: 0.15 },
+    { wave: "sine", from: 1000, at: 0.2, length: 0.15, gain: 0.2 },
+  ],
+  charge: [{ wave: "sawtooth", from: 200, to: 800, length: 0.3, gain: 0.1 }],
+  whoosh: [
+    {
+      wave: "noise",
+      from: 400,
+      to: 4000,
+      length: 0.35,
+      gain: 0.25,
+      filter: "bandpass",
+    },
+  ],
+  build: [
+    { wave: "square", from: 330, length: 0.1, gain: 0.2 },
+    { wave: "square", from: 440, at: 0.1, length: 0.1, gain: 0.2 },
+    { wave: "square", from: 660, at: 0.2, length: 0.25, gain: 0.2 },
+    { wave: "noise", from: 2000, to: 200, at: 0.2, length: 0.2, gain: 0.2 },
+  ],
+  success: [
+    { wave: "triangle", from: 523, length: 0.1, gain: 0.25 },
+    { wave: "triangle", from: 659, at: 0.1, length: 0.1, gain: 0.25 },
+    { wave: "triangle", from: 784, at: 0.2, length: 0.3, gain: 0.25 },
+  ],
+  victory: [
+    { wave: "square", from: 523, length: 0.12, gain: 0.18 },
+    { wave: "square", from: 659, at: 0.12, length: 0.12, gain: 0.18 },
+    { wave: "square", from: 784, at: 0.24, length: 0.12, gain: 0.18 },
+    { wave: "square", from: 1047, at: 0.36, length: 0.4, gain: 0.18 },
+  ],
+  defeat: [
+    { wave: "triangle", from: 392, length: 0.2, gain: 0.25 },
+    { wave: "triangle", from: 330, at: 0.2, length: 0.2, gain: 0.25 },
+    { wave: "triangle", from: 262, to: 200, at: 0.4, length: 0.5, gain: 0.25 },
+  ],
+  type: [{ wave: "square", from: 1800, length: 0.02, gain: 0.06 }],
+};
+
+// Game sound names -> recipes (prefixes cover families like geode-open-rare)
+SynthSFX.soundRecipes = {
+  "button-click": "click",
+  click: "click",
+  "ui-hover": "hover",
+  "ui-appear": "whoosh",
+  "screen-transition": "whoosh",
+  "logo-intro": "power-up",
+  "game-start": "power-up",
+  "game-complete": "success",
+  "game-over": "defeat",
+  "energy-charge": "charge",
+  "energy-full": "power-up",
+  "mine-enter": "whoosh",
+  "mine-built": "build",
+  "mining-start": "charge",
+  "mining-complete": "coin",
+  "slot-spin": "slot-spin",
+  "slot-stop": "slot-stop",
+  "upgrade-success": "power-up",
+  "geode-purchase": "coin",
+  "geode-open": "geode-crack",
+  "part-collected": "coin",
+  "parts-complete": "success",
+  "mecha-built": "build",
+  "combat-start": "power-up",
+  "combat-victory": "victory",
+  "combat-defeat": "defeat",
+  "trade-add": "coin",
+  "trade-complete": "coin",
+  "train-stat": "power-up",
+  "slime-hit": "hit",
+  "slime-death": "slime-death",
+  "slime-escape": "slime-escape",
+};
+
+// Make available globally (and to Node for tests)
+if (typeof window !== "undefined") {
+  window.SynthSFX = SynthSFX;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SynthSFX;
+}
+
+console.log("🎛️ SynthSFX class loaded!");
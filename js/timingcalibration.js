@@ -0,0 +1,140 @@
+// TimingCalibration - The player's input latency for the timing minigame
+// A calibration run collects taps against a cursor crossing a known point;
+// the median miss becomes the offset taken off every hit. Saved once for the
+// player, not per campaign (see SaveManager)
+class TimingCalibration {
+  constructor(config = GAME_CONFIG.timing.calibration) {
+    this.config = config;
+    this.offset = 0; // ms between seeing the cursor and the tap arriving
+    this.calibratedAt = null;
+    this.sessionTaps = null; // Misses (ms) in the run underway, if any
+    this.listeners = [];
+  }
+
+  // Latency to take off a hit's timestamp
+  getOffset() {
+    return this.offset;
+  }
+
+  // Start a calibration run
+  beginSession() {
+    this.sessionTaps = [];
+  }
+
+  // Drop a calibration run without changing the offset
+  cancelSession() {
+    this.sessionTaps = null;
+  }
+
+  // Check if a calibration run is underway
+  isCalibrating() {
+    return this.sessionTaps !== null;
+  }
+
+  // Record one tap's miss (ms late, negative if early) - taps too far off to
+  // be latency are ignored. Returns true if the tap counted
+  addTap(error) {
+    if (!this.isCalibrating() || Math.abs(error) > this.config.maxOffset) {
+      return false;
+    }
+
+    this.sessionTaps.push(error);
+    if (this.sessionTaps.length >= this.config.taps) {
+      this.setOffset(this.getMedian(this.sessionTaps));
+      this.sessionTaps = null;
+    }
+    return true;
+  }
+
+  // Middle value - one wild tap can't drag the offset around
+  getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  // Keep an offset within maxOffset, in whole ms
+  clampOffset(offset) {
+    const { maxOffset } = this.config;
+    return Math.round(Math.min(Math.max(offset, -maxOffset), maxOffset));
+  }
+
+  // Set the offset directly (ms, clamped to maxOffset)
+  setOffset(offset) {
+    this.offset = this.clampOffset(offset);
+    this.calibratedAt = Date.now();
+    this.notify();
+  }
+
+  // Taps so far in the current run
+  getProgress() {
+    return {
+      taps: this.sessionTaps ? this.sessionTaps.length : 0,
+      needed: this.config.taps,
+      calibrating: this.isCalibrating(),
+      offset: this.offset,
+    };
+  }
+
+  // Listen for offset changes - returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  // Tell listeners the offset changed
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.offset);
+      } catch (error) {
+        console.warn("⚠️ Calibration listener failed:", error);
+      }
+    });
+  }
+
+  // Save state (see SaveManager)
+  getState() {
+    return { offset: this.offset, calibratedAt: this.calibratedAt };
+  }
+
+  // Clean up saved state - bad values fall back to no offset
+  normalizeState(state) {
+    const offset = Number(state?.offset);
+    return {
+      offset: Number.isFinite(offset) ? this.clampOffset(offset) : 0,
+      calibratedAt: Number.isFinite(state?.calibratedAt)
+        ? state.calibratedAt
+        : null,
+    };
+  }
+
+  // Replace the offset from saved state
+  loadState(state) {
+    const { offset, calibratedAt } = this.normalizeState(state);
+    this.offset = offset;
+    this.calibratedAt = calibratedAt;
+    this.sessionTaps = null;
+    this.notify();
+  }
+
+  // Forget the calibration
+  reset() {
+    this.loadState(null);
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.TimingCalibration = TimingCalibration;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TimingCalibration;
+}
+
+console.log("🎯 TimingCalibration class loaded!");
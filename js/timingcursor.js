@@ -0,0 +1,100 @@
+// TimingCursor - Where the mining timing cursor is, worked out from the clock
+// The cursor's position is a pure function of time, so a hit scores the same
+// however late the frame that drew it was. Curves live in GAME_CONFIG.timing
+class TimingCursor {
+  constructor(config = GAME_CONFIG.timing) {
+    this.config = config;
+    this.startTime = null;
+    this.curve = config.curve;
+    this.sweepDuration = config.sweepDuration;
+  }
+
+  // Monotonic milliseconds - the clock input event timestamps share
+  static now() {
+    return globalThis.performance ? performance.now() : Date.now();
+  }
+
+  // When an input event happened on our clock - current browsers stamp
+  // events on the performance.now() clock, older ones used epoch time
+  static getEventTime(event) {
+    const now = TimingCursor.now();
+    const stamp = event?.timeStamp;
+    return stamp > 0 && stamp <= now ? stamp : now;
+  }
+
+  // Start a new pass at time - accelerating curves get faster with combo
+  start(time, { combo = 0, curve = this.config.curve } = {}) {
+    this.startTime = time;
+    this.curve = curve;
+    this.sweepDuration = this.getSweepDuration(curve, combo);
+  }
+
+  // Stop the cursor - it rests at the left edge
+  stop() {
+    this.startTime = null;
+  }
+
+  // Check if the cursor is moving
+  isRunning() {
+    return this.startTime !== null;
+  }
+
+  // Milliseconds for one pass across the bar
+  getSweepDuration(curve, combo = 0) {
+    const { sweepDuration, comboSpeedup, minSweepDuration } = this.config;
+    if (curve !== "accelerating") return sweepDuration;
+
+    return Math.max(
+      sweepDuration / (1 + combo * comboSpeedup),
+      minSweepDuration
+    );
+  }
+
+  // Cursor position (0-1) at a time
+  getPosition(time) {
+    if (!this.isRunning()) return 0;
+
+    const passes = Math.max(time - this.startTime, 0) / this.sweepDuration;
+    const progress = passes % 1;
+
+    switch (this.curve) {
+      case "ease":
+        // Slow at the edges, fastest through the middle
+        return (1 - Math.cos(Math.PI * progress)) / 2;
+
+      case "pingPong":
+        // Back and forth instead of jumping back to the left edge
+        return Math.floor(passes) % 2 === 0 ? progress : 1 - progress;
+
+      default:
+        // linear, and accelerating (a linear pass that shortens with combo)
+        return progress;
+    }
+  }
+
+  // Which pass the cursor is on at a time (0 for the first)
+  getPass(time) {
+    if (!this.isRunning()) return 0;
+    return Math.floor(Math.max(time - this.startTime, 0) / this.sweepDuration);
+  }
+
+  // When the pass nearest to time crossed a position - linear curves only,
+  // which is what latency calibration runs on
+  getPassTime(position, time) {
+    const pass = Math.round(
+      (time - this.startTime) / this.sweepDuration - position
+    );
+    return this.startTime + (pass + position) * this.sweepDuration;
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.TimingCursor = TimingCursor;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TimingCursor;
+}
+
+console.log("⏱️ TimingCursor class loaded!");
@@ -0,0 +1,764 @@
+// TradingScreen - Exchange terminal for currencies and mecha training credits
+// Every rate is unfavorable, so trades are queued in a batch and reviewed before paying
+class TradingScreen extends Screen {
+  constructor(container) {
+    super(container, "trading");
+
+    // TradingScreen specific state
+    this.wallet = window.wallet || new Wallet(); // Shared with the map and mines
+    this.unsubscribeWallet = null;
+    this.exchangeConfig = GAME_CONFIG.exchange;
+
+    // Currencies the terminal deals in - mined currencies plus training credits
+    this.tradeCurrencies = [
+      ...Object.keys(GAME_CONFIG.exchangeRates),
+      "training",
+    ];
+
+    // Trade form selection
+    this.fromCurrency = "shells";
+    this.toCurrency = "coins";
+
+    this.batch = []; // Queued trades: { from, to, amount, received, rate }
+    this.history = []; // Confirmed batches, newest first
+
+    // DOM element cache
+    this.elements = {};
+
+    console.log("💱 TradingScreen created");
+  }
+
+  // Override init to add TradingScreen specific initialization
+  init() {
+    this.render();
+    this.cacheElements();
+    this.setupEventListeners();
+    this.startAnimations();
+    this.initializeAudio();
+    this.startParticleSystem();
+    this.setPair(this.fromCurrency, this.toCurrency);
+    this.updateUI();
+    this.isActive = true;
+
+    // Balances can change elsewhere (debug tools, loading a save)
+    this.unsubscribeWallet = this.wallet.onChange(() => {
+      this.updateBalances();
+      this.updatePreview();
+    });
+
+    console.log("✅ TradingScreen initialized");
+  }
+
+  // Cache frequently accessed DOM elements
+  cacheElements() {
+    this.elements = {
+      backButton: this.container.querySelector(".back-button"),
+      fromSelect: this.container.querySelector(".trade-from"),
+      toSelect: this.container.querySelector(".trade-to"),
+      swapButton: this.container.querySelector(".swap-currencies-button"),
+      amountInput: this.container.querySelector(".trade-amount"),
+      quickAmountButtons: this.container.querySelectorAll(".quick-amount"),
+      preview: this.container.querySelector(".trade-preview"),
+      addTradeButton: this.container.querySelector(".add-trade-button"),
+      batchList: this.container.querySelector(".batch-list"),
+      batchTotal: this.container.querySelector(".batch-total"),
+      reviewButton: this.container.querySelector(".review-batch-button"),
+      clearButton: this.container.querySelector(".clear-batch-button"),
+      historyList: this.container.querySelector(".history-list"),
+      confirmModal: this.container.querySelector(".trade-confirm-modal"),
+      confirmList: this.container.querySelector(".confirm-trade-list"),
+      confirmButton: this.container.querySelector(".confirm-trades-button"),
+      cancelButton: this.container.querySelector(".cancel-trades-button"),
+      currencyValues: {},
+    };
+
+    this.wallet.currencies.forEach((currency) => {
+      this.elements.currencyValues[currency] = this.container.querySelector(
+        `.currency-${currency}`
+      );
+    });
+  }
+
+  // Override render method
+  render() {
+    const currencyOptions = this.tradeCurrencies
+      .map(
+        (currency) =>
+          `<option value="${currency}">${CONFIG_UTILS.getCurrencyLabel(
+            currency
+          )}</option>`
+      )
+      .join("");
+
+    const html = `
+      <div class="trading-screen screen active">
+        <!-- Multi-layer background system -->
+        <div class="background-layer background-image" style="background-image: url('images/asteroid-map.png');"></div>
+        <div class="background-layer nebula-layer"></div>
+        <div class="stars-layer"></div>
+        <div class="asteroids-layer"></div>
+        <div class="particles-layer"></div>
+
+        <!-- Header with currency display -->
+        <div class="trading-header">
+          <button class="back-button btn btn-secondary">
+            <img src="images/btn-retry.png" alt="Back" />
+            <span>Back to Map</span>
+          </button>
+
+          <div class="currency-display">
+            <div class="currency-grid">
+              ${this.wallet.currencies
+                .map(
+                  (currency) => `
+                <div class="currency-item">
+                  ${CONFIG_UTILS.getCurrencyIconHTML(currency)}
+                  <span class="currency-value currency-${currency}">0</span>
+                </div>
+              `
+                )
+                .join("")}
+            </div>
+          </div>
+        </div>
+
+        <!-- Main trading content -->
+        <div class="trading-content">
+          <div class="trading-title">
+            <h1>Exchange Terminal</h1>
+            <p>Every trade costs you something - check the rates first</p>
+          </div>
+
+          <div class="trading-panels">
+            <!-- Trade form -->
+            <div class="trade-panel">
+              <h3>New Trade</h3>
+              <div class="trade-pair">
+                <label>
+                  <span>Give</span>
+                  <select class="trade-from">${currencyOptions}</select>
+                </label>
+                <button class="swap-currencies-button btn btn-secondary" title="Swap">⇄</button>
+                <label>
+                  <span>Get</span>
+                  <select class="trade-to">${currencyOptions}</select>
+                </label>
+              </div>
+
+              <div class="trade-amount-row">
+                <input class="trade-amount" type="number" min="1" step="1" value="10" />
+                <button class="quick-amount btn btn-secondary" data-amount="10">10</button>
+                <button class="quick-amount btn btn-secondary" data-amount="100">100</button>
+                <button class="quick-amount btn btn-secondary" data-amount="max">Max</button>
+              </div>
+
+              <div class="trade-preview">
+                <!-- Filled in by updatePreview() -->
+              </div>
+
+              <button class="add-trade-button btn btn-primary">Add to Batch</button>
+            </div>
+
+            <!-- Batch of queued trades -->
+            <div class="batch-panel">
+              <h3>Batch <small>(up to ${this.exchangeConfig.maxBatchSize} trades)</small></h3>
+              <ul class="batch-list"></ul>
+              <div class="batch-total"></div>
+              <div class="batch-actions">
+                <button class="review-batch-button btn btn-primary">Review Trades</button>
+                <button class="clear-batch-button btn btn-secondary">Clear</button>
+              </div>
+            </div>
+
+            <!-- Transaction history -->
+            <div class="history-panel">
+              <h3>Transaction History</h3>
+              <ul class="history-list"></ul>
+            </div>
+          </div>
+        </div>
+
+        <!-- Confirm Trades Modal -->
+        <div class="trade-confirm-modal hidden">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h2>Confirm Trades</h2>
+            </div>
+            <div class="confirm-trade-list">
+              <!-- Filled in by showConfirmModal() -->
+            </div>
+            <div class="confirm-actions">
+              <button class="confirm-trades-button btn btn-primary">Confirm</button>
+              <button class="cancel-trades-button btn btn-secondary">Cancel</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.container.innerHTML = html;
+  }
+
+  // Override setupEventListeners to add TradingScreen specific events
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    // Back button
+    if (this.elements.backButton) {
+      this.elements.backButton.addEventListener("click", () => {
+        this.handleBackClick();
+      });
+    }
+
+    // Currency pair
+    if (this.elements.fromSelect) {
+      this.elements.fromSelect.addEventListener("change", (e) => {
+        this.setPair(e.target.value, this.toCurrency);
+      });
+    }
+
+    if (this.elements.toSelect) {
+      this.elements.toSelect.addEventListener("change", (e) => {
+        this.setPair(this.fromCurrency, e.target.value);
+      });
+    }
+
+    if (this.elements.swapButton) {
+      this.elements.swapButton.addEventListener("click", () => {
+        this.setPair(this.toCurrency, this.fromCurrency);
+      });
+    }
+
+    // Amount
+    if (this.elements.amountInput) {
+      this.elements.amountInput.addEventListener("input", () => {
+        this.updatePreview();
+      });
+    }
+
+    this.elements.quickAmountButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.setAmount(button.dataset.amount);
+      });
+    });
+
+    // Batch controls
+    if (this.elements.addTradeButton) {
+      this.elements.addTradeButton.addEventListener("click", () => {
+        this.handleAddTrade();
+      });
+    }
+
+    if (this.elements.batchList) {
+      this.elements.batchList.addEventListener("click", (e) => {
+        const removeButton = e.target.closest(".remove-trade-button");
+        if (removeButton) {
+          this.removeTrade(parseInt(removeButton.dataset.index));
+        }
+      });
+    }
+
+    if (this.elements.reviewButton) {
+      this.elements.reviewButton.addEventListener("click", () => {
+        this.showConfirmModal();
+      });
+    }
+
+    if (this.elements.clearButton) {
+      this.elements.clearButton.addEventListener("click", () => {
+        this.clearBatch();
+      });
+    }
+
+    // Confirm modal
+    if (this.elements.confirmButton) {
+      this.elements.confirmButton.addEventListener("click", () => {
+        this.executeBatch();
+      });
+    }
+
+    if (this.elements.cancelButton) {
+      this.elements.cancelButton.addEventListener("click", () => {
+        this.hideConfirmModal();
+      });
+    }
+
+    if (this.elements.confirmModal) {
+      this.elements.confirmModal.addEventListener("click", (e) => {
+        if (e.target === this.elements.confirmModal) {
+          this.hideConfirmModal();
+        }
+      });
+    }
+  }
+
+  // Escape closes the confirm modal first, then leaves the terminal
+  handleEscape() {
+    if (this.isConfirmModalOpen()) {
+      this.hideConfirmModal();
+    } else {
+      this.handleBackClick();
+    }
+  }
+
+  // Event handlers
+  handleBackClick() {
+    console.log("🔙 Leaving exchange terminal");
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    this.transitionToScreen("map");
+  }
+
+  // Pick a currency pair - picking the same currency twice swaps the pair
+  setPair(fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+      toCurrency =
+        this.fromCurrency === fromCurrency ? this.toCurrency : this.fromCurrency;
+    }
+
+    this.fromCurrency = fromCurrency;
+    this.toCurrency = toCurrency;
+
+    if (this.elements.fromSelect) this.elements.fromSelect.value = fromCurrency;
+    if (this.elements.toSelect) this.elements.toSelect.value = toCurrency;
+
+    this.updatePreview();
+  }
+
+  // Set the trade amount from a quick button ("max" = what's left after the batch)
+  setAmount(amount) {
+    const value =
+      amount === "max" ? this.getAvailable(this.fromCurrency) : parseInt(amount);
+
+    if (this.elements.amountInput) {
+      this.elements.amountInput.value = Math.max(0, value);
+    }
+    this.updatePreview();
+  }
+
+  // Current amount in the trade form
+  getAmount() {
+    const amount = parseInt(this.elements.amountInput?.value);
+    return Number.isFinite(amount) ? amount : 0;
+  }
+
+  // Build a trade quote - received is 0 when there's no route or the amount is too small
+  quoteTrade(from, to, amount) {
+    const rate = CONFIG_UTILS.getExchangeRate(from, to);
+    const reverseRate = CONFIG_UTILS.getExchangeRate(to, from);
+
+    return {
+      from,
+      to,
+      amount,
+      rate,
+      received: CONFIG_UTILS.calculateExchange(from, to, amount),
+      // Share of value lost trading there and straight back
+      roundTripLoss: rate && reverseRate ? 1 - rate * reverseRate : null,
+    };
+  }
+
+  // Balance left after the queued batch is paid
+  getAvailable(currency) {
+    return this.getBatchBalances()[currency] || 0;
+  }
+
+  // Wallet balances as they'd be after the whole batch
+  getBatchBalances() {
+    const balances = this.wallet.getBalances();
+    this.batch.forEach((trade) => {
+      balances[trade.from] -= trade.amount;
+      balances[trade.to] += trade.received;
+    });
+    return balances;
+  }
+
+  // Queue the trade in the form
+  handleAddTrade() {
+    const trade = this.quoteTrade(
+      this.fromCurrency,
+      this.toCurrency,
+      this.getAmount()
+    );
+    const error = this.validateTrade(trade);
+
+    if (error) {
+      this.showTemporaryMessage(error, "warning");
+      this.triggerScreenShake(200);
+      return false;
+    }
+
+    this.batch.push(trade);
+
+    if (this.audioManager) {
+      this.audioManager.playSound("trade-add");
+    }
+
+    this.updateUI();
+    return true;
+  }
+
+  // Check a trade can join the batch - returns an error message or null
+  validateTrade(trade) {
+    if (!trade.rate) {
+      return trade.from === "training" || trade.to === "training"
+        ? `Training credits only trade for ${GAME_CONFIG.trainingRates.currency}`
+        : "No exchange route between those currencies";
+    }
+
+    if (trade.amount <= 0) {
+      return "Enter an amount to trade";
+    }
+
+    if (trade.received <= 0) {
+      return "Amount too small - you'd get nothing back";
+    }
+
+    if (this.batch.length >= this.exchangeConfig.maxBatchSize) {
+      return `A batch holds at most ${this.exchangeConfig.maxBatchSize} trades`;
+    }
+
+    // Earlier trades in the batch may already spend (or earn) this currency
+    if (this.getAvailable(trade.from) < trade.amount) {
+      return `Not enough ${CONFIG_UTILS.getCurrencyLabel(trade.from)}`;
+    }
+
+    return null;
+  }
+
+  // Remove a queued trade (later trades may depend on it, so re-check them)
+  removeTrade(index) {
+    const remaining = this.batch.filter((_, i) => i !== index);
+    this.batch = [];
+
+    remaining.forEach((trade) => {
+      if (!this.validateTrade(trade)) {
+        this.batch.push(trade);
+      }
+    });
+
+    if (this.batch.length < remaining.length) {
+      this.showTemporaryMessage(
+        "Removed trades that relied on that one",
+        "warning"
+      );
+    }
+
+    this.updateUI();
+  }
+
+  // Empty the batch
+  clearBatch() {
+    this.batch = [];
+    this.updateUI();
+  }
+
+  // Show every queued trade with its rate before anything is paid
+  showConfirmModal() {
+    if (this.batch.length === 0) {
+      this.showTemporaryMessage("Add a trade to the batch first", "warning");
+      return;
+    }
+
+    const { confirmModal, confirmList } = this.elements;
+    if (!confirmModal || !confirmList) return;
+
+    confirmList.innerHTML = `
+      <ul>
+        ${this.batch
+          .map(
+            (trade) => `
+          <li class="confirm-trade">
+            ${this.getTradeHTML(trade)}
+            <div class="trade-rate-warning">${this.getRateWarning(trade)}</div>
+          </li>
+        `
+          )
+          .join("")}
+      </ul>
+      <div class="confirm-totals">
+        ${this.getNetChangeHTML(this.getNetChange(this.batch))}
+      </div>
+    `;
+
+    confirmModal.classList.remove("hidden");
+  }
+
+  // Hide the confirm modal
+  hideConfirmModal() {
+    if (this.elements.confirmModal) {
+      this.elements.confirmModal.classList.add("hidden");
+    }
+  }
+
+  // Check if the confirm modal is showing
+  isConfirmModalOpen() {
+    return Boolean(
+      this.elements.confirmModal &&
+        !this.elements.confirmModal.classList.contains("hidden")
+    );
+  }
+
+  // Pay for the whole batch - all trades or none
+  executeBatch() {
+    if (this.batch.length === 0) return false;
+
+    // Balances may have changed since the trades were queued
+    const balances = this.getBatchBalances();
+    const short = Object.keys(balances).find(
+      (currency) => balances[currency] < 0
+    );
+    if (short) {
+      this.hideConfirmModal();
+      this.showTemporaryMessage(
+        `Not enough ${CONFIG_UTILS.getCurrencyLabel(short)} - batch cancelled`,
+        "error"
+      );
+      return false;
+    }
+
+    this.batch.forEach((trade) => {
+      this.wallet.add(trade.from, -trade.amount);
+      this.wallet.add(trade.to, trade.received);
+    });
+
+    this.recordTransaction(this.batch);
+    console.log(`💱 Executed ${this.batch.length} trades`, this.batch);
+
+    this.batch = [];
+    this.hideConfirmModal();
+    this.updateUI();
+
+    if (this.audioManager) {
+      this.audioManager.playSound("trade-complete");
+    }
+
+    this.showSuccessMessage("💱 Trades complete!");
+    return true;
+  }
+
+  // Add a confirmed batch to the transaction history
+  recordTransaction(trades) {
+    this.history.unshift({
+      time: Date.now(),
+      trades: trades.map(({ from, to, amount, received, rate }) => ({
+        from,
+        to,
+        amount,
+        received,
+        rate,
+      })),
+    });
+    this.history = this.history.slice(0, this.exchangeConfig.historyLength);
+  }
+
+  // Net currency change for a list of trades
+  getNetChange(trades) {
+    const net = {};
+    trades.forEach((trade) => {
+      net[trade.from] = (net[trade.from] || 0) - trade.amount;
+      net[trade.to] = (net[trade.to] || 0) + trade.received;
+    });
+    return net;
+  }
+
+  // Explain how unfavorable a trade's rate is
+  getRateWarning(trade) {
+    const fromLabel = CONFIG_UTILS.getCurrencyLabel(trade.from);
+    const toLabel = CONFIG_UTILS.getCurrencyLabel(trade.to);
+    const rateText = `1 ${fromLabel} = ${trade.rate} ${toLabel}`;
+
+    if (trade.roundTripLoss === null) {
+      return `${rateText} - no way to trade back`;
+    }
+    if (trade.roundTripLoss > 0) {
+      return `${rateText} - trading back loses ${Math.round(
+        trade.roundTripLoss * 100
+      )}%`;
+    }
+    return rateText;
+  }
+
+  // Markup for a single trade
+  getTradeHTML(trade) {
+    return `
+      <span class="trade-side">
+        ${trade.amount} ${CONFIG_UTILS.getCurrencyIconHTML(trade.from, "currency-icon-small")}
+      </span>
+      <span class="trade-arrow">→</span>
+      <span class="trade-side">
+        ${trade.received} ${CONFIG_UTILS.getCurrencyIconHTML(trade.to, "currency-icon-small")}
+      </span>
+    `;
+  }
+
+  // Markup for a net change summary
+  getNetChangeHTML(net) {
+    return Object.entries(net)
+      .filter(([, amount]) => amount !== 0)
+      .map(
+        ([currency, amount]) => `
+        <span class="net-change ${amount > 0 ? "gain" : "cost"}">
+          ${amount > 0 ? "+" : ""}${amount}
+          ${CONFIG_UTILS.getCurrencyIconHTML(currency, "currency-icon-small")}
+        </span>
+      `
+      )
+      .join("");
+  }
+
+  // UI Update methods
+  updateUI() {
+    this.updateBalances();
+    this.updatePreview();
+    this.updateBatch();
+    this.updateHistory();
+  }
+
+  updateBalances() {
+    this.wallet.currencies.forEach((currency) => {
+      const element = this.elements.currencyValues[currency];
+      if (element) {
+        element.textContent = this.wallet.get(currency);
+      }
+    });
+  }
+
+  // Show the rate and what the form's trade would return
+  updatePreview() {
+    const { preview, addTradeButton } = this.elements;
+    if (!preview) return;
+
+    const trade = this.quoteTrade(
+      this.fromCurrency,
+      this.toCurrency,
+      this.getAmount()
+    );
+    const error = this.validateTrade(trade);
+
+    preview.innerHTML = trade.rate
+      ? `
+        <div class="trade-quote">${this.getTradeHTML(trade)}</div>
+        <div class="trade-rate-warning">${this.getRateWarning(trade)}</div>
+        <div class="trade-available">Available: ${this.getAvailable(
+          trade.from
+        )} ${CONFIG_UTILS.getCurrencyLabel(trade.from)}</div>
+      `
+      : `<div class="trade-rate-warning">${error}</div>`;
+
+    if (addTradeButton) {
+      addTradeButton.disabled = Boolean(error);
+    }
+  }
+
+  updateBatch() {
+    const { batchList, batchTotal, reviewButton, clearButton } = this.elements;
+
+    if (batchList) {
+      batchList.innerHTML =
+        this.batch.length > 0
+          ? this.batch
+              .map(
+                (trade, index) => `
+            <li class="batch-trade">
+              ${this.getTradeHTML(trade)}
+              <button class="remove-trade-button" data-index="${index}" title="Remove">×</button>
+            </li>
+          `
+              )
+              .join("")
+          : '<li class="empty-list">No trades queued</li>';
+    }
+
+    if (batchTotal) {
+      batchTotal.innerHTML = this.getNetChangeHTML(this.getNetChange(this.batch));
+    }
+
+    if (reviewButton) reviewButton.disabled = this.batch.length === 0;
+    if (clearButton) clearButton.disabled = this.batch.length === 0;
+  }
+
+  updateHistory() {
+    const { historyList } = this.elements;
+    if (!historyList) return;
+
+    historyList.innerHTML =
+      this.history.length > 0
+        ? this.history
+            .map(
+              (entry) => `
+          <li class="history-entry">
+            <span class="history-time">${new Date(
+              entry.time
+            ).toLocaleTimeString()}</span>
+            <span class="history-changes">${this.getNetChangeHTML(
+              this.getNetChange(entry.trades)
+            )}</span>
+            <span class="history-count">${entry.trades.length} trade${
+                entry.trades.length === 1 ? "" : "s"
+              }</span>
+          </li>
+        `
+            )
+            .join("")
+        : '<li class="empty-list">No trades yet</li>';
+  }
+
+  // Override initializeAudio to add TradingScreen specific sounds
+  initializeAudio() {
+    super.initializeAudio();
+
+    this.audioManager.sounds = {
+      ...this.audioManager.sounds,
+      "trade-add": null,
+      "trade-complete": null,
+    };
+  }
+
+  // Save state (see SaveManager) - balances live in the shared wallet
+  saveEnhancedState() {
+    return {
+      history: this.history.map((entry) => ({
+        ...entry,
+        trades: entry.trades.map((trade) => ({ ...trade })),
+      })),
+    };
+  }
+
+  loadEnhancedState(state) {
+    if (!state) return;
+
+    if (Array.isArray(state.history)) {
+      this.history = state.history.slice(0, this.exchangeConfig.historyLength);
+    }
+
+    // Update UI after loading
+    this.updateUI();
+  }
+
+  // Override destroy to clean up TradingScreen specific elements
+  destroy() {
+    // Stop following wallet changes
+    if (this.unsubscribeWallet) {
+      this.unsubscribeWallet();
+      this.unsubscribeWallet = null;
+    }
+
+    // Clear cached elements
+    this.elements = {};
+    this.batch = [];
+
+    // Call parent destroy method
+    super.destroy();
+
+    console.log("🗑️ TradingScreen destroyed and cleaned up");
+  }
+}
+
+// Make available globally for debug system
+window.TradingScreen = TradingScreen;
+
+console.log("💱 TradingScreen class loaded!");
@@ -0,0 +1,302 @@
+// TrainingScreen - Spend training credits on mecha stats
+// Trained stats and battle levels live in the shared MechaTraining (saved by SaveManager)
+class TrainingScreen extends Screen {
+  constructor(container) {
+    super(container, "training");
+
+    // TrainingScreen specific state
+    this.wallet = window.wallet || new Wallet(); // Shared with the map and mines
+    this.training = window.mechaTraining || new MechaTraining();
+    this.unsubscribeWallet = null;
+    this.unsubscribeTraining = null;
+
+    this.mechaTypes = Object.keys(GAME_CONFIG.mechas);
+    this.statNames = Object.keys(GAME_CONFIG.training.stats);
+
+    // DOM element cache
+    this.elements = {};
+
+    console.log("🏋️ TrainingScreen created");
+  }
+
+  // Override init to add TrainingScreen specific initialization
+  init() {
+    this.render();
+    this.cacheElements();
+    this.setupEventListeners();
+    this.startAnimations();
+    this.initializeAudio();
+    this.startParticleSystem();
+    this.updateUI();
+    this.isActive = true;
+
+    // Credits and records can change elsewhere (exchange, combat, loading a save)
+    this.unsubscribeWallet = this.wallet.onChange(() => this.updateUI());
+    this.unsubscribeTraining = this.training.onChange(() => this.updateUI());
+
+    console.log("✅ TrainingScreen initialized");
+  }
+
+  // Cache frequently accessed DOM elements
+  cacheElements() {
+    this.elements = {
+      backButton: this.container.querySelector(".back-button"),
+      exchangeButton: this.container.querySelector(".get-credits-button"),
+      creditValue: this.container.querySelector(".training-credits-value"),
+      mechaList: this.container.querySelector(".training-mecha-list"),
+    };
+  }
+
+  // Override render method
+  render() {
+    const html = `
+      <div class="training-screen screen active">
+        <!-- Multi-layer background system -->
+        <div class="background-layer background-image" style="background-image: url('images/asteroid-map.png');"></div>
+        <div class="background-layer nebula-layer"></div>
+        <div class="stars-layer"></div>
+        <div class="asteroids-layer"></div>
+        <div class="particles-layer"></div>
+
+        <!-- Header with training credits -->
+        <div class="training-header">
+          <button class="back-button btn btn-secondary">
+            <img src="images/btn-retry.png" alt="Back" />
+            <span>Back to Map</span>
+          </button>
+
+          <div class="training-credits">
+            ${CONFIG_UTILS.getCurrencyIconHTML("training")}
+            <span class="training-credits-value">0</span>
+            <span>${CONFIG_UTILS.getCurrencyLabel("training")}</span>
+          </div>
+
+          <button class="get-credits-button btn btn-primary">💱 Get Credits</button>
+        </div>
+
+        <!-- Main training content -->
+        <div class="training-content">
+          <div class="training-title">
+            <h1>Training Bay</h1>
+            <p>Each level costs more and adds a little less - winning battles helps too</p>
+          </div>
+
+          <div class="training-mecha-list">
+            <!-- Filled in by updateMechas() -->
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.container.innerHTML = html;
+  }
+
+  // Override setupEventListeners to add TrainingScreen specific events
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    // Back button
+    if (this.elements.backButton) {
+      this.elements.backButton.addEventListener("click", () => {
+        this.handleBackClick();
+      });
+    }
+
+    // Credits come from the exchange terminal
+    if (this.elements.exchangeButton) {
+      this.elements.exchangeButton.addEventListener("click", () => {
+        this.handleExchangeClick();
+      });
+    }
+
+    // Train buttons are re-rendered with the cards
+    if (this.elements.mechaList) {
+      this.elements.mechaList.addEventListener("click", (e) => {
+        const trainButton = e.target.closest(".train-stat-button");
+        if (trainButton) {
+          this.handleTrain(trainButton.dataset.mecha, trainButton.dataset.stat);
+        }
+      });
+    }
+  }
+
+  // Escape leaves the training bay
+  handleEscape() {
+    this.handleBackClick();
+  }
+
+  // Event handlers
+  handleBackClick() {
+    console.log("🔙 Leaving training bay");
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    this.transitionToScreen("map");
+  }
+
+  handleExchangeClick() {
+    console.log("💱 Opening exchange terminal for training credits");
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    this.transitionToScreen("trading");
+  }
+
+  // Train one level of a stat
+  handleTrain(mechaType, stat) {
+    const blocker = this.training.getTrainingBlocker(
+      mechaType,
+      stat,
+      this.wallet
+    );
+    if (blocker) {
+      console.log(`⚠️ Can't train ${mechaType} ${stat}: ${blocker}`);
+      return;
+    }
+
+    const gain = this.training.getNextTrainingGain(mechaType, stat);
+    if (!this.training.train(mechaType, stat, this.wallet)) return;
+
+    if (this.audioManager) {
+      this.audioManager.playSound("train-stat");
+    }
+
+    console.log(`🏋️ ${GAME_CONFIG.mechas[mechaType].name} ${stat} +${gain}`);
+  }
+
+  // Card for one mecha - level, XP and a row per trainable stat
+  getMechaCardHTML(mechaType) {
+    const mechaConfig = GAME_CONFIG.mechas[mechaType];
+    const mecha = this.training.getMecha(mechaType);
+    const stats = this.training.getStats(mechaType);
+
+    const atMaxLevel = mecha.level >= GAME_CONFIG.training.maxLevel;
+    const xpNeeded = this.training.getXpForLevel(mecha.level);
+    const xpPercent = atMaxLevel ? 100 : (mecha.xp / xpNeeded) * 100;
+
+    const rows = this.statNames
+      .map((stat) => {
+        const cost = this.training.getTrainingCost(mechaType, stat);
+        const blocker = this.training.getTrainingBlocker(
+          mechaType,
+          stat,
+          this.wallet
+        );
+
+        return `
+          <tr>
+            <td class="stat-name">${stat}</td>
+            <td class="stat-value">${stats[stat]}</td>
+            <td class="stat-level">${mecha.trained[stat]}/${
+          GAME_CONFIG.training.stats[stat].maxLevel
+        }</td>
+            <td class="stat-gain">${
+              cost === null
+                ? "-"
+                : `+${this.training.getNextTrainingGain(mechaType, stat)}`
+            }</td>
+            <td>
+              <button class="train-stat-button btn btn-primary" data-mecha="${mechaType}" data-stat="${stat}" title="${
+          blocker || "Train"
+        }" ${blocker ? "disabled" : ""}>
+                ${cost === null ? "Max" : `Train (${cost})`}
+              </button>
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="training-mecha-card ${mecha.built ? "" : "locked"}">
+        <div class="training-mecha-info">
+          <img src="images/mecha-${mechaType}.png" alt="${mechaConfig.name}" />
+          <div>
+            <h3>${mechaConfig.name}</h3>
+            <div class="mecha-level">Level ${mecha.level} · ${
+      mecha.victories
+    } victories</div>
+            <div class="mecha-xp-bar">
+              <div class="mecha-xp-fill" style="width: ${xpPercent}%"></div>
+            </div>
+            <div class="mecha-xp-text">${
+              atMaxLevel ? "Max level" : `${mecha.xp}/${xpNeeded} XP`
+            }</div>
+          </div>
+        </div>
+        ${
+          mecha.built
+            ? ""
+            : '<div class="training-locked-note">🔒 Build this mecha to train it</div>'
+        }
+        <table class="training-stats">
+          <thead>
+            <tr><th>Stat</th><th>Value</th><th>Trained</th><th>Next</th><th></th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // UI Update methods
+  updateUI() {
+    this.updateCredits();
+    this.updateMechas();
+  }
+
+  updateCredits() {
+    if (this.elements.creditValue) {
+      this.elements.creditValue.textContent = this.wallet.get("training");
+    }
+  }
+
+  updateMechas() {
+    if (!this.elements.mechaList) return;
+
+    this.elements.mechaList.innerHTML = this.mechaTypes
+      .map((mechaType) => this.getMechaCardHTML(mechaType))
+      .join("");
+  }
+
+  // Override initializeAudio to add TrainingScreen specific sounds
+  initializeAudio() {
+    super.initializeAudio();
+
+    this.audioManager.sounds = {
+      ...this.audioManager.sounds,
+      "train-stat": null,
+    };
+  }
+
+  // Override destroy to clean up TrainingScreen specific elements
+  destroy() {
+    // Stop following wallet and training changes
+    if (this.unsubscribeWallet) {
+      this.unsubscribeWallet();
+      this.unsubscribeWallet = null;
+    }
+
+    if (this.unsubscribeTraining) {
+      this.unsubscribeTraining();
+      this.unsubscribeTraining = null;
+    }
+
+    // Clear cached elements
+    this.elements = {};
+
+    // Call parent destroy method
+    super.destroy();
+
+    console.log("🗑️ TrainingScreen destroyed and cleaned up");
+  }
+}
+
+// Make available globally for debug system
+window.TrainingScreen = TrainingScreen;
+
+console.log("🏋️ TrainingScreen class loaded!");
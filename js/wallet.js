@@ -0,0 +1,134 @@
+// Wallet - Currency balances shared by the map and every mine
+// Shells mined in the Rock Mine are the same shells that unlock mines on the map
+class Wallet {
+  constructor(balances = GAME_CONFIG.wallet.startingBalances) {
+    this.currencies = Wallet.getCurrencyTypes();
+    this.balances = this.createBalances(balances);
+    this.listeners = [];
+  }
+
+  // Every mine currency plus its monster_ variant, in mine order, then extras
+  static getCurrencyTypes() {
+    const mineCurrencies = Object.values(GAME_CONFIG.mines).map(
+      (mine) => mine.currency
+    );
+    return [
+      ...mineCurrencies,
+      ...mineCurrencies.map((currency) => `monster_${currency}`),
+      ...Object.keys(GAME_CONFIG.wallet.extraCurrencies),
+    ];
+  }
+
+  // Zeroed balances with any known amounts filled in
+  createBalances(amounts = {}) {
+    const balances = {};
+    this.currencies.forEach((currency) => {
+      const amount = Number(amounts[currency]);
+      balances[currency] = Number.isFinite(amount) ? Math.max(0, amount) : 0;
+    });
+    return balances;
+  }
+
+  // Check if a currency is tracked by the wallet
+  isCurrency(currency) {
+    return this.currencies.includes(currency);
+  }
+
+  // Get a balance
+  get(currency) {
+    return this.balances[currency] || 0;
+  }
+
+  // Set a balance (debug tools and save loading)
+  set(currency, amount) {
+    if (!this.isCurrency(currency)) {
+      console.warn(`⚠️ Unknown currency: ${currency}`);
+      return false;
+    }
+
+    const previous = this.balances[currency];
+    this.balances[currency] = Math.max(0, amount);
+    this.notify(currency, previous);
+    return true;
+  }
+
+  // Add to a balance (negative amounts spend without a check)
+  add(currency, amount) {
+    return this.set(currency, this.get(currency) + amount);
+  }
+
+  // Check if every cost in { currency: amount } can be paid
+  canAfford(costs) {
+    return Object.entries(costs).every(
+      ([currency, cost]) => this.get(currency) >= cost
+    );
+  }
+
+  // Pay every cost in { currency: amount } - all or nothing
+  spend(costs) {
+    if (!this.canAfford(costs)) return false;
+
+    Object.entries(costs).forEach(([currency, cost]) => {
+      if (cost > 0) {
+        this.add(currency, -cost);
+      }
+    });
+    return true;
+  }
+
+  // Copy of all balances
+  getBalances() {
+    return { ...this.balances };
+  }
+
+  // Listen for balance changes - returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  // Tell listeners a balance changed
+  notify(currency, previous) {
+    if (this.balances[currency] === previous) return;
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(currency, this.balances[currency], previous);
+      } catch (error) {
+        console.warn("⚠️ Wallet listener failed:", error);
+      }
+    });
+  }
+
+  // Save state (see SaveManager)
+  getState() {
+    return this.getBalances();
+  }
+
+  // Replace all balances from saved state
+  loadState(state) {
+    const previous = this.balances;
+    this.balances = this.createBalances(state || {});
+    this.currencies.forEach((currency) => {
+      this.notify(currency, previous[currency]);
+    });
+  }
+
+  // Back to the starting balances (new campaign)
+  reset() {
+    this.loadState(GAME_CONFIG.wallet.startingBalances);
+  }
+}
+
+// Make available globally (and to Node for balance tests)
+if (typeof window !== "undefined") {
+  window.Wallet = Wallet;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Wallet;
+}
+
+console.log("👛 Wallet class loaded!");
@@ -2,6 +2,7 @@
 class MechaSlimeGame {
     constructor() {
         console.log('Initializing MechaSlimeGame...');
+        console.log('Random seed:', GameRandom.getShared().seed);
         
         // Centralized game state
         this.gameState = {
@@ -84,8 +84,8 @@ const COSMETIC_TEMPLATES = {
 
 // Utility Functions
 const CONFIG_UTILS = {
-    getRandomElement(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    getRandomElement(array, streamName = 'loot') {
+        return GameRandom.getShared().pick(streamName, array);
     },
     
     createEntity(templateName) {
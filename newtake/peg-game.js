@@ -9,6 +9,7 @@ class PegGame {
         this.attackContainers = [];
         this.activeAnimations = [];
         this.cachedBoardRect = null;
+        this.random = GameRandom.getShared(); // Seeded drop physics (see js/gamerandom.js)
         console.log('PegGame initialized');
     }
 
@@ -178,7 +179,7 @@ class PegGame {
     simulatePhysics(item, startX, startY) {
         let x = startX;
         let y = startY;
-        let vx = (Math.random() - 0.5) * 4;
+        let vx = (this.random.next('physics') - 0.5) * 4;
         let vy = 0;
         let animationId;
         
@@ -280,22 +281,8 @@ class PegGame {
     }
 
     playDropSound() {
-        // Simple sound effect using Web Audio API
-        try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            oscillator.frequency.value = 800;
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.1);
-            oscillator.start();
-            oscillator.stop(audioContext.currentTime + 0.1);
-        } catch (e) {
-            console.warn('Audio failed:', e);
+        // Synth recipe from js/synthsfx.js
+        if (!SynthSFX.getShared().play('drop')) {
             // Provide visual feedback when audio fails
             this.showVisualFeedback('drop');
         }
@@ -5,19 +5,18 @@ class App {
     this.gameContainer = null;
     this.screens = new Map();
     this.isInitialized = false;
-    this.gameState = {
-      playerName: "",
-      totalScore: 0,
-      totalCoins: 0,
-      gamesPlayed: 0,
-      bestScore: 0,
-      achievements: [],
-      settings: {
-        soundEnabled: true,
-        musicEnabled: true,
-        difficulty: "normal",
-      },
-    };
+    this.gameState = this.getDefaultGameState();
+
+    // Versioned save format (see js/saveenvelope.js)
+    this.saveKey = "mechaXMonsterGameState";
+    this.saveEnvelope = new SaveEnvelope({
+      format: this.saveKey,
+      version: 2,
+      migrations: this.getSaveMigrations(),
+      normalize: (state) => this.normalizeGameState(state),
+    });
+    this.saveError = null; // Set when the stored save can't be loaded
+    this.saveBlocked = false; // Never overwrite a save we couldn't load
 
     console.log("🎮 Mecha X Monster App initialized");
   }
@@ -37,6 +36,7 @@ class App {
 
       // Load game state from localStorage
       this.loadGameState();
+      this.applyAudioSettings();
 
       // Register available screens
       this.registerScreens();
@@ -44,6 +44,11 @@ class App {
       // Show start screen
       await this.showScreen("start");
 
+      // Ask what to do with a save that failed to load
+      if (this.saveError) {
+        this.promptSaveRecovery();
+      }
+
       // Set up global event listeners
       this.setupGlobalEventListeners();
 
@@ -111,7 +116,11 @@ class App {
 
       // Handle special cases for screen construction
       if (screenName === "slime-defense") {
-        this.currentScreen = new ScreenClass(this.gameContainer);
+        this.currentScreen = new ScreenClass(this.gameContainer, {
+          difficulty: this.gameState.settings.difficulty,
+          bestScores: this.gameState.bestScores,
+          metaTier: this.gameState.metaTier,
+        });
       } else {
         this.currentScreen = new ScreenClass(this.gameContainer);
       }
@@ -170,18 +179,46 @@ class App {
         });
       }
 
+      // Hook into difficulty changes to remember the player's choice
+      const originalSetDifficulty = this.currentScreen.setDifficulty.bind(
+        this.currentScreen
+      );
+      this.currentScreen.setDifficulty = (difficulty) => {
+        const changed = originalSetDifficulty(difficulty);
+        if (changed) {
+          this.gameState.settings.difficulty = difficulty;
+          this.saveGameState();
+        }
+        return changed;
+      };
+
       // Hook into game over to update global stats
       const originalEndGame = this.currentScreen.endGame.bind(
         this.currentScreen
       );
       this.currentScreen.endGame = () => {
         // Update global game state
+        const { score, difficultyKey } = this.currentScreen;
         this.gameState.gamesPlayed++;
-        this.gameState.totalScore += this.currentScreen.score;
-        this.gameState.totalCoins += this.currentScreen.coins;
+        this.gameState.totalScore += score;
+        this.gameState.totalCoins += this.currentScreen.coinsEarned;
+
+        if (score > this.gameState.bestScore) {
+          this.gameState.bestScore = score;
+        }
+
+        // High scores are kept per difficulty
+        if (score > (this.gameState.bestScores[difficultyKey] || 0)) {
+          this.gameState.bestScores[difficultyKey] = score;
+        }
 
-        if (this.currentScreen.score > this.gameState.bestScore) {
-          this.gameState.bestScore = this.currentScreen.score;
+        // Reaching a later wave earns a meta tier for future runs
+        const tier = this.currentScreen.shop.getTierForWave(
+          this.currentScreen.wave
+        );
+        if (tier > this.gameState.metaTier) {
+          this.gameState.metaTier = tier;
+          this.currentScreen.setMetaTier(tier);
         }
 
         // Save game state
@@ -366,33 +403,163 @@ class App {
     });
   }
 
+  // Default game state for new players
+  getDefaultGameState() {
+    return {
+      playerName: "",
+      totalScore: 0,
+      totalCoins: 0,
+      gamesPlayed: 0,
+      bestScore: 0, // Best on any difficulty
+      bestScores: { easy: 0, normal: 0, hard: 0 }, // Best per difficulty
+      metaTier: 0, // Slime defense tier (GAME_CONFIG.shop.tiers)
+      achievements: [],
+      random: null, // GameRandom seed and stream positions
+      settings: {
+        soundEnabled: true,
+        musicEnabled: true,
+        difficulty: "normal",
+      },
+    };
+  }
+
+  // Save migrations - migrations[n] upgrades a save from v(n) to v(n+1)
+  getSaveMigrations() {
+    return {
+      // v0 (unversioned): raw gameState, settings may be missing or partial
+      0: (state) => ({
+        ...state,
+        settings: {
+          ...this.getDefaultGameState().settings,
+          ...(state.settings || {}),
+        },
+      }),
+
+      // v1: one bestScore - runs ignored the difficulty setting, so it was
+      // scored on normal
+      1: (state) => ({
+        ...state,
+        bestScores: { normal: state.bestScore || 0 },
+      }),
+    };
+  }
+
+  // Keep only known fields with the right types - stale keys are dropped
+  normalizeGameState(state) {
+    if (!state || typeof state !== "object") {
+      throw new Error("game state is not an object");
+    }
+
+    const defaults = this.getDefaultGameState();
+    const normalized = {};
+
+    Object.entries(defaults).forEach(([key, defaultValue]) => {
+      if (["settings", "bestScores", "achievements"].includes(key)) return;
+
+      const value = state[key];
+      normalized[key] =
+        typeof value === typeof defaultValue ? value : defaultValue;
+    });
+
+    normalized.achievements = Array.isArray(state.achievements)
+      ? state.achievements
+      : [];
+
+    normalized.bestScores = {};
+    Object.entries(defaults.bestScores).forEach(([key, defaultValue]) => {
+      const value = state.bestScores?.[key];
+      normalized.bestScores[key] =
+        Number.isFinite(value) && value >= 0 ? value : defaultValue;
+    });
+
+    normalized.settings = {};
+    Object.entries(defaults.settings).forEach(([key, defaultValue]) => {
+      const value = state.settings?.[key];
+      normalized.settings[key] =
+        typeof value === typeof defaultValue ? value : defaultValue;
+    });
+
+    return normalized;
+  }
+
   // Load game state from localStorage
   loadGameState() {
+    let saved = null;
     try {
-      const saved = localStorage.getItem("mechaXMonsterGameState");
-      if (saved) {
-        const parsedState = JSON.parse(saved);
-        this.gameState = { ...this.gameState, ...parsedState };
-        console.log("💾 Game state loaded from localStorage");
-      }
+      saved = localStorage.getItem(this.saveKey);
     } catch (error) {
-      console.warn("⚠️ Failed to load game state:", error);
+      console.warn("⚠️ Failed to read game state:", error);
+      return;
+    }
+
+    const result = this.saveEnvelope.unwrap(saved);
+    if (result.ok) {
+      this.gameState = result.data;
+      GameRandom.getShared().loadState(this.gameState.random);
+      console.log("💾 Game state loaded from localStorage");
+      return;
+    }
+
+    if (result.reason !== "missing") {
+      this.saveError = result;
+      this.saveBlocked = true;
+      console.error("❌ Saved game could not be loaded:", result.message);
     }
   }
 
+  // Mute the music or sfx bus per the saved settings
+  applyAudioSettings() {
+    const engine = AudioEngine.getShared(GAME_CONFIG.audio);
+    const { volume } = GAME_CONFIG.audio;
+    const { soundEnabled, musicEnabled } = this.gameState.settings;
+
+    engine.setVolume("sfx", soundEnabled ? volume.sfx : 0);
+    engine.setVolume("music", musicEnabled ? volume.music : 0);
+  }
+
   // Save game state to localStorage
   saveGameState() {
+    if (this.saveBlocked) {
+      console.warn("⚠️ Not saving - the stored save failed to load");
+      return;
+    }
+
     try {
-      localStorage.setItem(
-        "mechaXMonsterGameState",
-        JSON.stringify(this.gameState)
-      );
+      this.gameState.random = GameRandom.getShared().getState();
+      localStorage.setItem(this.saveKey, this.saveEnvelope.wrap(this.gameState));
       console.log("💾 Game state saved to localStorage");
     } catch (error) {
       console.warn("⚠️ Failed to save game state:", error);
     }
   }
 
+  // Offer to back up an unreadable save and start fresh
+  promptSaveRecovery() {
+    const recover = confirm(
+      `Your saved game could not be loaded:\n${this.saveError.message}\n\n` +
+        "OK - back up the broken save and start fresh.\n" +
+        "Cancel - keep it untouched (progress this session won't be saved)."
+    );
+
+    if (!recover) {
+      console.warn("⚠️ Broken save kept - saving disabled this session");
+      return;
+    }
+
+    try {
+      const backupKey = `${this.saveKey}_backup_${Date.now()}`;
+      localStorage.setItem(backupKey, localStorage.getItem(this.saveKey));
+      console.log(`💾 Broken save backed up to ${backupKey}`);
+    } catch (error) {
+      console.warn("⚠️ Failed to back up broken save:", error);
+      return;
+    }
+
+    this.saveError = null;
+    this.saveBlocked = false;
+    this.resetGameState();
+  }
+
   // Restart the application
   restart() {
     console.log("🔄 Restarting application...");
@@ -414,7 +581,11 @@ class App {
       • Click elements to interact
       
       Slime Defense:
+      • Pick a difficulty, then Start Game (or SPACE)
       • Click slimes to attack them
+      • Spend coins in the shop between waves
+      • Pick a mecha below, then click the field to place a turret
+      • Click a turret to change its target or sell it
       • SPACE - Pause/Resume
       • R - Restart (when game over)
       
@@ -451,19 +622,7 @@ class App {
 
   // Reset game state
   resetGameState() {
-    this.gameState = {
-      playerName: "",
-      totalScore: 0,
-      totalCoins: 0,
-      gamesPlayed: 0,
-      bestScore: 0,
-      achievements: [],
-      settings: {
-        soundEnabled: true,
-        musicEnabled: true,
-        difficulty: "normal",
-      },
-    };
+    this.gameState = this.getDefaultGameState();
     this.saveGameState();
     console.log("🗑️ Game state reset");
   }
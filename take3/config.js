@@ -30,7 +30,9 @@ const GAME_CONFIG = {
     transitionDuration: 1000,
   },
 
-  // Slime configurations for SlimeDefenseScreen
+  // Slime configurations for SlimeDefenseScreen - behaviors maps behavior
+  // scripts (see SlimeBehaviors) to their params; without any a slime just
+  // moves left
   slimes: {
     orange: {
       name: "Orange Slime",
@@ -48,7 +50,10 @@ const GAME_CONFIG = {
       coins: 2,
       speed: 2,
       color: "#008B8B",
-      description: "Fast slime with moderate health",
+      description: "Fast slime that zig-zags",
+      behaviors: {
+        zigzag: { amplitude: 40, period: 1200 }, // px up/down, ms per weave
+      },
     },
     blue: {
       name: "Blue Slime",
@@ -57,7 +62,16 @@ const GAME_CONFIG = {
       coins: 5,
       speed: 1,
       color: "#0000FF",
-      description: "Tough slime with high reward",
+      description: "Tough slime that splits in two when killed",
+      behaviors: {
+        split: {
+          count: 2,
+          scale: 0.6, // Size of each copy
+          hpFactor: 0.5, // Copy HP, x the parent's max HP
+          coinFactor: 0.5,
+          generations: 1, // Copies don't split again
+        },
+      },
     },
     yellow: {
       name: "Yellow Slime",
@@ -66,7 +80,10 @@ const GAME_CONFIG = {
       coins: 8,
       speed: 0.5,
       color: "#FFD700",
-      description: "Heavily armored but slow",
+      description: "Slow, and its shell shrugs off the first hits",
+      behaviors: {
+        armor: { hits: 3 },
+      },
     },
     alien: {
       name: "Alien Slime",
@@ -75,7 +92,164 @@ const GAME_CONFIG = {
       coins: 5,
       speed: 5,
       color: "#00FF00",
-      description: "Fragile but extremely fast and valuable",
+      description: "Fragile but fast, valuable, and teleports forward",
+      behaviors: {
+        teleport: { distance: 150, interval: 2000 }, // px, ms between blinks
+      },
+    },
+  },
+
+  // Wave progression for SlimeDefenseScreen (see SlimeWaves) - the authored
+  // waves play in order, then the endless generator takes over. composition
+  // weights split a wave's count between slime types
+  waves: {
+    breakDuration: 5000, // ms between waves
+    clearBonus: { coins: 3, coinsPerWave: 2, score: 50 },
+    patterns: {
+      steady: {}, // One slime every interval
+      burst: { size: 3, gap: 250 }, // Groups of size, gap ms apart
+      ramp: { endFactor: 0.4 }, // Interval shrinks to endFactor by the end
+    },
+    authored: [
+      {
+        count: 6,
+        composition: { orange: 1 },
+        pattern: "steady",
+        interval: 2000,
+      },
+      {
+        count: 8,
+        composition: { orange: 3, teal: 1 },
+        pattern: "steady",
+        interval: 1800,
+      },
+      {
+        count: 9,
+        composition: { orange: 2, blue: 1 },
+        pattern: "burst",
+        interval: 2400,
+      },
+      {
+        count: 10,
+        composition: { teal: 3, alien: 1 },
+        pattern: "ramp",
+        interval: 1600,
+      },
+      {
+        count: 12,
+        composition: { orange: 2, blue: 2, yellow: 1 },
+        pattern: "burst",
+        interval: 2200,
+      },
+      {
+        count: 14,
+        composition: { teal: 2, yellow: 1, alien: 1 },
+        pattern: "ramp",
+        interval: 1500,
+        breakDuration: 8000, // A longer breather before endless mode
+      },
+    ],
+    endless: {
+      count: 14, // Slimes in the first endless wave
+      countPerWave: 2,
+      composition: { orange: 2, teal: 2, blue: 2, yellow: 1, alien: 1 },
+      patterns: ["steady", "burst", "ramp"], // Cycled wave by wave
+      interval: 1400,
+      minInterval: 600,
+      intervalPerWave: 50, // ms shaved off the interval each endless wave
+      hpPerWave: 0.2, // Extra slime HP each endless wave (x base)
+      speedPerWave: 0.05, // Extra slime speed each endless wave (x base)
+      maxSpeedMultiplier: 2,
+    },
+  },
+
+  // Between-wave upgrade shop for SlimeDefenseScreen (see SlimeShop) -
+  // upgrades last one run. An upgrade's nth level costs
+  // cost * costGrowth^(n - 1), less the meta tier's discount
+  shop: {
+    upgrades: {
+      clickDamage: {
+        label: "Click Damage",
+        description: "+1 damage per click",
+        cost: 10,
+        costGrowth: 1.6,
+        maxLevel: 5,
+        perLevel: 1,
+      },
+      splash: {
+        label: "Splash",
+        description: "Clicks also hit slimes nearby",
+        cost: 15,
+        costGrowth: 1.5,
+        maxLevel: 4,
+        perLevel: 40, // px of splash radius
+        damage: 1,
+      },
+      drone: {
+        label: "Turret Drone",
+        description: "Shoots the slime closest to escaping",
+        cost: 25,
+        costGrowth: 1.8,
+        maxLevel: 3,
+        fireInterval: 1500, // ms between one drone's shots
+        damage: 1,
+      },
+      repair: {
+        label: "Repair",
+        description: "Restore HP to max",
+        cost: 8,
+        costGrowth: 1.3,
+        maxLevel: null, // Buy as often as needed
+      },
+      slowField: {
+        label: "Slow Field",
+        description: "Slimes crawl near your base",
+        cost: 12,
+        costGrowth: 1.5,
+        maxLevel: 3,
+        perLevel: 0.15, // Speed taken off inside the field
+        width: 0.3, // Share of the field, from the left edge
+      },
+    },
+
+    // Meta progression - reaching a wave in any run earns a tier for good,
+    // kept in the app's saved state. Each tier starts runs with coins and
+    // takes a share off shop prices
+    tiers: [
+      { label: "Recruit", wave: 0, startCoins: 0, discount: 0 },
+      { label: "Defender", wave: 4, startCoins: 5, discount: 0.05 },
+      { label: "Veteran", wave: 7, startCoins: 10, discount: 0.1 },
+      { label: "Elite", wave: 10, startCoins: 20, discount: 0.15 },
+      { label: "Legend", wave: 15, startCoins: 30, discount: 0.2 },
+    ],
+  },
+
+  // Mecha turrets placed on the slime defense field (see MechaTurret) - a
+  // mecha's type picks its behavior, its baseStats.health is how much a
+  // blocking turret can soak up. cooldown is ms between shots
+  turrets: {
+    maxTurrets: 4,
+    sellBack: 0.5, // Share of the price paid back on selling
+    priorities: ["first", "last", "strongest", "weakest"], // Cycle order
+    behaviors: {
+      balanced: { cost: 20, range: 160, cooldown: 1000, damage: 1 },
+      tank: {
+        cost: 25,
+        range: 80,
+        cooldown: 1200,
+        damage: 1,
+        blocks: true, // Slimes in range stop moving while it stands
+        contactDamage: 10, // Health lost per second per slime held
+      },
+      damage: { cost: 35, range: 180, cooldown: 1800, damage: 4 },
+      speed: { cost: 30, range: 140, cooldown: 350, damage: 1 },
+      special: {
+        cost: 40,
+        range: 180,
+        cooldown: 2000,
+        damage: 2,
+        areaRadius: 70, // Everything this close to the target is hit too
+      },
     },
   },
 
@@ -87,6 +261,8 @@ const GAME_CONFIG = {
       music: 0.5,
       sfx: 0.8,
     },
+    maxVoices: 16, // Sounds playing at once - the oldest one-shot is cut
+    music: ["background-music"], // Played on the music bus, everything else is sfx
     sounds: {
       "button-click": "audio/button-click.mp3",
       "logo-intro": "audio/logo-intro.mp3",
@@ -136,17 +312,11 @@ const GAME_CONFIG = {
     },
   },
 
-  // Game difficulty settings
+  // Game difficulty settings - picked before each slime defense run, listed
+  // in this order. slimeSpawnRate is relative to normal's (ms between spawns)
   difficulty: {
-    normal: {
-      slimeSpawnRate: 2000,
-      slimeSpeedMultiplier: 1.0,
-      slimeHPMultiplier: 1.0,
-      playerHPMultiplier: 1.0,
-      coinMultiplier: 1.0,
-    },
-
     easy: {
+      label: "Easy",
       slimeSpawnRate: 3000,
       slimeSpeedMultiplier: 0.8,
       slimeHPMultiplier: 0.8,
@@ -154,7 +324,17 @@ const GAME_CONFIG = {
       coinMultiplier: 1.2,
     },
 
+    normal: {
+      label: "Normal",
+      slimeSpawnRate: 2000,
+      slimeSpeedMultiplier: 1.0,
+      slimeHPMultiplier: 1.0,
+      playerHPMultiplier: 1.0,
+      coinMultiplier: 1.0,
+    },
+
     hard: {
+      label: "Hard",
       slimeSpawnRate: 1500,
       slimeSpeedMultiplier: 1.3,
       slimeHPMultiplier: 1.2,
@@ -211,11 +391,12 @@ const GAME_CONFIG = {
     },
   },
 
-  // Mecha configurations (for future screens)
+  // Mecha configurations - also the slime defense turrets (see turrets)
   mechas: {
     green: {
       name: "Forest Guardian",
       type: "balanced",
+      image: "images/mecha-green.png",
       baseStats: {
         health: 100,
         attack: 25,
@@ -229,6 +410,7 @@ const GAME_CONFIG = {
     blue: {
       name: "Frost Titan",
       type: "tank",
+      image: "images/mecha-blue.png",
       baseStats: {
         health: 150,
         attack: 20,
@@ -242,6 +424,7 @@ const GAME_CONFIG = {
     red: {
       name: "Flame Striker",
       type: "damage",
+      image: "images/mecha-red.png",
       baseStats: {
         health: 80,
         attack: 40,
@@ -255,6 +438,7 @@ const GAME_CONFIG = {
     yellow: {
       name: "Lightning Ranger",
       type: "speed",
+      image: "images/mecha-yellow.png",
       baseStats: {
         health: 70,
         attack: 30,
@@ -275,6 +459,7 @@ const GAME_CONFIG = {
     purple: {
       name: "Void Phantom",
       type: "special",
+      image: "images/mecha-pink.png",
       baseStats: {
         health: 120,
         attack: 35,
@@ -0,0 +1,126 @@
+// MechaTurret - A mecha placed on the slime defense field, with no DOM
+// Its mecha's type picks the behavior in GAME_CONFIG.turrets: balanced
+// shoots, tank holds slimes back, damage hits hard, speed fires fast and
+// special hits an area. The screen ticks update() and applies the hits
+class MechaTurret {
+  constructor(mechaKey, x, y, config = GAME_CONFIG.turrets) {
+    this.mechaKey = mechaKey;
+    this.mecha = GAME_CONFIG.mechas[mechaKey];
+
+    // Validate the mecha exists
+    if (!this.mecha) {
+      throw new Error(`Mecha not found: ${mechaKey}`);
+    }
+
+    this.config = config;
+    this.behavior = config.behaviors[this.mecha.type];
+    this.x = x; // Center of the turret on the field
+    this.y = y;
+    this.cooldown = 0; // ms until it can fire again
+    this.priority = config.priorities[0];
+    this.maxHealth = this.mecha.baseStats.health;
+    this.health = this.maxHealth;
+
+    // DOM references, set by the screen
+    this.element = null;
+    this.healthBarElement = null;
+  }
+
+  // Price to place a mecha
+  static getCost(mechaKey, config = GAME_CONFIG.turrets) {
+    return config.behaviors[GAME_CONFIG.mechas[mechaKey].type].cost;
+  }
+
+  // Coins paid back for selling it
+  getSellValue() {
+    return Math.floor(this.behavior.cost * this.config.sellBack);
+  }
+
+  // Switch to the next targeting priority - returns it
+  cyclePriority() {
+    const { priorities } = this.config;
+    const index = priorities.indexOf(this.priority);
+    this.priority = priorities[(index + 1) % priorities.length];
+    return this.priority;
+  }
+
+  // Check if a slime's center is within a distance of a point
+  static isNear(slime, x, y, distance) {
+    const dx = slime.x + slime.width / 2 - x;
+    const dy = slime.y + slime.height / 2 - y;
+    return Math.hypot(dx, dy) <= distance;
+  }
+
+  // Check if a slime is in range
+  isInRange(slime) {
+    return MechaTurret.isNear(slime, this.x, this.y, this.behavior.range);
+  }
+
+  // The slime in range to shoot, by priority - first is the one closest to
+  // escaping, last the one furthest from it
+  pickTarget(slimes) {
+    const inRange = slimes.filter(
+      (slime) => slime.hp > 0 && this.isInRange(slime)
+    );
+    const score = {
+      first: (slime) => -slime.x,
+      last: (slime) => slime.x,
+      strongest: (slime) => slime.hp,
+      weakest: (slime) => -slime.hp,
+    }[this.priority];
+
+    return inRange.reduce(
+      (best, slime) => (!best || score(slime) > score(best) ? slime : best),
+      null
+    );
+  }
+
+  // Tick the cooldown - returns the hits of a shot ({ slime, damage }), or
+  // an empty list if it didn't fire
+  update(deltaTime, slimes) {
+    this.cooldown -= deltaTime;
+    if (this.cooldown > 0) return [];
+
+    const target = this.pickTarget(slimes);
+    if (!target) {
+      this.cooldown = 0; // Fire as soon as a slime comes in range
+      return [];
+    }
+    this.cooldown += this.behavior.cooldown;
+
+    const { damage, areaRadius } = this.behavior;
+    if (!areaRadius) return [{ slime: target, damage }];
+
+    const x = target.x + target.width / 2;
+    const y = target.y + target.height / 2;
+    return slimes
+      .filter(
+        (slime) =>
+          slime.hp > 0 && MechaTurret.isNear(slime, x, y, areaRadius)
+      )
+      .map((slime) => ({ slime, damage }));
+  }
+
+  // Check if it's holding a slime back
+  isBlocking(slime) {
+    return (
+      Boolean(this.behavior.blocks) && this.health > 0 && this.isInRange(slime)
+    );
+  }
+
+  // Take contact damage from the slimes it holds - returns true once it
+  // breaks
+  absorb(deltaTime, held) {
+    const { contactDamage } = this.behavior;
+    this.health = Math.max(
+      0,
+      this.health - (contactDamage * held * deltaTime) / 1000
+    );
+    return this.health <= 0;
+  }
+}
+
+// Make available globally
+window.MechaTurret = MechaTurret;
+
+console.log("🤖 MechaTurret class loaded!");
@@ -174,52 +174,46 @@ class Screen {
   }
 
   // Generic audio management
+  // Per-screen audio front end over the shared AudioEngine
+  // Screens list their sounds in audioManager.sounds so enable() can preload them
   initializeAudio() {
+    const engine = AudioEngine.getShared(GAME_CONFIG.audio);
+    const screenName = this.screenName;
+
     this.audioManager = {
-      enabled: false,
+      engine,
+      enabled: engine.isUnlocked(),
       sounds: {},
+      voices: new Set(), // Voices started by this screen
 
       enable() {
-        this.enabled = true;
-        console.log(`🔊 ${this.screenName} Screen audio enabled`);
+        this.enabled = engine.unlock();
+        if (!this.enabled) return;
+
+        engine.preload(Object.keys(this.sounds));
+        console.log(`🔊 ${screenName} Screen audio enabled`);
       },
 
       playSound(soundName, loop = false, volume = 1.0) {
         if (!this.enabled) return;
 
-        console.log(
-          `🎵 Playing sound: ${soundName}${
-            loop ? " (looped)" : ""
-          } at volume ${volume}`
-        );
-
-        // In real implementation, would play actual audio files
-        /*
-        if (!this.sounds[soundName]) {
-          this.sounds[soundName] = new Audio(`audio/${soundName}.mp3`);
-          this.sounds[soundName].volume = 0.7 * volume;
+        const voice = engine.play(soundName, { loop, volume });
+        if (voice) {
+          this.voices.add(voice);
+          voice.onEnded = () => this.voices.delete(voice);
         }
-        
-        const audio = this.sounds[soundName];
-        audio.loop = loop;
-        audio.volume = 0.7 * volume;
-        audio.currentTime = 0;
-        audio.play().catch(e => console.warn('Audio failed:', e));
-        */
       },
 
       stopSound(soundName) {
-        if (!this.enabled || !this.sounds[soundName]) return;
-
-        console.log(`🔇 Stopped sound: ${soundName}`);
-        // this.sounds[soundName].pause();
-        // this.sounds[soundName].currentTime = 0;
+        const name = AudioEngine.normalizeName(soundName);
+        this.voices.forEach((voice) => {
+          if (voice.name === name) engine.stopVoice(voice);
+        });
       },
 
       stopAllSounds() {
-        Object.keys(this.sounds).forEach((soundName) => {
-          this.stopSound(soundName);
-        });
+        this.voices.forEach((voice) => engine.stopVoice(voice));
+        this.voices.clear();
       },
     };
   }
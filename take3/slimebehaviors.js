@@ -0,0 +1,136 @@
+// SlimeBehaviors - Behavior scripts slimes can have on top of moving left
+// A slime config names the ones it uses in GAME_CONFIG.slimes[type].behaviors
+// with their params. A behavior is a set of optional hooks the screen calls,
+// each given { slime, params, state, screen } - state is the behavior's own
+// per-slime scratch space:
+//   spawn  - once the slime is on the field
+//   update - every frame it moves, with deltaTime
+//   damage - before a hit lands, with amount; returns the damage to take
+//   death  - when it's killed (not when it escapes)
+// Add a behavior with SlimeBehaviors.register(name, hooks)
+const SlimeBehaviors = {
+  registry: {},
+
+  // Add (or replace) a behavior
+  register(name, hooks) {
+    this.registry[name] = hooks;
+  },
+
+  // A behavior's hooks
+  get(name) {
+    const behavior = this.registry[name];
+    if (!behavior) {
+      throw new Error(`Slime behavior not found: ${name}`);
+    }
+    return behavior;
+  },
+
+  // Per-slime behavior list for a config's { name: params } map
+  create(behaviors = {}) {
+    return Object.entries(behaviors).map(([name, params]) => {
+      this.get(name); // Fail at spawn, not mid-game, on a typo
+      return { name, params, state: {} };
+    });
+  },
+
+  // Run a hook on each of a slime's behaviors
+  run(hook, slime, context = {}) {
+    slime.behaviors.forEach(({ name, params, state }) => {
+      const handler = this.get(name)[hook];
+      if (handler) {
+        handler({ slime, params, state, ...context });
+      }
+    });
+  },
+
+  // Damage left after each behavior's damage hook has had its say
+  filterDamage(slime, amount, context = {}) {
+    return slime.behaviors.reduce((left, { name, params, state }) => {
+      const handler = this.get(name).damage;
+      return handler
+        ? handler({ slime, params, state, amount: left, ...context })
+        : left;
+    }, amount);
+  },
+};
+
+// Weave up and down while moving
+SlimeBehaviors.register("zigzag", {
+  spawn({ slime, state }) {
+    state.baseY = slime.y;
+    state.time = 0;
+  },
+
+  update({ slime, params, state, deltaTime }) {
+    state.time += deltaTime;
+    const swing = (state.time / params.period) * 2 * Math.PI;
+    slime.y = state.baseY + params.amplitude * Math.sin(swing);
+  },
+});
+
+// Burst into smaller copies on death - the copies don't split again past
+// params.generations
+SlimeBehaviors.register("split", {
+  death({ slime, params, screen }) {
+    if ((slime.generation || 0) >= params.generations) return;
+
+    const width = slime.width * params.scale;
+    const height = slime.height * params.scale;
+    for (let i = 0; i < params.count; i++) {
+      const offset = i - (params.count - 1) / 2; // Spread around the parent
+      screen.spawnSlime(slime.type, {
+        x: slime.x + (slime.width - width) / 2,
+        y: slime.y + (slime.height - height) / 2 + offset * height,
+        width,
+        height,
+        hp: Math.max(1, Math.round(slime.maxHP * params.hpFactor)),
+        coins: Math.max(1, Math.floor(slime.coins * params.coinFactor)),
+        generation: (slime.generation || 0) + 1,
+      });
+    }
+  },
+});
+
+// A shell that shrugs off the first params.hits hits
+SlimeBehaviors.register("armor", {
+  spawn({ slime, params, state }) {
+    state.shell = params.hits;
+    slime.element?.classList.add("armored");
+  },
+
+  damage({ slime, state, amount }) {
+    if (state.shell <= 0) return amount;
+
+    state.shell--;
+    if (state.shell === 0) {
+      slime.element?.classList.remove("armored");
+    }
+    return 0;
+  },
+});
+
+// Blink params.distance px forward every params.interval ms once on screen
+SlimeBehaviors.register("teleport", {
+  spawn({ params, state }) {
+    state.timer = params.interval;
+  },
+
+  update({ slime, params, state, deltaTime, screen }) {
+    if (slime.x > screen.gameWidth - slime.width) return;
+
+    state.timer -= deltaTime;
+    if (state.timer > 0) return;
+    state.timer += params.interval;
+
+    screen.createClickEffect(
+      slime.x + slime.width / 2,
+      slime.y + slime.height / 2
+    );
+    slime.x -= params.distance;
+  },
+});
+
+// Make available globally
+window.SlimeBehaviors = SlimeBehaviors;
+
+console.log("🧬 SlimeBehaviors loaded!");
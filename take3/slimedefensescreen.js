@@ -1,71 +1,62 @@
 // SlimeDefenseScreen - Tower Defense style game with slimes
 class SlimeDefenseScreen extends Screen {
-  constructor(container) {
+  constructor(container, options = {}) {
     super(container, "slime-defense");
 
     // Game state
     this.playerHP = 10;
     this.playerMaxHP = 10;
     this.coins = 0;
+    this.coinsEarned = 0; // Coins won this run, spent or not
     this.score = 0;
     this.gameOver = false;
     this.gameStarted = false;
     this.wave = 1;
     this.slimesKilled = 0;
 
+    // Seeded randomness for spawns (see js/gamerandom.js)
+    this.random = GameRandom.getShared();
+
     // Slime management
     this.slimes = [];
     this.slimeId = 0;
-    this.spawnTimer = 0;
-    this.spawnInterval = 2000; // 2 seconds between spawns
     this.gameLoop = null;
 
+    // Wave progression (see SlimeWaves)
+    this.waves = new SlimeWaves(GAME_CONFIG.waves, this.random);
+    this.waveBreak = 0; // ms left before the next wave
+    this.waveBannerTimer = null;
+
+    // Between-wave upgrade shop (see SlimeShop) - the meta tier comes from
+    // the app's save and starts each run with a few coins
+    this.shop = new SlimeShop(GAME_CONFIG.shop, options.metaTier);
+    this.shopOpen = false; // Holds the break countdown while open
+    this.droneCooldown = 0; // ms until the next drone shot
+    this.promoted = false; // Earned a new meta tier this run
+    this.coins = this.shop.getTier().startCoins;
+
+    // Mecha turrets on the field (see MechaTurret)
+    this.turrets = [];
+    this.placingMecha = null; // Mecha picked in the turret bar, placed next
+    this.selectedTurret = null; // Turret whose menu is open
+
     // Game area dimensions
     this.gameWidth = window.innerWidth;
     this.gameHeight = window.innerHeight;
 
-    // Slime configurations
-    this.slimeTypes = {
-      orange: {
-        image: "images/slime-orange-1.png",
-        hp: 2,
-        coins: 1,
-        speed: 1,
-        color: "#FF8C00",
-      },
-      teal: {
-        image: "images/slime-teal-1.png",
-        hp: 3,
-        coins: 2,
-        speed: 2,
-        color: "#008B8B",
-      },
-      blue: {
-        image: "images/slime-blue-1.png",
-        hp: 5,
-        coins: 5,
-        speed: 1,
-        color: "#0000FF",
-      },
-      yellow: {
-        image: "images/slime-yellow-1.png",
-        hp: 10,
-        coins: 8,
-        speed: 0.5,
-        color: "#FFD700",
-      },
-      alien: {
-        image: "images/slime-alien-1.png",
-        hp: 1,
-        coins: 5,
-        speed: 5,
-        color: "#00FF00",
-      },
-    };
+    // Slime configurations (stats and behaviors)
+    this.slimeTypes = GAME_CONFIG.slimes;
 
     // DOM element cache
     this.elements = {};
 
+    // Difficulty preset (GAME_CONFIG.difficulty) and the best score on each,
+    // kept up to date by the app
+    this.bestScores = options.bestScores || {};
+    this.setDifficulty(
+      GAME_CONFIG.difficulty[options.difficulty] ? options.difficulty : "normal"
+    );
+
     console.log("🎮 SlimeDefenseScreen created");
   }
 
@@ -78,7 +69,9 @@ class SlimeDefenseScreen extends Screen {
     this.initializeAudio();
     this.startParticleSystem();
     this.isActive = true;
-    this.startGame();
+
+    // Wait on the difficulty picker - Start Game (or Space) begins the run
+    this.showDifficultyPicker(true);
 
     console.log("✅ SlimeDefenseScreen initialized");
   }
@@ -92,12 +85,29 @@ class SlimeDefenseScreen extends Screen {
       coins: this.container.querySelector(".coins-value"),
       score: this.container.querySelector(".score-value"),
       wave: this.container.querySelector(".wave-value"),
+      waveStatus: this.container.querySelector(".wave-status"),
+      waveBanner: this.container.querySelector(".wave-banner"),
       startButton: this.container.querySelector(".start-button"),
       gameOverScreen: this.container.querySelector(".game-over-screen"),
       finalScore: this.container.querySelector(".final-score"),
       finalCoins: this.container.querySelector(".final-coins"),
+      slimesKilled: this.container.querySelector(".slimes-killed"),
+      waveReached: this.container.querySelector(".wave-reached"),
       restartButton: this.container.querySelector(".restart-button"),
       pauseButton: this.container.querySelector(".pause-button"),
+      difficultyPicker: this.container.querySelector(".difficulty-picker"),
+      difficultyLabel: this.container.querySelector(".difficulty-label"),
+      bestScore: this.container.querySelector(".best-score"),
+      shopPanel: this.container.querySelector(".shop-panel"),
+      shopContinue: this.container.querySelector(".shop-continue"),
+      slowField: this.container.querySelector(".slow-field"),
+      droneBay: this.container.querySelector(".drone-bay"),
+      rank: this.container.querySelector(".final-rank"),
+      turretBar: this.container.querySelector(".turret-bar"),
+      turretMenu: this.container.querySelector(".turret-menu"),
+      turretMenuName: this.container.querySelector(".turret-menu-name"),
+      turretPriority: this.container.querySelector(".turret-priority"),
+      turretSell: this.container.querySelector(".turret-sell"),
       gameUI: this.container.querySelector(".game-ui"),
     };
   }
@@ -113,7 +123,10 @@ class SlimeDefenseScreen extends Screen {
         <div class="particles-layer"></div>
         
         <!-- Game Area -->
-        <div class="game-area"></div>
+        <div class="game-area">
+          <div class="slow-field hidden"></div>
+          <div class="drone-bay"></div>
+        </div>
         
         <!-- Game UI -->
         <div class="game-ui">
@@ -140,10 +153,38 @@ class SlimeDefenseScreen extends Screen {
               <div class="stat-label">Wave</div>
               <div class="wave-value">${this.wave}</div>
             </div>
+            <div class="wave-status"></div>
+          </div>
+
+          <!-- Wave start / clear announcements -->
+          <div class="wave-banner hidden"></div>
+
+          <!-- Upgrade Shop (between waves) -->
+          <div class="shop-panel hidden">
+            <h3>Upgrade Shop</h3>
+            <div class="shop-items">
+              ${this.renderShopItems()}
+            </div>
+            <button class="shop-continue btn btn-primary">Next Wave</button>
+          </div>
+
+          <!-- Mecha Turrets - pick one, then click the field to place it -->
+          <div class="turret-bar">
+            ${this.renderTurretOptions()}
+          </div>
+
+          <!-- Selected turret -->
+          <div class="turret-menu hidden">
+            <div class="turret-menu-name"></div>
+            <button class="turret-priority btn"></button>
+            <button class="turret-sell btn"></button>
           </div>
           
           <!-- Game Controls -->
           <div class="game-controls">
+            <div class="difficulty-picker hidden">
+              ${this.renderDifficultyOptions()}
+            </div>
             <button class="start-button btn btn-primary">Start Game</button>
             <button class="pause-button btn btn-secondary hidden">Pause</button>
           </div>
@@ -170,6 +211,16 @@ class SlimeDefenseScreen extends Screen {
                 <span>Wave Reached:</span>
                 <span class="wave-reached">${this.wave}</span>
               </div>
+              <div class="stat-row">
+                <span>Best (<span class="difficulty-label">${
+                  this.difficulty.label
+                }</span>):</span>
+                <span class="best-score">${this.getBestScore()}</span>
+              </div>
+              <div class="stat-row">
+                <span>Rank:</span>
+                <span class="final-rank">${this.shop.getTier().label}</span>
+              </div>
             </div>
             <div class="game-over-buttons">
               <button class="restart-button btn btn-primary">Play Again</button>
@@ -206,6 +257,60 @@ class SlimeDefenseScreen extends Screen {
       });
     }
 
+    // Difficulty options
+    if (this.elements.difficultyPicker) {
+      this.elements.difficultyPicker
+        .querySelectorAll(".difficulty-option")
+        .forEach((button) => {
+          button.addEventListener("click", (e) => {
+            this.setDifficulty(e.currentTarget.dataset.difficulty);
+          });
+        });
+    }
+
+    // Upgrade shop
+    if (this.elements.shopPanel) {
+      this.elements.shopPanel
+        .querySelectorAll(".shop-item")
+        .forEach((button) => {
+          button.addEventListener("click", (e) => {
+            this.buyUpgrade(e.currentTarget.dataset.upgrade);
+          });
+        });
+    }
+
+    if (this.elements.shopContinue) {
+      this.elements.shopContinue.addEventListener("click", () => {
+        this.closeShop();
+      });
+    }
+
+    // Mecha turrets
+    if (this.elements.turretBar) {
+      this.elements.turretBar
+        .querySelectorAll(".turret-option")
+        .forEach((button) => {
+          button.addEventListener("click", (e) => {
+            this.selectMechaToPlace(e.currentTarget.dataset.mecha);
+          });
+        });
+    }
+
+    if (this.elements.turretPriority) {
+      this.elements.turretPriority.addEventListener("click", () => {
+        if (this.selectedTurret) {
+          this.selectedTurret.cyclePriority();
+          this.updateTurretMenu();
+        }
+      });
+    }
+
+    if (this.elements.turretSell) {
+      this.elements.turretSell.addEventListener("click", () => {
+        this.sellTurret(this.selectedTurret);
+      });
+    }
+
     // Click detection for slimes
     if (this.elements.gameArea) {
       this.elements.gameArea.addEventListener("click", (e) => {
@@ -246,7 +351,8 @@ class SlimeDefenseScreen extends Screen {
     this.gameStarted = true;
     this.gameOver = false;
 
-    // Hide start button, show pause button
+    // Hide start button and difficulty picker, show pause button
+    this.showDifficultyPicker(false);
     if (this.elements.startButton) {
       this.elements.startButton.classList.add("hidden");
     }
@@ -259,6 +365,11 @@ class SlimeDefenseScreen extends Screen {
       this.elements.gameOverScreen.classList.add("hidden");
     }
 
+    // A fresh game starts on the first wave
+    if (!this.waves.wave) {
+      this.startWave(1);
+    }
+
     // Start game loop
     this.startGameLoop();
 
@@ -270,17 +381,25 @@ class SlimeDefenseScreen extends Screen {
 
   // Game loop
   startGameLoop() {
-    let lastTime = 0;
+    let lastTime = null;
 
     const gameLoop = (currentTime) => {
       if (!this.gameStarted || this.gameOver) return;
 
-      const deltaTime = currentTime - lastTime;
+      // The first frame only sets the clock, so time spent paused (or before
+      // the game started) doesn't arrive as one huge step
+      const deltaTime = lastTime === null ? 0 : currentTime - lastTime;
       lastTime = currentTime;
 
       // Update game logic
       this.updateSlimes(deltaTime);
-      this.updateSpawning(deltaTime);
+
+      // An escape can end the game - nothing else runs after game over
+      if (this.gameOver) return;
+
+      this.updateDrones(deltaTime);
+      this.updateTurrets(deltaTime);
+      this.updateWaves(deltaTime);
       this.updateUI();
 
       // Continue loop
@@ -290,42 +409,540 @@ class SlimeDefenseScreen extends Screen {
     this.gameLoop = requestAnimationFrame(gameLoop);
   }
 
-  // Slime spawning logic
-  updateSpawning(deltaTime) {
-    this.spawnTimer += deltaTime;
+  // Wave logic - spawn what the wave has due, clear it once every slime is
+  // gone, and count down the break before the next one (not while the shop
+  // is open)
+  updateWaves(deltaTime) {
+    if (this.gameOver) return;
+
+    if (this.waveBreak > 0) {
+      if (this.shopOpen) return;
+
+      this.waveBreak -= deltaTime;
+      if (this.waveBreak <= 0) {
+        this.startWave(this.wave + 1);
+      }
+      return;
+    }
+
+    this.waves.update(deltaTime).forEach((type) => this.spawnSlime(type));
+
+    if (this.waves.isSpawningDone() && this.slimes.length === 0) {
+      this.clearWave();
+    }
+  }
+
+  // Start a wave
+  startWave(number) {
+    const wave = this.waves.start(number);
+    this.wave = number;
+    this.waveBreak = 0;
+    this.closeShop();
+
+    this.showWaveBanner(
+      wave.endless ? `Wave ${number} - Endless!` : `Wave ${number}`
+    );
+    this.updateUI();
+
+    console.log(
+      `🌊 Wave ${number}: ${wave.count} slimes, ${wave.pattern} (HP x${wave.hpMultiplier.toFixed(2)}, speed x${wave.speedMultiplier.toFixed(2)})`
+    );
+  }
+
+  // Every slime in the wave died or escaped - pay the bonus, take a break
+  clearWave() {
+    if (this.gameOver) return;
+
+    const bonus = this.waves.getClearBonus();
+    bonus.coins = this.getCoinReward(bonus.coins);
+    this.earnCoins(bonus.coins);
+    this.score += bonus.score;
+    this.waveBreak = this.waves.wave.breakDuration;
+
+    this.showWaveBanner(`Wave ${this.wave} cleared! +${bonus.coins} coins`);
+    this.openShop();
+
+    if (this.audioManager) {
+      this.audioManager.playSound("success");
+    }
+
+    console.log(`🏁 Wave ${this.wave} cleared! Bonus: ${bonus.coins} coins`);
+  }
+
+  // Flash a wave announcement across the screen
+  showWaveBanner(text) {
+    const banner = this.elements.waveBanner;
+    if (!banner) return;
+
+    banner.textContent = text;
+    banner.classList.remove("hidden");
+
+    clearTimeout(this.waveBannerTimer);
+    this.waveBannerTimer = setTimeout(() => {
+      banner.classList.add("hidden");
+    }, 2000);
+  }
+
+  // Shop buttons, one per upgrade - levels and prices are filled in by
+  // updateShop()
+  renderShopItems() {
+    return Object.entries(GAME_CONFIG.shop.upgrades)
+      .map(
+        ([key, upgrade]) => `
+          <button class="shop-item btn" data-upgrade="${key}">
+            <span class="shop-item-name">${upgrade.label}</span>
+            <span class="shop-item-description">${upgrade.description}</span>
+            <span class="shop-item-level"></span>
+            <span class="shop-item-cost"></span>
+          </button>`
+      )
+      .join("");
+  }
+
+  // Open the shop for the break between waves
+  openShop() {
+    this.shopOpen = true;
+    if (this.elements.shopPanel) {
+      this.elements.shopPanel.classList.remove("hidden");
+    }
+    this.updateShop();
+    this.updateUI();
+  }
+
+  // Close the shop - the break countdown runs on
+  closeShop() {
+    this.shopOpen = false;
+    if (this.elements.shopPanel) {
+      this.elements.shopPanel.classList.add("hidden");
+    }
+    this.updateUI();
+  }
+
+  // Buy an upgrade's next level with run coins - returns true if bought
+  buyUpgrade(key) {
+    // A repair only sells when there's HP to restore
+    if (key === "repair" && this.playerHP >= this.playerMaxHP) return false;
+
+    const price = this.shop.buy(key, this.coins);
+    if (price === null) return false;
+
+    this.coins -= price;
+    if (key === "repair") {
+      this.playerHP = this.playerMaxHP;
+    }
+
+    this.updateShopEffects();
+    this.updateShop();
+    this.updateUI();
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    console.log(
+      `🛒 Bought ${GAME_CONFIG.shop.upgrades[key].label} (level ${this.shop.getLevel(key)}) for ${price} coins`
+    );
+    return true;
+  }
+
+  // Refresh each shop button's level, price and whether it can be bought
+  updateShop() {
+    this.elements.shopPanel
+      ?.querySelectorAll(".shop-item")
+      .forEach((button) => {
+        const key = button.dataset.upgrade;
+        const { maxLevel } = GAME_CONFIG.shop.upgrades[key];
+        const maxed = this.shop.isMaxed(key);
+        const repaired = key === "repair" && this.playerHP >= this.playerMaxHP;
+
+        button.querySelector(".shop-item-level").textContent =
+          maxLevel === null ? "" : `Lv ${this.shop.getLevel(key)}/${maxLevel}`;
+        button.querySelector(".shop-item-cost").textContent = maxed
+          ? "MAX"
+          : `${this.shop.getCost(key)} coins`;
+        button.disabled = repaired || !this.shop.canBuy(key, this.coins);
+      });
+  }
+
+  // Show the upgrades that live on the field - the slow field and drones
+  updateShopEffects() {
+    const { slowField, droneBay } = this.elements;
+
+    if (slowField) {
+      const { width } = GAME_CONFIG.shop.upgrades.slowField;
+      slowField.style.width = `${width * 100}%`;
+      slowField.classList.toggle("hidden", this.shop.getSlowFactor() === 1);
+    }
+
+    if (droneBay) {
+      droneBay.innerHTML = '<div class="drone">🛸</div>'.repeat(
+        this.shop.getDroneCount()
+      );
+    }
+  }
+
+  // Turret drones take turns shooting the slime closest to escaping
+  updateDrones(deltaTime) {
+    const drones = this.shop.getDroneCount();
+    if (drones === 0) return;
+
+    this.droneCooldown -= deltaTime;
+    if (this.droneCooldown > 0) return;
+
+    const target = this.slimes
+      .filter((slime) => slime.x < this.gameWidth)
+      .reduce(
+        (closest, slime) => (!closest || slime.x < closest.x ? slime : closest),
+        null
+      );
+    if (!target) {
+      this.droneCooldown = 0; // Fire as soon as a slime shows up
+      return;
+    }
+
+    const { fireInterval, damage } = GAME_CONFIG.shop.upgrades.drone;
+    this.droneCooldown += fireInterval / drones;
+
+    this.createClickEffect(
+      target.x + target.width / 2,
+      target.y + target.height / 2
+    );
+    this.damageSlime(target, damage);
+  }
+
+  // Take on a new meta tier (the app saves it) - perks apply from the next
+  // run
+  setMetaTier(tier) {
+    this.shop.setTier(tier);
+    this.promoted = true;
+  }
+
+  // Add coins won this run
+  earnCoins(amount) {
+    this.coins += amount;
+    this.coinsEarned += amount;
+  }
+
+  // Turret bar buttons, one per mecha
+  renderTurretOptions() {
+    return Object.entries(GAME_CONFIG.mechas)
+      .map(([key, mecha]) => {
+        const cost = MechaTurret.getCost(key);
+        return `
+          <button class="turret-option btn" data-mecha="${key}">
+            <img src="${mecha.image}" alt="${mecha.name}" />
+            <span class="turret-option-name">${mecha.name}</span>
+            <span class="turret-option-type">${mecha.type}</span>
+            <span class="turret-option-cost">${cost} coins</span>
+          </button>`;
+      })
+      .join("");
+  }
+
+  // Pick a mecha to place with the next field click (again to cancel)
+  selectMechaToPlace(key) {
+    this.placingMecha = this.placingMecha === key ? null : key;
+    this.selectTurret(null);
+    this.updateTurretBar();
+  }
+
+  // Mark the mecha being placed and which ones can be afforded
+  updateTurretBar() {
+    const full = this.turrets.length >= GAME_CONFIG.turrets.maxTurrets;
+
+    this.elements.turretBar
+      ?.querySelectorAll(".turret-option")
+      .forEach((button) => {
+        const key = button.dataset.mecha;
+        button.classList.toggle("selected", key === this.placingMecha);
+        button.disabled = full || this.coins < MechaTurret.getCost(key);
+      });
+
+    this.elements.gameArea?.classList.toggle(
+      "placing",
+      this.placingMecha !== null
+    );
+  }
+
+  // Place a mecha turret centered on a field position - returns the turret,
+  // or null if it can't be placed
+  placeTurret(key, x, y) {
+    const cost = MechaTurret.getCost(key);
+    if (
+      this.turrets.length >= GAME_CONFIG.turrets.maxTurrets ||
+      this.coins < cost
+    ) {
+      return null;
+    }
+
+    const turret = new MechaTurret(key, x, y);
+    this.coins -= cost;
+    this.turrets.push(turret);
+    this.createTurretElement(turret);
+
+    this.placingMecha = null;
+    this.updateTurretBar();
+    this.updateUI();
+
+    if (this.audioManager) {
+      this.audioManager.playSound("button-click");
+    }
+
+    console.log(`🤖 Placed ${turret.mecha.name} for ${cost} coins`);
+    return turret;
+  }
+
+  // Create DOM element for a turret
+  createTurretElement(turret) {
+    const { range, blocks } = turret.behavior;
+
+    const turretEl = document.createElement("div");
+    turretEl.className = `turret turret-${turret.mecha.type}`;
+    turretEl.style.left = `${turret.x - 30}px`;
+    turretEl.style.top = `${turret.y - 30}px`;
+    turretEl.style.backgroundImage = `url('${turret.mecha.image}')`;
+
+    // Range ring, shown on hover and while selected
+    const rangeEl = document.createElement("div");
+    rangeEl.className = "turret-range";
+    rangeEl.style.width = `${range * 2}px`;
+    rangeEl.style.height = `${range * 2}px`;
+    turretEl.appendChild(rangeEl);
+
+    // Only blocking turrets take damage, so only they get a health bar
+    if (blocks) {
+      const healthEl = document.createElement("div");
+      healthEl.className = "turret-health";
+      turretEl.appendChild(healthEl);
+      turret.healthBarElement = healthEl;
+    }
+
+    turretEl.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.selectTurret(turret);
+    });
+
+    turret.element = turretEl;
+    this.elements.gameArea.appendChild(turretEl);
+  }
+
+  // Open the menu for a turret (null closes it)
+  selectTurret(turret) {
+    if (this.selectedTurret?.element) {
+      this.selectedTurret.element.classList.remove("selected");
+    }
+
+    this.selectedTurret = turret;
+    if (turret?.element) {
+      turret.element.classList.add("selected");
+    }
+    this.updateTurretMenu();
+  }
+
+  // Show the selected turret's targeting priority and sell-back price
+  updateTurretMenu() {
+    const { turretMenu, turretMenuName, turretPriority, turretSell } =
+      this.elements;
+    if (!turretMenu) return;
+
+    const turret = this.selectedTurret;
+    turretMenu.classList.toggle("hidden", !turret);
+    if (!turret) return;
+
+    turretMenu.style.left = `${turret.x + 40}px`;
+    turretMenu.style.top = `${turret.y - 30}px`;
+    turretMenuName.textContent = turret.mecha.name;
+    turretPriority.textContent = `Target: ${turret.priority}`;
+    turretSell.textContent = `Sell +${turret.getSellValue()}`;
+  }
+
+  // Sell a turret back for part of its price
+  sellTurret(turret) {
+    if (!turret) return;
+
+    const value = turret.getSellValue();
+    this.coins += value;
+    this.removeTurret(turret);
+    this.updateUI();
+
+    console.log(`💰 Sold ${turret.mecha.name} for ${value} coins`);
+  }
+
+  // Remove a turret from the field
+  removeTurret(turret) {
+    if (turret.element && turret.element.parentNode) {
+      turret.element.parentNode.removeChild(turret.element);
+    }
+
+    const index = this.turrets.indexOf(turret);
+    if (index > -1) {
+      this.turrets.splice(index, 1);
+    }
+
+    if (this.selectedTurret === turret) {
+      this.selectTurret(null);
+    }
+    this.updateTurretBar();
+  }
+
+  // Turrets whose cooldown is up fire at their targets
+  updateTurrets(deltaTime) {
+    // Copy first - a turret could be removed mid-update
+    [...this.turrets].forEach((turret) => {
+      const hits = turret.update(deltaTime, this.slimes);
+      if (hits.length === 0) return;
+
+      // Recoil
+      if (turret.element) {
+        turret.element.classList.add("firing");
+        setTimeout(() => {
+          if (turret.element) {
+            turret.element.classList.remove("firing");
+          }
+        }, 150);
+      }
+
+      hits.forEach(({ slime, damage }) => {
+        this.createClickEffect(
+          slime.x + slime.width / 2,
+          slime.y + slime.height / 2
+        );
+        this.damageSlime(slime, damage);
+      });
+    });
+  }
+
+  // A blocking turret takes contact damage from the slimes it holds - it's
+  // lost once its health runs out
+  damageTurret(turret, deltaTime, held) {
+    if (turret.absorb(deltaTime, held)) {
+      this.removeTurret(turret);
+
+      if (this.audioManager) {
+        this.audioManager.playSound("slime-escape");
+      }
+
+      console.log(`💥 ${turret.mecha.name} was overrun!`);
+      return;
+    }
+
+    if (turret.healthBarElement) {
+      const healthPercent = (turret.health / turret.maxHealth) * 100;
+      turret.healthBarElement.style.width = healthPercent + "%";
+    }
+  }
+
+  // Difficulty options for the picker, with the best score on each
+  renderDifficultyOptions() {
+    return Object.entries(GAME_CONFIG.difficulty)
+      .map(
+        ([key, preset]) => `
+          <button class="difficulty-option btn ${
+            key === this.difficultyKey ? "selected" : ""
+          }" data-difficulty="${key}">
+            <span class="difficulty-name">${preset.label}</span>
+            <span class="difficulty-best">Best: ${this.getBestScore(key)}</span>
+          </button>`
+      )
+      .join("");
+  }
+
+  // Pick a difficulty preset - only between runs. Returns true if it changed
+  setDifficulty(key) {
+    if (this.waves.wave || !GAME_CONFIG.difficulty[key]) return false;
+
+    this.difficultyKey = key;
+    this.difficulty = GameConfig.getDifficultyConfig(key);
+
+    // Slower or faster spawns than normal's rate
+    this.waves.setSpawnScale(
+      this.difficulty.slimeSpawnRate /
+        GAME_CONFIG.difficulty.normal.slimeSpawnRate
+    );
+
+    // Player HP scales from the screen's base HP
+    const { maxPlayerHP } = GAME_CONFIG.screens["slime-defense"];
+    this.playerMaxHP = Math.max(
+      1,
+      Math.round(maxPlayerHP * this.difficulty.playerHPMultiplier)
+    );
+    this.playerHP = this.playerMaxHP;
+
+    this.updateDifficultyPicker();
+    this.updateUI();
+
+    console.log(`🎚️ Difficulty set to ${this.difficulty.label}`);
+    return true;
+  }
+
+  // Coins actually paid for a base reward on this difficulty
+  getCoinReward(coins) {
+    return Math.round(coins * this.difficulty.coinMultiplier);
+  }
 
-    if (this.spawnTimer >= this.spawnInterval) {
-      this.spawnSlime();
-      this.spawnTimer = 0;
+  // Best score on a difficulty (the current one by default)
+  getBestScore(key = this.difficultyKey) {
+    return this.bestScores[key] || 0;
+  }
 
-      // Gradually increase spawn rate
-      this.spawnInterval = Math.max(800, this.spawnInterval - 10);
+  // Show or hide the difficulty picker
+  showDifficultyPicker(visible) {
+    if (this.elements.difficultyPicker) {
+      this.elements.difficultyPicker.classList.toggle("hidden", !visible);
     }
+    this.updateDifficultyPicker();
   }
 
-  // Spawn a new slime
-  spawnSlime() {
-    const slimeTypeKeys = Object.keys(this.slimeTypes);
-    const randomType =
-      slimeTypeKeys[Math.floor(Math.random() * slimeTypeKeys.length)];
+  // Mark the chosen difficulty and refresh each one's best score
+  updateDifficultyPicker() {
+    this.elements.difficultyPicker
+      ?.querySelectorAll(".difficulty-option")
+      .forEach((button) => {
+        const key = button.dataset.difficulty;
+        button.classList.toggle("selected", key === this.difficultyKey);
+
+        const best = button.querySelector(".difficulty-best");
+        if (best) {
+          best.textContent = `Best: ${this.getBestScore(key)}`;
+        }
+      });
+  }
 
-    const slimeConfig = this.slimeTypes[randomType];
+  // Spawn a new slime (a random type if none is given), scaled to the wave
+  // and the difficulty. overrides replace its starting fields - the split
+  // behavior spawns its smaller copies this way. Returns the slime
+  spawnSlime(
+    type = this.random.pick("spawn", Object.keys(this.slimeTypes)),
+    overrides = {}
+  ) {
+    const slimeConfig = this.slimeTypes[type];
+    const { hpMultiplier = 1, speedMultiplier = 1 } = this.waves.wave || {};
+    const { slimeHPMultiplier, slimeSpeedMultiplier } = this.difficulty;
+    const hp = Math.max(
+      1,
+      Math.round(slimeConfig.hp * hpMultiplier * slimeHPMultiplier)
+    );
+    const y =
+      overrides.y ?? this.random.next("spawn") * (this.gameHeight - 200) + 100;
 
     const slime = {
       id: this.slimeId++,
-      type: randomType,
-      hp: slimeConfig.hp,
-      maxHP: slimeConfig.hp,
+      type,
+      hp,
       coins: slimeConfig.coins,
-      speed: slimeConfig.speed,
+      speed: slimeConfig.speed * speedMultiplier * slimeSpeedMultiplier,
       x: this.gameWidth + 50, // Start off-screen right
-      y: Math.random() * (this.gameHeight - 200) + 100, // Random Y position
+      y, // Random Y position
       width: 60,
       height: 60,
       element: null,
       hpBarElement: null,
       clicked: false,
+      generation: 0, // How many splits it came out of
+      behaviors: SlimeBehaviors.create(slimeConfig.behaviors),
+      ...overrides,
     };
+    slime.maxHP = slime.hp; // Full HP, overridden or not
 
     // Create slime DOM element
     this.createSlimeElement(slime);
@@ -333,9 +950,12 @@ class SlimeDefenseScreen extends Screen {
     // Add to slimes array
     this.slimes.push(slime);
 
+    SlimeBehaviors.run("spawn", slime, { screen: this });
+
     console.log(
-      `👾 Spawned ${randomType} slime (HP: ${slime.hp}, Coins: ${slime.coins}, Speed: ${slime.speed})`
+      `👾 Spawned ${type} slime (HP: ${slime.hp}, Coins: ${slime.coins}, Speed: ${slime.speed})`
     );
+    return slime;
   }
 
   // Create DOM element for slime
@@ -408,15 +1028,29 @@ class SlimeDefenseScreen extends Screen {
 
   // Update all slimes
   updateSlimes(deltaTime) {
+    const slowEdge = this.gameWidth * GAME_CONFIG.shop.upgrades.slowField.width;
+    const slowFactor = this.shop.getSlowFactor();
+    const held = new Map(); // Blocking turret -> slimes it holds this frame
+
     for (let i = this.slimes.length - 1; i >= 0; i--) {
       const slime = this.slimes[i];
 
-      // Move slime left
-      slime.x -= slime.speed * (deltaTime / 16); // Normalize to 60fps
+      const blocker = this.turrets.find((turret) => turret.isBlocking(slime));
+      if (blocker) {
+        held.set(blocker, (held.get(blocker) || 0) + 1);
+      } else {
+        // Move slime left - slower inside the slow field
+        const speed =
+          slime.x < slowEdge ? slime.speed * slowFactor : slime.speed;
+        slime.x -= speed * (deltaTime / 16); // Normalize to 60fps
+
+        SlimeBehaviors.run("update", slime, { screen: this, deltaTime });
+      }
 
       // Update DOM position
       if (slime.element) {
         slime.element.style.left = slime.x + "px";
+        slime.element.style.top = slime.y + "px";
       }
 
       // Check if slime escaped
@@ -425,32 +1059,18 @@ class SlimeDefenseScreen extends Screen {
         this.removeSlime(i);
       }
     }
+
+    held.forEach((count, turret) => {
+      this.damageTurret(turret, deltaTime, count);
+    });
   }
 
-  // Handle slime click/attack
+  // Handle slime click/attack - click damage and splash come from the shop
   attackSlime(slime) {
     if (!slime || slime.hp <= 0) return;
 
-    slime.hp -= 1;
     slime.clicked = true;
-
-    // Update HP bar
-    const hpPercent = (slime.hp / slime.maxHP) * 100;
-    if (slime.hpBarElement) {
-      slime.hpBarElement.style.width = hpPercent + "%";
-
-      // Change color based on HP
-      if (hpPercent > 60) {
-        slime.hpBarElement.style.background =
-          "linear-gradient(90deg, #44ff44, #88ff88)";
-      } else if (hpPercent > 30) {
-        slime.hpBarElement.style.background =
-          "linear-gradient(90deg, #ffff44, #ffff88)";
-      } else {
-        slime.hpBarElement.style.background =
-          "linear-gradient(90deg, #ff4444, #ff8888)";
-      }
-    }
+    this.damageSlime(slime, this.shop.getClickDamage());
 
     // Visual feedback
     if (slime.element) {
@@ -473,21 +1093,73 @@ class SlimeDefenseScreen extends Screen {
       this.audioManager.playSound("slime-hit");
     }
 
+    this.splashAround(slime);
+
+    console.log(
+      `🎯 Attacked ${slime.type} slime (HP: ${slime.hp}/${slime.maxHP})`
+    );
+  }
+
+  // Take HP off a slime, killing it at 0 - its behaviors can soften the hit
+  damageSlime(slime, amount) {
+    if (slime.hp <= 0) return;
+
+    const damage = SlimeBehaviors.filterDamage(slime, amount, { screen: this });
+    slime.hp = Math.max(0, slime.hp - damage);
+
+    // Update HP bar
+    const hpPercent = (slime.hp / slime.maxHP) * 100;
+    if (slime.hpBarElement) {
+      slime.hpBarElement.style.width = hpPercent + "%";
+
+      // Change color based on HP
+      if (hpPercent > 60) {
+        slime.hpBarElement.style.background =
+          "linear-gradient(90deg, #44ff44, #88ff88)";
+      } else if (hpPercent > 30) {
+        slime.hpBarElement.style.background =
+          "linear-gradient(90deg, #ffff44, #ffff88)";
+      } else {
+        slime.hpBarElement.style.background =
+          "linear-gradient(90deg, #ff4444, #ff8888)";
+      }
+    }
+
     // Check if slime is dead
     if (slime.hp <= 0) {
       this.killSlime(slime);
     }
+  }
 
-    console.log(
-      `🎯 Attacked ${slime.type} slime (HP: ${slime.hp}/${slime.maxHP})`
-    );
+  // Splash damage to the slimes around a clicked one
+  splashAround(slime) {
+    const radius = this.shop.getSplashRadius();
+    if (radius === 0) return;
+
+    const x = slime.x + slime.width / 2;
+    const y = slime.y + slime.height / 2;
+    const { damage } = GAME_CONFIG.shop.upgrades.splash;
+
+    this.createSplashEffect(x, y, radius);
+
+    // Copy first - killing a slime takes it out of this.slimes
+    [...this.slimes].forEach((other) => {
+      const distance = Math.hypot(
+        other.x + other.width / 2 - x,
+        other.y + other.height / 2 - y
+      );
+      if (other !== slime && distance <= radius) {
+        this.damageSlime(other, damage);
+      }
+    });
   }
 
   // Handle slime death
   killSlime(slime) {
-    // Award coins and score
-    this.coins += slime.coins;
-    this.score += slime.coins * 10;
+    // Award coins (scaled by difficulty) and score
+    const coins = this.getCoinReward(slime.coins);
+    this.earnCoins(coins);
+    this.score += coins * 10;
     this.slimesKilled++;
 
     // Create death effect
@@ -508,7 +1180,9 @@ class SlimeDefenseScreen extends Screen {
       this.removeSlime(index);
     }
 
-    console.log(`💀 Killed ${slime.type} slime! Gained ${slime.coins} coins`);
+    SlimeBehaviors.run("death", slime, { screen: this });
+
+    console.log(`💀 Killed ${slime.type} slime! Gained ${coins} coins`);
   }
 
   // Handle slime escape
@@ -569,6 +1243,25 @@ class SlimeDefenseScreen extends Screen {
     }, 300);
   }
 
+  createSplashEffect(x, y, radius) {
+    const effect = document.createElement("div");
+    effect.className = "splash-effect";
+    effect.style.cssText = `
+      left: ${x - radius}px;
+      top: ${y - radius}px;
+      width: ${radius * 2}px;
+      height: ${radius * 2}px;
+    `;
+
+    this.elements.gameArea.appendChild(effect);
+
+    setTimeout(() => {
+      if (effect.parentNode) {
+        effect.parentNode.removeChild(effect);
+      }
+    }, 400);
+  }
+
   createDeathEffect(x, y, slimeType) {
     const color = this.slimeTypes[slimeType].color;
 
@@ -653,6 +1346,7 @@ class SlimeDefenseScreen extends Screen {
     if (this.elements.coins) {
       this.elements.coins.textContent = this.coins;
     }
+    this.updateTurretBar();
 
     if (this.elements.score) {
       this.elements.score.textContent = this.score;
@@ -661,6 +1355,20 @@ class SlimeDefenseScreen extends Screen {
     if (this.elements.wave) {
       this.elements.wave.textContent = this.wave;
     }
+
+    if (this.elements.waveStatus) {
+      if (this.shopOpen) {
+        this.elements.waveStatus.textContent = "Shopping - next wave on hold";
+      } else if (this.waveBreak > 0) {
+        this.elements.waveStatus.textContent = `Next wave in ${Math.ceil(
+          this.waveBreak / 1000
+        )}s`;
+      } else {
+        this.elements.waveStatus.textContent = `${
+          this.waves.getRemaining() + this.slimes.length
+        } slimes left`;
+      }
+    }
   }
 
   // Game over
@@ -685,7 +1393,25 @@ class SlimeDefenseScreen extends Screen {
       this.elements.finalScore.textContent = this.score;
     }
     if (this.elements.finalCoins) {
-      this.elements.finalCoins.textContent = this.coins;
+      this.elements.finalCoins.textContent = this.coinsEarned;
+    }
+    if (this.elements.slimesKilled) {
+      this.elements.slimesKilled.textContent = this.slimesKilled;
+    }
+    if (this.elements.waveReached) {
+      this.elements.waveReached.textContent = this.wave;
+    }
+    if (this.elements.difficultyLabel) {
+      this.elements.difficultyLabel.textContent = this.difficulty.label;
+    }
+    if (this.elements.bestScore) {
+      this.elements.bestScore.textContent = this.getBestScore();
+    }
+    if (this.elements.rank) {
+      const { label } = this.shop.getTier();
+      this.elements.rank.textContent = this.promoted
+        ? `${label} - promoted!`
+        : label;
     }
 
     // Play game over sound
@@ -700,14 +1426,25 @@ class SlimeDefenseScreen extends Screen {
 
     // Reset game state
     this.playerHP = this.playerMaxHP;
-    this.coins = 0;
+    this.coins = this.shop.getTier().startCoins;
+    this.coinsEarned = 0;
     this.score = 0;
     this.wave = 1;
     this.slimesKilled = 0;
     this.gameOver = false;
     this.gameStarted = false;
-    this.spawnTimer = 0;
-    this.spawnInterval = 2000;
+    this.waves.reset();
+    this.waveBreak = 0;
+    this.shop.reset();
+    this.droneCooldown = 0;
+    this.promoted = false;
+    this.closeShop();
+    this.updateShopEffects();
+
+    // Clear all turrets
+    [...this.turrets].forEach((turret) => this.removeTurret(turret));
+    this.placingMecha = null;
+    this.updateTurretBar();
 
     // Clear all slimes
     this.slimes.forEach((slime) => {
@@ -721,7 +1458,8 @@ class SlimeDefenseScreen extends Screen {
     // Reset UI
     this.updateUI();
 
-    // Show start button
+    // Show start button and difficulty picker
+    this.showDifficultyPicker(true);
     if (this.elements.startButton) {
       this.elements.startButton.classList.remove("hidden");
     }
@@ -754,11 +1492,18 @@ class SlimeDefenseScreen extends Screen {
   handleGameAreaClick(e) {
     if (!this.gameStarted || this.gameOver) return;
 
-    // Create missed click effect
     const rect = this.elements.gameArea.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
+    // Place the mecha picked in the turret bar
+    if (this.placingMecha) {
+      this.placeTurret(this.placingMecha, x, y);
+      return;
+    }
+
+    // Create missed click effect
+    this.selectTurret(null);
     this.createMissedClickEffect(x, y);
   }
 
@@ -814,6 +1559,7 @@ class SlimeDefenseScreen extends Screen {
     if (this.gameLoop) {
       cancelAnimationFrame(this.gameLoop);
     }
+    clearTimeout(this.waveBannerTimer);
 
     // Clean up slimes
     this.slimes.forEach((slime) => {
@@ -822,6 +1568,8 @@ class SlimeDefenseScreen extends Screen {
       }
     });
     this.slimes = [];
+    this.turrets = [];
+    this.selectedTurret = null;
 
     // Clear cached elements
     this.elements = {};
@@ -856,31 +1604,22 @@ class SlimeDefenseScreen extends Screen {
 
   spawnSpecificSlime(type) {
     if (this.slimeTypes[type]) {
-      const slimeConfig = this.slimeTypes[type];
-
-      const slime = {
-        id: this.slimeId++,
-        type: type,
-        hp: slimeConfig.hp,
-        maxHP: slimeConfig.hp,
-        coins: slimeConfig.coins,
-        speed: slimeConfig.speed,
-        x: this.gameWidth + 50,
-        y: Math.random() * (this.gameHeight - 200) + 100,
-        width: 60,
-        height: 60,
-        element: null,
-        hpBarElement: null,
-        clicked: false,
-      };
-
-      this.createSlimeElement(slime);
-      this.slimes.push(slime);
-
+      this.spawnSlime(type);
       console.log(`🐛 Debug: Spawned ${type} slime`);
     }
   }
 
+  // Debug: skip ahead to a wave (clears the field)
+  jumpToWave(number) {
+    this.slimes.forEach((slime) => {
+      if (slime.element && slime.element.parentNode) {
+        slime.element.parentNode.removeChild(slime.element);
+      }
+    });
+    this.slimes = [];
+    this.startWave(number);
+  }
+
   killAllSlimes() {
     this.slimes.forEach((slime) => {
       this.killSlime(slime);
@@ -0,0 +1,102 @@
+// SlimeShop - Between-wave upgrades for SlimeDefenseScreen, with no DOM
+// Levels bought from GAME_CONFIG.shop last one run; the meta tier, earned
+// by how far runs get, is saved by the app and carries over. The screen
+// asks for effects (click damage, splash radius...) and applies them
+class SlimeShop {
+  constructor(config = GAME_CONFIG.shop, tier = 0) {
+    this.config = config;
+    this.setTier(tier);
+    this.reset();
+  }
+
+  // Back to no upgrades - the tier stays
+  reset() {
+    this.levels = {};
+    Object.keys(this.config.upgrades).forEach((key) => {
+      this.levels[key] = 0;
+    });
+  }
+
+  // Set the meta tier (clamped to the tiers there are)
+  setTier(tier) {
+    const last = this.config.tiers.length - 1;
+    this.tier = Math.min(Math.max(Math.floor(tier) || 0, 0), last);
+  }
+
+  // The current tier's definition
+  getTier() {
+    return this.config.tiers[this.tier];
+  }
+
+  // Highest tier earned by reaching a wave
+  getTierForWave(wave) {
+    return this.config.tiers.reduce(
+      (best, tier, index) => (wave >= tier.wave ? index : best),
+      0
+    );
+  }
+
+  // Level of an upgrade this run
+  getLevel(key) {
+    return this.levels[key] || 0;
+  }
+
+  // Check if an upgrade has no more levels to buy
+  isMaxed(key) {
+    const { maxLevel } = this.config.upgrades[key];
+    return maxLevel !== null && this.getLevel(key) >= maxLevel;
+  }
+
+  // Price of an upgrade's next level
+  getCost(key) {
+    const { cost, costGrowth } = this.config.upgrades[key];
+    const price = cost * Math.pow(costGrowth, this.getLevel(key));
+    return Math.max(1, Math.round(price * (1 - this.getTier().discount)));
+  }
+
+  // Check if an upgrade can be bought with coins
+  canBuy(key, coins) {
+    return (
+      Boolean(this.config.upgrades[key]) &&
+      !this.isMaxed(key) &&
+      coins >= this.getCost(key)
+    );
+  }
+
+  // Buy an upgrade's next level - returns its price, or null if it can't be
+  // bought with coins
+  buy(key, coins) {
+    if (!this.canBuy(key, coins)) return null;
+
+    const price = this.getCost(key);
+    this.levels[key]++;
+    return price;
+  }
+
+  // Damage one click does
+  getClickDamage() {
+    const { perLevel } = this.config.upgrades.clickDamage;
+    return 1 + this.getLevel("clickDamage") * perLevel;
+  }
+
+  // px around a clicked slime that splash reaches (0 without splash)
+  getSplashRadius() {
+    return this.getLevel("splash") * this.config.upgrades.splash.perLevel;
+  }
+
+  // Number of turret drones
+  getDroneCount() {
+    return this.getLevel("drone");
+  }
+
+  // Slime speed multiplier inside the slow field (1 without one)
+  getSlowFactor() {
+    const { perLevel } = this.config.upgrades.slowField;
+    return 1 - this.getLevel("slowField") * perLevel;
+  }
+}
+
+// Make available globally
+window.SlimeShop = SlimeShop;
+
+console.log("🛒 SlimeShop class loaded!");
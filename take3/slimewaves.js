@@ -0,0 +1,175 @@
+// SlimeWaves - Wave progression for SlimeDefenseScreen, with no DOM
+// The authored waves in GAME_CONFIG.waves play in order, then an endless
+// generator keeps scaling slime HP and speed. The screen ticks update() and
+// spawns what it returns; a wave is over once it has all spawned and every
+// slime has died or escaped
+class SlimeWaves {
+  constructor(config = GAME_CONFIG.waves, random = GameRandom.getShared()) {
+    this.config = config;
+    this.random = random; // Shuffles each wave's slimes on the "waves" stream
+    this.spawnScale = 1; // Stretches spawn times (difficulty spawn rate)
+    this.reset();
+  }
+
+  // Back to before the first wave
+  reset() {
+    this.wave = null; // Definition of the wave underway
+    this.schedule = []; // { type, at } in spawn order, at in ms
+    this.nextSpawn = 0;
+    this.elapsed = 0;
+  }
+
+  // Stretch (over 1) or squeeze every wave's spawn times from now on
+  setSpawnScale(scale) {
+    this.spawnScale = scale;
+  }
+
+  // Wave definition for a wave number (1 for the first)
+  getWave(number) {
+    const { authored, endless, breakDuration } = this.config;
+
+    const authoredWave = authored[number - 1];
+    if (authoredWave) {
+      return {
+        hpMultiplier: 1,
+        speedMultiplier: 1,
+        breakDuration,
+        ...authoredWave,
+        number,
+        endless: false,
+      };
+    }
+
+    const step = number - authored.length - 1; // 0 for the first endless wave
+    return {
+      count: endless.count + step * endless.countPerWave,
+      composition: endless.composition,
+      pattern: endless.patterns[step % endless.patterns.length],
+      interval: Math.max(
+        endless.interval - step * endless.intervalPerWave,
+        endless.minInterval
+      ),
+      hpMultiplier: 1 + (step + 1) * endless.hpPerWave,
+      speedMultiplier: Math.min(
+        1 + (step + 1) * endless.speedPerWave,
+        endless.maxSpeedMultiplier
+      ),
+      breakDuration,
+      number,
+      endless: true,
+    };
+  }
+
+  // Split a wave's count between slime types by weight, in shuffled order
+  getSlimeOrder(wave) {
+    const entries = Object.entries(wave.composition);
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    // Largest remainders get the leftovers, so the counts add up exactly
+    const shares = entries.map(([type, weight]) => {
+      const exact = (wave.count * weight) / totalWeight;
+      return { type, count: Math.floor(exact), remainder: exact % 1 };
+    });
+    let leftover =
+      wave.count - shares.reduce((sum, share) => sum + share.count, 0);
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach((share) => {
+        if (leftover > 0) {
+          share.count++;
+          leftover--;
+        }
+      });
+
+    const order = shares.flatMap(({ type, count }) => Array(count).fill(type));
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = this.random.int("waves", 0, i);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+
+  // Spawn times (ms from the start of the wave) for a wave's pattern
+  getSpawnTimes(wave) {
+    const pattern = this.config.patterns[wave.pattern] || {};
+    const times = [];
+    let at = 0;
+
+    for (let i = 0; i < wave.count; i++) {
+      times.push(Math.round(at * this.spawnScale));
+
+      switch (wave.pattern) {
+        case "burst":
+          // A short gap inside a group, the full interval between groups
+          at += (i + 1) % pattern.size === 0 ? wave.interval : pattern.gap;
+          break;
+
+        case "ramp": {
+          // Spawns come closer together as the wave goes on
+          const progress = wave.count > 1 ? i / (wave.count - 1) : 0;
+          at += wave.interval * (1 - (1 - pattern.endFactor) * progress);
+          break;
+        }
+
+        default:
+          at += wave.interval;
+      }
+    }
+    return times;
+  }
+
+  // Start a wave - returns its definition
+  start(number) {
+    this.wave = this.getWave(number);
+
+    const times = this.getSpawnTimes(this.wave);
+    this.schedule = this.getSlimeOrder(this.wave).map((type, index) => ({
+      type,
+      at: times[index],
+    }));
+    this.nextSpawn = 0;
+    this.elapsed = 0;
+
+    return this.wave;
+  }
+
+  // Advance the wave clock - returns the slime types due to spawn
+  update(deltaTime) {
+    if (!this.wave) return [];
+
+    this.elapsed += deltaTime;
+    const due = [];
+    while (
+      this.nextSpawn < this.schedule.length &&
+      this.schedule[this.nextSpawn].at <= this.elapsed
+    ) {
+      due.push(this.schedule[this.nextSpawn].type);
+      this.nextSpawn++;
+    }
+    return due;
+  }
+
+  // Check if every slime in the wave has spawned
+  isSpawningDone() {
+    return Boolean(this.wave) && this.nextSpawn >= this.schedule.length;
+  }
+
+  // Slimes still to spawn this wave
+  getRemaining() {
+    return this.schedule.length - this.nextSpawn;
+  }
+
+  // Coins and score for clearing a wave
+  getClearBonus(wave = this.wave) {
+    const { coins, coinsPerWave, score } = this.config.clearBonus;
+    return {
+      coins: coins + coinsPerWave * wave.number,
+      score: score * wave.number,
+    };
+  }
+}
+
+// Make available globally
+window.SlimeWaves = SlimeWaves;
+
+console.log("🌊 SlimeWaves class loaded!");
@@ -0,0 +1,552 @@
+// Balance simulator - plays the mining economy headless with scripted players
+// Runs the real MiningModel (the game's mining rules and components) on a
+// simulated clock, so GAME_CONFIG changes can be checked before shipping.
+// Reports time-to-mecha, time-to-unlock and currency curves
+//
+//   node tools/balancesim.js --strategy all --hours 3 --format csv
+//   node tools/balancesim.js --help
+const path = require("path");
+
+const JS_DIR = path.join(__dirname, "..", "js");
+
+// Scripted players - how fast and how well they mine, and what they buy
+// Times are in seconds; hitQuality is the share of perfect/good/missed hits
+const STRATEGIES = {
+  idle: {
+    description: "Checks in for 2 minutes every 15, sloppy timing",
+    hitsPerSecond: 0.5,
+    hitQuality: { perfect: 0.1, good: 0.4, miss: 0.5 },
+    session: { play: 120, rest: 780 },
+    buyGeodes: true,
+    spinSlots: true,
+    saveForUnlocks: false,
+  },
+  casual: {
+    description: "Plays 10 minutes, rests 5, average timing",
+    hitsPerSecond: 1,
+    hitQuality: { perfect: 0.2, good: 0.5, miss: 0.3 },
+    session: { play: 600, rest: 300 },
+    buyGeodes: true,
+    spinSlots: true,
+    saveForUnlocks: false,
+  },
+  active: {
+    description: "Never stops, good timing",
+    hitsPerSecond: 2,
+    hitQuality: { perfect: 0.45, good: 0.45, miss: 0.1 },
+    session: null,
+    buyGeodes: true,
+    spinSlots: true,
+    saveForUnlocks: false,
+  },
+  rusher: {
+    description: "Active, but saves every shell for the next mine unlock",
+    hitsPerSecond: 2,
+    hitQuality: { perfect: 0.45, good: 0.45, miss: 0.1 },
+    session: null,
+    buyGeodes: true,
+    spinSlots: true,
+    saveForUnlocks: true,
+  },
+};
+
+// Simulated time for Date.now and timers, so auto-mining and boosts run at
+// simulation speed. install() swaps the globals in, uninstall() restores them
+class SimClock {
+  constructor() {
+    this.now = 0;
+    this.timers = new Map(); // id -> { at, repeat, callback, args }
+    this.nextId = 1;
+    this.originals = null;
+  }
+
+  // Schedule a callback - intervals repeat every delay ms (at least 1)
+  schedule(callback, delay, isInterval, args) {
+    const id = this.nextId++;
+    const wait = Math.max(Number(delay) || 0, isInterval ? 1 : 0);
+    this.timers.set(id, {
+      at: this.now + wait,
+      repeat: isInterval ? wait : 0,
+      callback,
+      args,
+    });
+    return id;
+  }
+
+  // Cancel a timer (covers clearTimeout and clearInterval)
+  clear(id) {
+    this.timers.delete(id);
+  }
+
+  // Run every timer due up to the given time, in order
+  advanceTo(time) {
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.at <= time && (!next || timer.at < next.at)) {
+          nextId = id;
+          next = timer;
+        }
+      });
+      if (!next) break;
+
+      this.now = next.at;
+      if (next.repeat) {
+        next.at += next.repeat;
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.callback(...next.args);
+    }
+    this.now = time;
+  }
+
+  // Replace the global clock and timers with this one
+  install() {
+    this.originals = {
+      now: Date.now,
+      setTimeout: globalThis.setTimeout,
+      setInterval: globalThis.setInterval,
+      clearTimeout: globalThis.clearTimeout,
+      clearInterval: globalThis.clearInterval,
+    };
+
+    Date.now = () => this.now;
+    globalThis.setTimeout = (callback, delay, ...args) =>
+      this.schedule(callback, delay, false, args);
+    globalThis.setInterval = (callback, delay, ...args) =>
+      this.schedule(callback, delay, true, args);
+    globalThis.clearTimeout = (id) => this.clear(id);
+    globalThis.clearInterval = (id) => this.clear(id);
+  }
+
+  // Put the real clock and timers back
+  uninstall() {
+    if (!this.originals) return;
+
+    Date.now = this.originals.now;
+    globalThis.setTimeout = this.originals.setTimeout;
+    globalThis.setInterval = this.originals.setInterval;
+    globalThis.clearTimeout = this.originals.clearTimeout;
+    globalThis.clearInterval = this.originals.clearInterval;
+    this.originals = null;
+  }
+}
+
+// One scripted player on one mine for a stretch of simulated time
+class BalanceRun {
+  constructor({ mineId = "mine1", strategy, seed, duration, sampleEvery }) {
+    this.mineId = mineId;
+    this.strategyName = strategy;
+    this.strategy = STRATEGIES[strategy];
+    this.seed = String(seed);
+    this.duration = duration; // Seconds
+    this.sampleEvery = sampleEvery; // Seconds between curve samples
+    this.step = 100; // Simulation step in ms
+
+    this.unlocks = this.getUnlockTargets();
+    this.curve = [];
+  }
+
+  // Mines bought with this mine's currency, cheapest first (mine1's shells)
+  getUnlockTargets() {
+    const currency = GAME_CONFIG.mines[this.mineId].currency;
+    return Object.entries(GAME_CONFIG.mines)
+      .filter(([, mine]) => mine.unlockCost[currency] !== undefined)
+      .map(([mineId, mine]) => ({
+        mineId,
+        cost: mine.unlockCost[currency],
+        monsterShells: mine.unlockCost.monster_shells || 0,
+        time: mine.unlockCost[currency] === 0 ? 0 : null,
+      }))
+      .sort((a, b) => a.cost - b.cost);
+  }
+
+  // Play the whole run and return its report
+  run() {
+    const clock = new SimClock();
+    clock.install();
+
+    try {
+      // Every component draws from the shared streams, as in the game
+      globalThis.gameRandom = new GameRandom(this.seed);
+      this.player = new GameRandom(`${this.seed}:player`); // The player's skill
+      this.mine = new MiningModel(this.mineId, {
+        wallet: new Wallet({}), // Every run starts broke
+        random: GameRandom.getShared(),
+        training: new MechaTraining(),
+      });
+      this.mine.init();
+
+      // Scripted players build the mecha as soon as the last part is in
+      this.mechaBuiltAt = null;
+      this.mine.on("mechaReady", () => {
+        if (this.mine.mechaBuilder.buildMecha()) {
+          this.mechaBuiltAt = Date.now();
+        }
+      });
+
+      let hitDebt = 0;
+      const end = this.duration * 1000;
+      for (let time = 0; time <= end; time += this.step) {
+        clock.advanceTo(time);
+
+        if (this.isPlaying(time)) {
+          hitDebt += (this.strategy.hitsPerSecond * this.step) / 1000;
+          for (; hitDebt >= 1; hitDebt--) this.hit();
+
+          if (time % 1000 === 0) this.shop(time);
+        }
+
+        if (time % (this.sampleEvery * 1000) === 0) this.sample(time);
+      }
+
+      const report = this.getReport();
+      this.mine.destroy();
+      return report;
+    } finally {
+      clock.uninstall();
+    }
+  }
+
+  // Check if the player is at the screen right now
+  isPlaying(time) {
+    const { session } = this.strategy;
+    if (!session) return true;
+
+    const cycle = (session.play + session.rest) * 1000;
+    return time % cycle < session.play * 1000;
+  }
+
+  // One timing hit - a new game starts on the machine that needs it most
+  hit() {
+    const mine = this.mine;
+    const current = mine.machineManager.getMachine(
+      mine.activeMining.currentMachine
+    );
+    if (!current || current.isAutoMining) {
+      mine.stopMining();
+      const machine = mine.machineManager.getBestMachineForActiveMining();
+      if (!machine || !mine.startMining(machine.id, Date.now())) return;
+    }
+
+    // Where the player stops the bar for a hit of each quality
+    const { perfect, good } = this.strategy.hitQuality;
+    const roll = this.player.next("quality");
+    let type = "miss";
+    if (roll < perfect) {
+      type = "perfect";
+    } else if (roll < perfect + good) {
+      type = "good";
+    }
+
+    const time = Date.now();
+    mine.hit(mine.minigame.getAimPosition(type, time), time);
+  }
+
+  // Once a second: open geodes, then make at most one purchase
+  shop(time) {
+    const mine = this.mine;
+    mine.machineManager.getAllMachines().forEach((machine) => {
+      while (machine.geodeCount > 0) {
+        mine.geodeSystem.openGeode(machine.id);
+      }
+    });
+
+    // Unlocks come first - monster shells are assumed to come from combat
+    const nextUnlock = this.unlocks.find((unlock) => unlock.time === null);
+    if (nextUnlock && mine.currency >= nextUnlock.cost) {
+      mine.currency -= nextUnlock.cost;
+      nextUnlock.time = time / 1000;
+      return;
+    }
+
+    const reserve =
+      this.strategy.saveForUnlocks && nextUnlock ? nextUnlock.cost : 0;
+    const spendable = mine.currency - reserve;
+
+    if (
+      this.strategy.buyGeodes &&
+      !mine.mechaBuilder.hasMecha &&
+      spendable >= mine.merchant.geodeCost
+    ) {
+      mine.purchaseGeode();
+      return;
+    }
+
+    const slots = mine.upgradeSlotMachine;
+    if (this.strategy.spinSlots && spendable >= slots.getCurrentCost()) {
+      slots.spinInstant();
+    }
+  }
+
+  // Record a point on the currency curve
+  sample(time) {
+    const mine = this.mine;
+    const upgrades = Object.values(mine.mineUpgrades).filter((v) => v > 0);
+
+    // shop() opens geodes as they drop, so opened is the count to watch -
+    // GeodeSystem.geodesFound misses geodes from timing hits and cycles
+    this.curve.push({
+      time: time / 1000,
+      currency: mine.currency,
+      outputPerCycle: mine.getCycleOutput().total,
+      geodesOpened: mine.geodeSystem.geodesOpened,
+      slotSpins: mine.upgradeSlotMachine.totalSpins,
+      upgradesOwned: upgrades.length,
+      parts: mine.mechaBuilder.hasMecha
+        ? mine.partsInventory.requiredParts.length
+        : mine.partsInventory.getRequiredPartNames().length -
+          mine.partsInventory.getMissingParts().length,
+      hasMecha: mine.mechaBuilder.hasMecha,
+    });
+  }
+
+  // Summary and curve for this run (times in seconds, null = never)
+  getReport() {
+    const mine = this.mine;
+    const builtAt = this.mechaBuiltAt;
+
+    return {
+      seed: this.seed,
+      mine: this.mineId,
+      strategy: this.strategyName,
+      duration: this.duration,
+      timeToMecha: builtAt === null ? null : builtAt / 1000,
+      unlocks: this.unlocks.map(({ mineId, cost, monsterShells, time }) => ({
+        mineId,
+        cost,
+        monsterShells,
+        time,
+      })),
+      final: {
+        currency: mine.currency,
+        upgrades: { ...mine.mineUpgrades },
+        geodesFound: mine.geodeSystem.geodesFound,
+        geodesOpened: mine.geodeSystem.geodesOpened,
+        merchantGeodes: mine.merchant.purchaseCount,
+        slotSpins: mine.upgradeSlotMachine.totalSpins,
+        maxCombo: mine.activeMining.maxCombo,
+      },
+      curve: this.curve,
+    };
+  }
+}
+
+// Read --name value pairs from the command line
+function parseArgs(argv) {
+  const options = {
+    seed: "balance",
+    strategy: "all",
+    mine: "mine1",
+    hours: 3,
+    sample: 60,
+    runs: 1,
+    format: "json",
+    table: "summary",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (name === "help") {
+      options.help = true;
+    } else if (name in options) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  options.hours = Number(options.hours);
+  options.sample = Number(options.sample);
+  options.runs = Math.max(Math.floor(Number(options.runs)) || 1, 1);
+  return options;
+}
+
+// Every run the options ask for - strategies x mines x seeds
+function runAll(options) {
+  const strategies =
+    options.strategy === "all" ? Object.keys(STRATEGIES) : [options.strategy];
+  const mines =
+    options.mine === "all" ? Object.keys(GAME_CONFIG.mines) : [options.mine];
+
+  strategies.forEach((strategy) => {
+    if (!STRATEGIES[strategy]) throw new Error(`Unknown strategy: ${strategy}`);
+  });
+  mines.forEach((mineId) => {
+    if (!GAME_CONFIG.mines[mineId]) throw new Error(`Unknown mine: ${mineId}`);
+  });
+
+  const reports = [];
+  for (let i = 0; i < options.runs; i++) {
+    const seed = options.runs > 1 ? `${options.seed}-${i}` : options.seed;
+    mines.forEach((mineId) => {
+      strategies.forEach((strategy) => {
+        reports.push(
+          new BalanceRun({
+            mineId,
+            strategy,
+            seed,
+            duration: options.hours * 3600,
+            sampleEvery: options.sample,
+          }).run()
+        );
+      });
+    });
+  }
+  return reports;
+}
+
+// Turn rows of values into CSV text
+function toCsv(header, rows) {
+  const cell = (value) => (value === null ? "" : String(value));
+  return [header, ...rows].map((row) => row.map(cell).join(",")).join("\n");
+}
+
+// One summary row per run - unlock columns are seconds until the mine was
+// bought (the JSON report has each unlock's shell and monster shell cost)
+function summaryCsv(reports) {
+  const unlocks = reports[0].unlocks.filter((unlock) => unlock.cost > 0);
+  const header = [
+    "seed",
+    "mine",
+    "strategy",
+    "time_to_mecha",
+    ...unlocks.map((unlock) => `unlock_${unlock.mineId}`),
+    "currency",
+    "geodes_opened",
+    "merchant_geodes",
+    "slot_spins",
+  ];
+
+  const rows = reports.map((report) => [
+    report.seed,
+    report.mine,
+    report.strategy,
+    report.timeToMecha,
+    ...unlocks.map(
+      ({ mineId }) =>
+        report.unlocks.find((unlock) => unlock.mineId === mineId)?.time ?? null
+    ),
+    report.final.currency,
+    report.final.geodesOpened,
+    report.final.merchantGeodes,
+    report.final.slotSpins,
+  ]);
+  return toCsv(header, rows);
+}
+
+// Every curve sample of every run
+function curveCsv(reports) {
+  const fields = Object.keys(reports[0].curve[0]);
+  const rows = [];
+  reports.forEach((report) => {
+    report.curve.forEach((point) => {
+      rows.push([
+        report.seed,
+        report.mine,
+        report.strategy,
+        ...fields.map((field) => point[field]),
+      ]);
+    });
+  });
+  return toCsv(["seed", "mine", "strategy", ...fields], rows);
+}
+
+// Usage text for --help
+function usage() {
+  const strategies = Object.entries(STRATEGIES)
+    .map(([name, s]) => `    ${name.padEnd(8)} ${s.description}`)
+    .join("\n");
+
+  return `Usage: node tools/balancesim.js [options]
+
+  --strategy NAME  idle, casual, active, rusher or all (default all)
+  --mine ID        mine1 ... mine5 or all (default mine1)
+  --hours N        simulated play time per run (default 3)
+  --sample N       seconds between currency curve samples (default 60)
+  --seed TEXT      GameRandom seed (default "balance")
+  --runs N         repeat with seeds TEXT-0 ... TEXT-(N-1) (default 1)
+  --format F       json or csv (default json)
+  --table T        csv only: summary or curve (default summary)
+
+Strategies:
+${strategies}
+
+Unlock times are when the player had the shells for a mine and bought it.
+Monster shells come from combat, which isn't simulated, so they are assumed.`;
+}
+
+// Load the game scripts into Node the way the browser would
+function loadGame() {
+  const log = console.log;
+  console.log = () => {}; // Every script announces itself on load
+
+  try {
+    const config = require(path.join(JS_DIR, "config.js"));
+    globalThis.GAME_CONFIG = config.GAME_CONFIG;
+    globalThis.CONFIG_UTILS = config.CONFIG_UTILS;
+    globalThis.SlotMachine = require(path.join(JS_DIR, "slotmachine.js"));
+    globalThis.MachineUpgradeSlotMachine = require(path.join(
+      JS_DIR,
+      "machineupgradeslotmachine.js"
+    ));
+    globalThis.MachineManager = require(path.join(JS_DIR, "machinemanager.js"));
+    globalThis.GeodeSystem = require(path.join(JS_DIR, "geodesystem.js"));
+    globalThis.PartsInventory = require(path.join(JS_DIR, "partsinventory.js"));
+    globalThis.MechaBuilder = require(path.join(JS_DIR, "mechabuilder.js"));
+    globalThis.Wallet = require(path.join(JS_DIR, "wallet.js"));
+    globalThis.MechaTraining = require(path.join(JS_DIR, "mechatraining.js"));
+    globalThis.TimingCursor = require(path.join(JS_DIR, "timingcursor.js"));
+    globalThis.TimingCalibration = require(path.join(
+      JS_DIR,
+      "timingcalibration.js"
+    ));
+    globalThis.MiningMinigame = require(path.join(JS_DIR, "miningminigame.js"));
+    globalThis.MiningModel = require(path.join(JS_DIR, "miningmodel.js"));
+  } finally {
+    console.log = log;
+  }
+}
+
+// Command line entry point
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  loadGame();
+
+  // The game logs every cycle and spin - keep the output to the report
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  let reports;
+  try {
+    reports = runAll(options);
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  if (options.format === "csv") {
+    const table = options.table === "curve" ? curveCsv : summaryCsv;
+    process.stdout.write(`${table(reports)}\n`);
+  } else {
+    process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ ${error.message} (see --help)`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { STRATEGIES, SimClock, BalanceRun, loadGame };